@@ -29,18 +29,41 @@ if (!process.env.MONGODB_URI) {
   console.log('✅ MONGODB_URI is defined');
 }
 
+// Verify JWT_SECRET is available (used to sign and verify access tokens)
+if (!process.env.JWT_SECRET) {
+  console.error('❌ JWT_SECRET is not defined');
+  console.error('📝 Please set JWT_SECRET to a long random string:');
+  console.error('   - In development: Add JWT_SECRET=your_secret to your .env file');
+  console.error('   - In production (Render): Set JWT_SECRET in your Render dashboard under Environment Variables');
+  process.exit(1);
+}
+
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const { startAccountRetentionJob } = require('./utils/accountRetention');
+const { ensureDefaultCategories } = require('./utils/categories');
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const cartRoutes = require('./routes/cart');
 const receiptRoutes = require('./routes/receipts');
+const auditRoutes = require('./routes/audit');
+const roleRoutes = require('./routes/roles');
+const inviteRoutes = require('./routes/invites');
+const profileRoutes = require('./routes/profile');
+const apiKeyRoutes = require('./routes/apiKeys');
+const categoryRoutes = require('./routes/categories');
+const menuRoutes = require('./routes/menus');
+const modifierRoutes = require('./routes/modifiers');
+const imageRoutes = require('./routes/images');
+const stockRoutes = require('./routes/stock');
+const ingredientRoutes = require('./routes/ingredients');
 
 // Security middleware
 const { sanitizeBody, sanitizeQueryParams } = require('./middleware/validation');
-const { apiRateLimiter, authRateLimiter } = require('./middleware/rateLimiter');
+const { apiRateLimiter, authRateLimiter, apiKeyRateLimiter } = require('./middleware/rateLimiter');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -85,12 +108,13 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // Security: Rate limiting
 app.use('/api/auth', authRateLimiter); // Stricter rate limit for auth endpoints
 app.use('/api', apiRateLimiter); // Standard rate limit for API endpoints
+app.use(apiKeyRateLimiter); // Per-key limit for POS terminals and integrations
 
 // Security: Body parsing with limits (must be before sanitization)
 app.use(express.json({ limit: '10mb' }));
@@ -112,11 +136,23 @@ app.use((req, res, next) => {
 });
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/products', productRoutes);
+app.use('/categories', categoryRoutes);
+app.use('/menus', menuRoutes);
+app.use('/modifiers', modifierRoutes);
+app.use('/images', imageRoutes);
+app.use('/stock', stockRoutes);
+app.use('/ingredients', ingredientRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/receipts', receiptRoutes);
+app.use('/audit', auditRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/profile', profileRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 app.get('/', (req, res) => {
   res.send("Hello, this is the backend for Nile Cafe");
@@ -131,6 +167,12 @@ const startServer = async () => {
     process.exit(1);
   }
 
+  // Create the default menu categories on first start
+  await ensureDefaultCategories();
+
+  // Anonymize soft-deleted accounts once their grace period is over
+  startAccountRetentionJob();
+
   app.listen(PORT, () => {
     console.log('='.repeat(50));
     console.log(`✅ Server running on port ${PORT}`);
@@ -0,0 +1,67 @@
+// Allergen, dietary label and nutrition catalogue for products
+//
+// Allergens are the 14 that EU food law (Regulation 1169/2011, Annex II)
+// requires to be declared. Keys are stored on products; labels are shown to people.
+
+const ALLERGENS = {
+  celery: 'Celery',
+  gluten: 'Cereals containing gluten',
+  crustaceans: 'Crustaceans',
+  eggs: 'Eggs',
+  fish: 'Fish',
+  lupin: 'Lupin',
+  milk: 'Milk',
+  molluscs: 'Molluscs',
+  mustard: 'Mustard',
+  nuts: 'Tree nuts',
+  peanuts: 'Peanuts',
+  sesame: 'Sesame',
+  soya: 'Soya',
+  sulphites: 'Sulphur dioxide and sulphites'
+}
+
+// Allergen names in the other catalogue languages (see config/languages.js), for receipts
+const ALLERGEN_TRANSLATIONS = {
+  ar: {
+    celery: 'كرفس',
+    gluten: 'حبوب تحتوي على الغلوتين',
+    crustaceans: 'قشريات',
+    eggs: 'بيض',
+    fish: 'سمك',
+    lupin: 'ترمس',
+    milk: 'حليب',
+    molluscs: 'رخويات',
+    mustard: 'خردل',
+    nuts: 'مكسرات',
+    peanuts: 'فول سوداني',
+    sesame: 'سمسم',
+    soya: 'صويا',
+    sulphites: 'ثاني أكسيد الكبريت والكبريتيت'
+  }
+}
+
+const DIETARY_LABELS = {
+  vegan: 'Vegan',
+  vegetarian: 'Vegetarian',
+  'gluten-free': 'Gluten-free',
+  halal: 'Halal'
+}
+
+// Nutrition facts per serving, with their units
+const NUTRITION_FIELDS = {
+  calories: 'kcal',
+  fat: 'g',
+  saturatedFat: 'g',
+  carbohydrates: 'g',
+  sugars: 'g',
+  fibre: 'g',
+  protein: 'g',
+  salt: 'g'
+}
+
+module.exports = {
+  ALLERGENS,
+  ALLERGEN_TRANSLATIONS,
+  DIETARY_LABELS,
+  NUTRITION_FIELDS
+}
@@ -0,0 +1,21 @@
+// Languages the catalogue, menu API and receipts are offered in
+//
+// Product and category names are written in DEFAULT_LANGUAGE (the name and
+// description fields); every other language is kept as a translation and falls
+// back to the default text where it is missing.
+
+const LANGUAGES = {
+  en: { name: 'English', dir: 'ltr' },
+  ar: { name: 'العربية', dir: 'rtl' }
+}
+
+const DEFAULT_LANGUAGE = 'en'
+
+// Languages stored in the translations field
+const TRANSLATED_LANGUAGES = Object.keys(LANGUAGES).filter(code => code !== DEFAULT_LANGUAGE)
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  TRANSLATED_LANGUAGES
+}
@@ -0,0 +1,56 @@
+// Permission catalogue and the permission sets of the built-in roles
+//
+// Routes declare the permission they need (requirePermission('products:edit'));
+// roles - built-in or custom ones defined by admins - are just named permission sets.
+
+const PERMISSIONS = {
+  'orders:view-all': 'View every order and receipt',
+  'orders:view-assigned': 'View orders assigned to them for delivery',
+  'orders:update-status': 'Move orders through their statuses',
+  'customers:view': "View customers' carts and order history",
+  'menu:read': 'Read the full menu, including unavailable products',
+  'products:edit': 'Create, edit, delete and enable/disable products',
+  'stock:manage': 'Manage ingredients, record stock deliveries, waste and recounts and view the stock ledger',
+  'accounts:manage': 'Create accounts, change roles, delete accounts and manage sessions',
+  'roles:manage': 'Define and edit custom roles',
+  'api-keys:manage': 'Issue and revoke API keys for POS terminals and integrations',
+  'reports:view': 'View the reorder and low-stock reports and account order statistics',
+  'audit:view': 'View the audit log'
+}
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS)
+
+const BUILT_IN_ROLES = {
+  admin: {
+    name: 'Admin',
+    permissions: ALL_PERMISSIONS
+  },
+  staff: {
+    name: 'Staff',
+    permissions: ['orders:view-all', 'orders:update-status', 'customers:view', 'menu:read', 'products:edit', 'stock:manage', 'reports:view']
+  },
+  delivery: {
+    name: 'Delivery',
+    permissions: ['orders:view-assigned', 'orders:update-status']
+  },
+  customer: {
+    name: 'Customer',
+    permissions: []
+  }
+}
+
+// Capabilities that can be granted to API keys (POS terminals, delivery aggregators).
+// A key's scopes act as its permissions; 'orders:create' only applies to keys since
+// signed-in customers can always place their own orders.
+const API_KEY_SCOPES = {
+  'menu:read': PERMISSIONS['menu:read'],
+  'orders:create': 'Create orders',
+  'orders:update-status': PERMISSIONS['orders:update-status']
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  API_KEY_SCOPES
+}
@@ -0,0 +1,93 @@
+// Receipt wording in each language of config/languages.js
+
+const RECEIPT_TEXT = {
+  en: {
+    cafeName: 'Nile Cafe',
+    title: 'Order Receipt',
+    orderNumber: 'Order #',
+    date: 'Date',
+    status: 'Status',
+    paymentStatus: 'Payment Status',
+    customerInformation: 'Customer Information',
+    name: 'Name',
+    email: 'Email',
+    phone: 'Phone',
+    guest: 'Guest',
+    formerCustomer: 'Former customer',
+    orderDetails: 'Order Details',
+    orderType: 'Order Type',
+    deliveryAddress: 'Delivery Address',
+    deliveryNotes: 'Delivery Notes',
+    tableNumber: 'Table Number',
+    items: 'Items',
+    quantity: 'Qty',
+    price: 'Price',
+    lineTotal: 'Total',
+    contains: 'Contains',
+    subtotal: 'Subtotal',
+    deliveryFee: 'Delivery Fee',
+    total: 'Total',
+    thankYou: 'Thank you for your order!',
+    tagline: 'Nile Cafe - Your favorite coffee destination',
+    statuses: {
+      pending: 'Pending',
+      preparing: 'Preparing',
+      ready: 'Ready',
+      'on-the-way': 'On-the-way',
+      delivered: 'Delivered',
+      cancelled: 'Cancelled'
+    },
+    orderTypes: { delivery: 'Delivery', restaurant: 'Restaurant' },
+    paymentStatuses: { unpaid: 'Unpaid', paid: 'Paid' }
+  },
+  ar: {
+    cafeName: 'مقهى النيل',
+    title: 'إيصال الطلب',
+    orderNumber: 'رقم الطلب',
+    date: 'التاريخ',
+    status: 'الحالة',
+    paymentStatus: 'حالة الدفع',
+    customerInformation: 'بيانات العميل',
+    name: 'الاسم',
+    email: 'البريد الإلكتروني',
+    phone: 'الهاتف',
+    guest: 'ضيف',
+    formerCustomer: 'عميل سابق',
+    orderDetails: 'تفاصيل الطلب',
+    orderType: 'نوع الطلب',
+    deliveryAddress: 'عنوان التوصيل',
+    deliveryNotes: 'ملاحظات التوصيل',
+    tableNumber: 'رقم الطاولة',
+    items: 'الأصناف',
+    quantity: 'الكمية',
+    price: 'السعر',
+    lineTotal: 'المجموع',
+    contains: 'يحتوي على',
+    subtotal: 'المجموع الفرعي',
+    deliveryFee: 'رسوم التوصيل',
+    total: 'الإجمالي',
+    thankYou: 'شكراً لطلبك!',
+    tagline: 'مقهى النيل - وجهتك المفضلة للقهوة',
+    statuses: {
+      pending: 'قيد الانتظار',
+      preparing: 'قيد التحضير',
+      ready: 'جاهز',
+      'on-the-way': 'في الطريق',
+      delivered: 'تم التوصيل',
+      cancelled: 'ملغي'
+    },
+    orderTypes: { delivery: 'توصيل', restaurant: 'في المطعم' },
+    paymentStatuses: { unpaid: 'غير مدفوع', paid: 'مدفوع' }
+  }
+}
+
+// Locale used for dates on the receipt (Latin digits keep numbers readable in both directions)
+const RECEIPT_LOCALES = {
+  en: 'en-US',
+  ar: 'ar-EG-u-nu-latn'
+}
+
+module.exports = {
+  RECEIPT_TEXT,
+  RECEIPT_LOCALES
+}
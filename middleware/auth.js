@@ -1,74 +1,244 @@
 // Authentication and Authorization Middleware
 
+const jwt = require('jsonwebtoken')
+const User = require('../schemas/Users')
+const Session = require('../schemas/Session')
+const { ACCESS_TOKEN_COOKIE } = require('../utils/sessions')
+const { getRolePermissions, getUngrantedPermissions } = require('../utils/roles')
+const { isTwoFactorRequired } = require('../utils/twoFactor')
+const { findActiveApiKey, touchApiKey, getApiKeyFromRequest } = require('../utils/apiKeys')
+
+/**
+ * Read a cookie value from the raw Cookie header
+ */
+const getCookie = (req, name) => {
+  const header = req.headers.cookie
+  if (!header) return null
+
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=')
+    if (key === name) {
+      return decodeURIComponent(rest.join('='))
+    }
+  }
+  return null
+}
+
+/**
+ * Extract the access token from the Authorization header (Bearer) or cookie
+ */
+const getTokenFromRequest = (req) => {
+  const authHeader = req.headers.authorization
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7).trim()
+  }
+  return getCookie(req, ACCESS_TOKEN_COOKIE)
+}
+
 /**
- * Middleware to verify user authentication
- * Currently checks for user in request (can be extended with JWT/sessions)
+ * Middleware that lets API keys through the authenticate that follows it
+ * Only put it on routes whose handlers work without req.user.
  */
-const authenticate = (req, res, next) => {
-  // In a real application, you would verify JWT token or session
-  // For now, this is a placeholder that can be extended
-  
-  // If using JWT:
-  // const token = req.headers.authorization?.split(' ')[1]
-  // if (!token) {
-  //   return res.status(401).json({ success: false, message: 'Authentication required' })
-  // }
-  // const decoded = jwt.verify(token, process.env.JWT_SECRET)
-  // req.user = decoded
-  
-  // For now, pass through (can be extended later)
+const acceptApiKey = (req, res, next) => {
+  req.apiKeyAccepted = true
   next()
 }
 
 /**
- * Middleware to verify user has required role(s)
- * @param {string|string[]} roles - Required role(s) (e.g., 'admin' or ['admin', 'staff'])
+ * Authenticate a request made with an API key (X-API-Key header)
+ * The key goes into req.apiKey and its scopes into req.permissions; req.user stays null.
  */
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    // Get user from request (set by authenticate middleware or from session)
-    const userRole = req.user?.role || req.body?.role || req.query?.role
-    
-    if (!userRole) {
+const authenticateApiKey = async (req, res, next, key) => {
+  if (!req.apiKeyAccepted) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint'
+    })
+  }
+
+  try {
+    const apiKey = await findActiveApiKey(key)
+    if (!apiKey) {
       return res.status(401).json({
         success: false,
-        message: 'Authorization required. Please provide user role.'
+        message: 'Invalid or revoked API key'
       })
     }
-    
-    // Check if user has required role
-    if (!roles.includes(userRole)) {
-      return res.status(403).json({
+
+    await touchApiKey(apiKey, req.ip)
+
+    req.user = null
+    req.apiKey = apiKey
+    req.permissions = apiKey.scopes
+    next()
+  } catch (error) {
+    console.error('API key authentication error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication',
+      error: error.message
+    })
+  }
+}
+
+/**
+ * Middleware to verify authentication - a user session or, on routes marked
+ * with acceptApiKey, an API key
+ * Verifies the signed access token, checks its session is still active and
+ * loads the user into req.user, the session into req.authSession and the
+ * permissions granted by the user's role into req.permissions.
+ * Users whose role requires 2FA get no permissions until they enroll
+ * (req.twoFactorSetupRequired)
+ */
+const authenticate = async (req, res, next) => {
+  const apiKey = getApiKeyFromRequest(req)
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey)
+  }
+
+  const token = getTokenFromRequest(req)
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    })
+  }
+
+  let decoded
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError'
+        ? 'Session expired. Please log in again.'
+        : 'Invalid authentication token'
+    })
+  }
+
+  try {
+    const session = decoded.sid && await Session.findOne({
+      _id: decoded.sid,
+      userId: decoded.sub,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+    if (!session) {
+      return res.status(401).json({
         success: false,
-        message: 'Access denied. Insufficient permissions.'
+        message: 'Session has ended. Please log in again.'
       })
     }
-    
+
+    const user = await User.findById(decoded.sub).active().select('-password')
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      })
+    }
+
+    req.user = user
+    req.authSession = session
+    req.twoFactorSetupRequired = !user.twoFactor?.enabled && await isTwoFactorRequired(user.role)
+    req.permissions = req.twoFactorSetupRequired ? [] : await getRolePermissions(user.role)
     next()
+  } catch (error) {
+    console.error('Authentication error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication',
+      error: error.message
+    })
   }
 }
 
 /**
- * Middleware to verify admin access
+ * Check whether the authenticated request has a permission
  */
-const requireAdmin = authorize('admin')
+const hasPermission = (req, permission) => {
+  return Array.isArray(req.permissions) && req.permissions.includes(permission)
+}
+
+/**
+ * Middleware to verify the user's role grants all of the given permission(s)
+ * Must run after authenticate
+ * @param {...string} permissions - e.g. 'products:edit', 'accounts:manage'
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user && !req.apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      })
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req, permission))
+    if (missing.length > 0 && req.twoFactorSetupRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be set up before this account can use its permissions',
+        twoFactorSetupRequired: true
+      })
+    }
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.',
+        requiredPermissions: missing
+      })
+    }
+
+    next()
+  }
+}
 
 /**
- * Middleware to verify staff access (admin or staff)
+ * Middleware refusing to give out a role (in req.body[field]) with permissions
+ * the requester does not hold, e.g. a shift lead making someone an admin
+ * Must run after authenticate
  */
-const requireStaff = authorize('admin', 'staff')
+const requireGrantableRole = (field = 'role') => {
+  return async (req, res, next) => {
+    const missing = await getUngrantedPermissions(req, req.body[field])
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only give out roles whose permissions you hold yourself.',
+        requiredPermissions: missing
+      })
+    }
+    next()
+  }
+}
 
 /**
- * Middleware to verify delivery access (admin or delivery)
+ * Middleware for routes open to every signed-in user that API keys may only
+ * use when they carry the given scope (e.g. 'orders:create')
  */
-const requireDelivery = authorize('admin', 'delivery')
+const requireApiKeyScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !hasPermission(req, scope)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. API key is missing a required scope.',
+        requiredPermissions: [scope]
+      })
+    }
+    next()
+  }
+}
 
 module.exports = {
+  getCookie,
+  getTokenFromRequest,
+  acceptApiKey,
   authenticate,
-  authorize,
-  requireAdmin,
-  requireStaff,
-  requireDelivery
+  hasPermission,
+  requirePermission,
+  requireGrantableRole,
+  requireApiKeyScope
 }
 
-
@@ -0,0 +1,117 @@
+// Resource Ownership Policies
+//
+// Customers may only touch their own cart, orders, receipts and account.
+// Roles with the matching permission (staff and admin by default) can see
+// everything. Delivery users ('orders:view-assigned') can only see orders
+// assigned to them via deliveryPersonId. API keys can see the orders they created.
+// Must run after authenticate.
+
+const { hasPermission } = require('./auth')
+
+/**
+ * Get the id from a reference that may or may not be populated
+ */
+const getRefId = (ref) => {
+  if (!ref) return null
+  return (ref._id || ref).toString()
+}
+
+const isSelf = (user, id) => !!user && !!id && user._id.toString() === id.toString()
+
+/**
+ * Can the requester read or modify data that belongs to this customer (cart, order history)?
+ */
+const canAccessCustomerData = (req, customerId) => {
+  return hasPermission(req, 'customers:view') || isSelf(req.user, customerId)
+}
+
+/**
+ * Can the requester see this order (and its receipt)?
+ */
+const canAccessOrder = (req, order) => {
+  if (req.apiKey && order) {
+    return hasPermission(req, 'orders:view-all') || getRefId(order.apiKeyId) === req.apiKey._id.toString()
+  }
+  if (!req.user || !order) return false
+  if (hasPermission(req, 'orders:view-all')) return true
+  if (isSelf(req.user, getRefId(order.customerId))) return true
+  return hasPermission(req, 'orders:view-assigned') && isSelf(req.user, getRefId(order.deliveryPersonId))
+}
+
+// Statuses a user who only sees the orders assigned to them (delivery) may set
+const ASSIGNED_ORDER_STATUSES = ['on-the-way', 'delivered']
+
+/**
+ * Can the requester change this order's status?
+ * Those who see every order can move any of them; anyone else only the orders
+ * assigned to them for delivery (API keys: the orders they created).
+ */
+const canUpdateOrderStatus = (req, order) => {
+  if (req.apiKey) return canAccessOrder(req, order)
+  if (!req.user || !order) return false
+  if (hasPermission(req, 'orders:view-all')) return true
+  return isSelf(req.user, getRefId(order.deliveryPersonId))
+}
+
+/**
+ * Is the requester limited to the delivery steps of orders assigned to them?
+ */
+const isLimitedToAssignedOrders = (req) => !req.apiKey && !hasPermission(req, 'orders:view-all')
+
+/**
+ * Can the requester delete or change this account? Only the account owner or an account manager.
+ */
+const canManageAccount = (req, accountId) => {
+  return hasPermission(req, 'accounts:manage') || isSelf(req.user, accountId)
+}
+
+const denyAccess = (res, message = 'Access denied. You can only access your own data.') => {
+  return res.status(403).json({
+    success: false,
+    message
+  })
+}
+
+/**
+ * Middleware to restrict customer-owned data to its owner (or staff/admin)
+ * @param {string} field - Name of the field holding the customer id
+ * @param {string} source - Where to read it from: 'params' or 'body'
+ */
+const requireCustomerAccess = (field = 'customerId', source = 'params') => {
+  return (req, res, next) => {
+    const customerId = req[source]?.[field]
+    if (!customerId) {
+      return next() // Missing ids are reported by the route's own validation
+    }
+    if (!canAccessCustomerData(req, customerId)) {
+      return denyAccess(res)
+    }
+    next()
+  }
+}
+
+/**
+ * Middleware to restrict account changes to the account owner (or an account manager)
+ * @param {string} paramName - Route parameter holding the account id
+ */
+const requireAccountAccess = (paramName = 'id') => {
+  return (req, res, next) => {
+    if (!canManageAccount(req, req.params[paramName])) {
+      return denyAccess(res, 'Access denied. You can only manage your own account.')
+    }
+    next()
+  }
+}
+
+module.exports = {
+  getRefId,
+  canAccessCustomerData,
+  canAccessOrder,
+  ASSIGNED_ORDER_STATUSES,
+  canUpdateOrderStatus,
+  isLimitedToAssignedOrders,
+  canManageAccount,
+  denyAccess,
+  requireCustomerAccess,
+  requireAccountAccess
+}
@@ -1,5 +1,8 @@
 // Rate Limiting Middleware
 
+const { getApiKeyFromRequest } = require('../utils/apiKeys')
+const { hashToken } = require('../utils/tokens')
+
 /**
  * Simple in-memory rate limiter
  * For production, use redis-based rate limiter (express-rate-limit with Redis)
@@ -23,9 +26,15 @@ setInterval(() => {
  * Rate limiter middleware
  * @param {number} windowMs - Time window in milliseconds
  * @param {number} maxRequests - Maximum requests per window
+ * @param {Object} options - { skip(req) } return true to bypass the limiter for a request,
+ *                           { keyGenerator(req) } to count requests per something other than IP + path
  */
-const rateLimiter = (windowMs = 60000, maxRequests = 100) => {
+const rateLimiter = (windowMs = 60000, maxRequests = 100, options = {}) => {
   return (req, res, next) => {
+    if (options.skip && options.skip(req)) {
+      return next()
+    }
+
     // Get client identifier (IP address)
     const clientId = req.ip || 
                      req.headers['x-forwarded-for']?.split(',')[0] || 
@@ -34,7 +43,7 @@ const rateLimiter = (windowMs = 60000, maxRequests = 100) => {
                      'unknown'
     
     const now = Date.now()
-    const key = `${clientId}:${req.path}`
+    const key = options.keyGenerator ? options.keyGenerator(req) : `${clientId}:${req.path}`
     const record = rateLimitStore.get(key)
     
     if (!record || now > record.resetTime) {
@@ -61,18 +70,40 @@ const rateLimiter = (windowMs = 60000, maxRequests = 100) => {
   }
 }
 
+/**
+ * Endpoints under /api/auth that are called routinely by signed-in clients
+ * (token refresh every few minutes, logout, session management, admin account pages)
+ */
+const SESSION_PATHS = ['/refresh', '/logout', '/logout-all']
+const isSignedInPath = (req) => SESSION_PATHS.includes(req.path) ||
+  req.path.startsWith('/sessions') ||
+  req.path.startsWith('/admin/') ||
+  req.path.startsWith('/2fa')
+
 /**
  * Strict rate limiter for authentication endpoints
+ * Signed-in endpoints are covered by the standard API limiter instead
  */
-const authRateLimiter = rateLimiter(15 * 60 * 1000, 5) // 5 requests per 15 minutes
+const authRateLimiter = rateLimiter(15 * 60 * 1000, 5, { skip: isSignedInPath }) // 5 requests per 15 minutes
 
 /**
  * Standard API rate limiter
  */
 const apiRateLimiter = rateLimiter(60000, 100) // 100 requests per minute
 
+/**
+ * Rate limiter for API keys (POS terminals, integrations)
+ * Counts every request made with the same key, whatever the endpoint or IP
+ */
+const API_KEY_RATE_LIMIT_PER_MINUTE = Number(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 300
+const apiKeyRateLimiter = rateLimiter(60000, API_KEY_RATE_LIMIT_PER_MINUTE, {
+  skip: (req) => !getApiKeyFromRequest(req),
+  keyGenerator: (req) => `api-key:${hashToken(getApiKeyFromRequest(req))}`
+})
+
 module.exports = {
   rateLimiter,
   authRateLimiter,
-  apiRateLimiter
+  apiRateLimiter,
+  apiKeyRateLimiter
 }
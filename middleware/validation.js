@@ -1,5 +1,7 @@
 // Input Validation and Sanitization Middleware
 
+const { roleExists } = require('../utils/roles')
+
 /**
  * Sanitize string input to prevent XSS and injection attacks
  */
@@ -34,6 +36,16 @@ const validatePhone = (phone) => {
   return phoneRegex.test(phone.trim()) && phone.replace(/\D/g, '').length >= 10
 }
 
+/**
+ * Validate password strength
+ * At least 8 characters with at least one letter and one digit
+ */
+const validatePassword = (password) => {
+  if (!password || typeof password !== 'string') return false
+  if (password.length < 8 || password.length > 128) return false
+  return /[A-Za-z]/.test(password) && /\d/.test(password)
+}
+
 /**
  * Validate MongoDB ObjectId
  */
@@ -147,6 +159,22 @@ const validatePhoneFormat = (req, res, next) => {
   next()
 }
 
+/**
+ * Validate password format
+ * @param {string} field - Body field holding the password (e.g. 'password' or 'newPassword')
+ */
+const validatePasswordFormat = (field = 'password') => {
+  return (req, res, next) => {
+    if (req.body[field] !== undefined && !validatePassword(req.body[field])) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be 8-128 characters and contain at least one letter and one number'
+      })
+    }
+    next()
+  }
+}
+
 /**
  * Validate number range
  */
@@ -182,6 +210,22 @@ const validateEnum = (field, allowedValues) => {
   }
 }
 
+/**
+ * Validate that a body field names an existing role (built-in or custom)
+ */
+const validateRole = (field = 'role') => {
+  return async (req, res, next) => {
+    const value = req.body[field]
+    if (value !== undefined && !(await roleExists(value))) {
+      return res.status(400).json({
+        success: false,
+        message: `${field} must be an existing role`
+      })
+    }
+    next()
+  }
+}
+
 /**
  * Validate MongoDB ObjectId in params
  */
@@ -202,6 +246,7 @@ module.exports = {
   sanitizeString,
   validateEmail,
   validatePhone,
+  validatePassword,
   validateObjectId,
   sanitizeQuery,
   sanitizeBody,
@@ -209,8 +254,10 @@ module.exports = {
   validateRequired,
   validateEmailFormat,
   validatePhoneFormat,
+  validatePasswordFormat,
   validateNumberRange,
   validateEnum,
+  validateRole,
   validateObjectIdParam
 }
 
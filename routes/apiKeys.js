@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const ApiKey = require('../schemas/ApiKey');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { sanitizeBody, validateRequired, validateObjectIdParam } = require('../middleware/validation');
+const { issueApiKey } = require('../utils/apiKeys');
+const { recordAudit } = require('../utils/audit');
+
+// Validate a scopes array from the request body
+const parseScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: 'scopes must be a non-empty array' };
+  }
+  const unknown = scopes.filter(scope => !Object.prototype.hasOwnProperty.call(API_KEY_SCOPES, scope));
+  if (unknown.length > 0) {
+    return { error: `Unknown scopes: ${unknown.join(', ')}` };
+  }
+  return { scopes: [...new Set(scopes)] };
+};
+
+// Parse an optional expiry date from the request body
+const parseExpiry = (expiresAt) => {
+  if (expiresAt === undefined || expiresAt === null || expiresAt === '') {
+    return { expiresAt: null };
+  }
+  const date = new Date(expiresAt);
+  if (isNaN(date.getTime()) || date <= new Date()) {
+    return { error: 'expiresAt must be a valid date in the future' };
+  }
+  return { expiresAt: date };
+};
+
+// List API keys with the scope catalogue (admin)
+router.get('/', authenticate, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+    const apiKeys = await ApiKey.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      scopes: API_KEY_SCOPES,
+      apiKeys
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching API keys',
+      error: error.message
+    });
+  }
+});
+
+// Issue a new API key - the key itself is only returned in this response (admin)
+router.post('/',
+  authenticate,
+  requirePermission('api-keys:manage'),
+  sanitizeBody,
+  validateRequired(['name']),
+  async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const { scopes, error: scopeError } = parseScopes(req.body.scopes);
+    if (scopeError) {
+      return res.status(400).json({ success: false, message: scopeError });
+    }
+
+    const { expiresAt, error: expiryError } = parseExpiry(req.body.expiresAt);
+    if (expiryError) {
+      return res.status(400).json({ success: false, message: expiryError });
+    }
+
+    const { apiKey, key } = await issueApiKey({ name, scopes, expiresAt, createdBy: req.user._id });
+
+    await recordAudit(req, {
+      action: 'api-key.create',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      targetLabel: apiKey.name,
+      after: { name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      apiKey,
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating API key',
+      error: error.message
+    });
+  }
+});
+
+// Rename a key or change its scopes (admin)
+router.put('/:id',
+  authenticate,
+  requirePermission('api-keys:manage'),
+  validateObjectIdParam('id'),
+  sanitizeBody,
+  async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, revokedAt: null });
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const before = { name: apiKey.name, scopes: [...apiKey.scopes], expiresAt: apiKey.expiresAt };
+
+    if (req.body.name !== undefined) {
+      if (typeof req.body.name !== 'string' || !req.body.name.trim()) {
+        return res.status(400).json({ success: false, message: 'Name cannot be empty' });
+      }
+      apiKey.name = req.body.name.trim();
+    }
+
+    if (req.body.scopes !== undefined) {
+      const { scopes, error } = parseScopes(req.body.scopes);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      apiKey.scopes = scopes;
+    }
+
+    if (req.body.expiresAt !== undefined) {
+      const { expiresAt, error } = parseExpiry(req.body.expiresAt);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      apiKey.expiresAt = expiresAt;
+    }
+
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api-key.update',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      targetLabel: apiKey.name,
+      before,
+      after: { name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key updated successfully',
+      apiKey
+    });
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating API key',
+      error: error.message
+    });
+  }
+});
+
+// Revoke a key - requests using it are rejected immediately (admin)
+router.delete('/:id',
+  authenticate,
+  requirePermission('api-keys:manage'),
+  validateObjectIdParam('id'),
+  async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'api-key.revoke',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      targetLabel: apiKey.name
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking API key',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../schemas/AuditLog');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validation');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+
+// Build a MongoDB filter from the audit log query parameters
+// Query: action, actorId, targetType, targetId, from, to
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  if (query.action) filter.action = query.action;
+  if (query.targetType) filter.targetType = query.targetType;
+
+  for (const field of ['actorId', 'targetId']) {
+    if (query[field]) {
+      if (!validateObjectId(query[field])) {
+        return { error: `Invalid ${field} format` };
+      }
+      filter[field] = query[field];
+    }
+  }
+
+  if (query.from || query.to) {
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return { error: 'from and to must be valid dates (e.g. 2024-01-31)' };
+    }
+
+    // A date-only upper bound includes the whole day
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  return { filter };
+};
+
+const fetchAuditPage = async (query) => {
+  const { filter, error } = buildAuditFilter(query);
+  if (error) return { error };
+
+  const { page, limit, skip } = parsePagination(query, { defaultLimit: 50, maxLimit: 200 });
+
+  const [entries, total, actions, targetTypes] = await Promise.all([
+    AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    AuditLog.countDocuments(filter),
+    AuditLog.distinct('action'),
+    AuditLog.distinct('targetType')
+  ]);
+
+  return {
+    entries,
+    actions: actions.sort(),
+    targetTypes: targetTypes.sort(),
+    pagination: buildPaginationMeta(page, limit, total)
+  };
+};
+
+// API - Get audit log entries (filtered, paginated)
+router.get('/api', authenticate, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const result = await fetchAuditPage(req.query);
+
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      entries: result.entries,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch audit log', error: error.message });
+  }
+});
+
+// GET - Audit log page
+router.get('/list', authenticate, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const result = await fetchAuditPage(req.query);
+
+    res.render('audit-log', {
+      title: 'Audit Log',
+      entries: result.entries || [],
+      actions: result.actions || [],
+      targetTypes: result.targetTypes || [],
+      pagination: result.pagination || buildPaginationMeta(1, 50, 0),
+      filters: req.query,
+      error: result.error || null
+    });
+  } catch (error) {
+    console.error('Error rendering audit log:', error);
+    res.render('audit-log', {
+      title: 'Audit Log',
+      entries: [],
+      actions: [],
+      targetTypes: [],
+      pagination: buildPaginationMeta(1, 50, 0),
+      filters: req.query,
+      error: 'Failed to load audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,62 +1,138 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../schemas/Users');
+const AuthToken = require('../schemas/AuthToken');
+const Order = require('../schemas/Orders');
+const Cart = require('../schemas/Cart');
+const Address = require('../schemas/Address');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { parsePagination, buildPaginationMeta, escapeRegex } = require('../utils/pagination');
+const { softDeleteAccount } = require('../utils/accountRetention');
+const { recordAudit } = require('../utils/audit');
+const { roleExists, getUngrantedPermissions } = require('../utils/roles');
+const { createInvite } = require('../utils/invites');
+const { isTwoFactorRequired, createLoginChallenge, completeLoginChallenge, countBackupCodes } = require('../utils/twoFactor');
+const crypto = require('crypto');
 const { 
   sanitizeBody, 
   validateRequired, 
   validateEmailFormat,
   validatePhoneFormat,
-  validateEnum,
+  validatePasswordFormat,
+  validateRole,
   validateObjectIdParam
 } = require('../middleware/validation');
+const {
+  authenticate,
+  hasPermission,
+  requirePermission,
+  requireGrantableRole,
+  getCookie
+} = require('../middleware/auth');
+const { requireAccountAccess } = require('../middleware/ownership');
+const {
+  REFRESH_TOKEN_COOKIE,
+  startSession,
+  issueTokens,
+  clearAuthCookies,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+} = require('../utils/sessions');
 
-// Admin route - creates a new user with specific role (admin, staff, delivery)
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const LOGIN_CODE_TTL_MINUTES = Number(process.env.LOGIN_CODE_TTL_MINUTES) || 10;
+const LOGIN_CODE_MAX_ATTEMPTS = 5;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const ACCOUNT_SORT_FIELDS = ['createdAt', 'name', 'email', 'role', 'stats.orderCount', 'stats.totalSpent', 'stats.lastOrderAt'];
+
+// Login codes are hashed together with the user id so equal codes never share a hash
+const hashLoginCode = (userId, code) => hashToken(`${userId}:${code}`);
+
+// Start a session and send the signed-in user (flags accounts that still have to enroll in 2FA)
+const signIn = async (req, res, user, extra = {}) => {
+  const userResponse = {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    avatar: user.avatar,
+    role: user.role,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+
+  const tokens = await startSession(req, res, user);
+  const twoFactorSetupRequired = !user.twoFactor?.enabled && await isTwoFactorRequired(user.role);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    user: userResponse,
+    ...extra,
+    ...(twoFactorSetupRequired && { twoFactorSetupRequired: true }),
+    ...tokens
+  });
+};
+
+// Finish a login once the first factor checks out: accounts with 2FA get a
+// short-lived challenge to answer at /login/2fa, everyone else is signed in
+const completeLogin = async (req, res, user) => {
+  if (user.twoFactor?.enabled) {
+    const challengeToken = await createLoginChallenge(user);
+    return res.status(200).json({
+      success: true,
+      message: 'Enter the code from your authenticator app or a backup code',
+      twoFactorRequired: true,
+      challengeToken
+    });
+  }
+
+  await signIn(req, res, user);
+};
+
+// Admin route - invites a new user with a specific role (admin, staff, delivery)
+// Invites are also managed (listed, resent, revoked) under /api/invites
 router.post('/admin/create', 
+  authenticate,
+  requirePermission('accounts:manage'),
   sanitizeBody,
-  validateRequired(['name', 'email', 'role']),
+  validateRequired(['email', 'role']),
   validateEmailFormat,
-  validatePhoneFormat,
-  validateEnum('role', ['admin', 'staff', 'delivery', 'customer']),
+  validateRole('role'),
+  requireGrantableRole('role'),
   async (req, res) => {
   try {
-    const { name, email, phone, avatar, role } = req.body;
+    const { name, email, role } = req.body;
 
     // Check if user already exists
-    const existingUser = await User.findOne({ email });
+    const existingUser = await User.findOne({ email: email.trim().toLowerCase() });
     if (existingUser) {
       return res.status(400).json({ 
         success: false, 
-        message: 'User with this email already exists' 
+        message: existingUser.deletedAt
+          ? 'An account with this email was recently deleted and cannot be reused yet'
+          : 'User with this email already exists' 
       });
     }
 
-    // Create new user with specified role
-    const newUser = new User({
-      name,
-      email,
-      phone: phone || '',
-      avatar: avatar || '',
-      role: role,
-    });
-
-    await newUser.save();
+    // The account is created when the invitee accepts and sets their own password
+    const invite = await createInvite(req.user, { email, name, role });
 
-    // Return user data (excluding password if it exists)
-    const userResponse = {
-      _id: newUser._id,
-      name: newUser.name,
-      email: newUser.email,
-      phone: newUser.phone,
-      avatar: newUser.avatar,
-      role: newUser.role,
-      createdAt: newUser.createdAt,
-      updatedAt: newUser.updatedAt
-    };
+    await recordAudit(req, {
+      action: 'invite.create',
+      targetType: 'Invite',
+      targetId: invite._id,
+      targetLabel: invite.email,
+      after: { email: invite.email, role: invite.role }
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Account created successfully',
-      user: userResponse
+      message: 'Invitation sent. The account is created once the invite is accepted.',
+      invite
     });
   } catch (error) {
     console.error('Admin create account error:', error);
@@ -69,15 +145,18 @@ router.post('/admin/create',
 });
 
 // Signup route - creates a new user with customer role
-router.post('/signup', async (req, res) => {
+router.post('/signup',
+  validateEmailFormat,
+  validatePasswordFormat('password'),
+  async (req, res) => {
   try {
-    const { name, email, phone, avatar } = req.body;
+    const { name, email, phone, avatar, password } = req.body;
 
     // Validate required fields
-    if (!name || !email) {
+    if (!name || !email || !password) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Name and email are required' 
+        message: 'Name, email and password are required' 
       });
     }
 
@@ -86,7 +165,9 @@ router.post('/signup', async (req, res) => {
     if (existingUser) {
       return res.status(400).json({ 
         success: false, 
-        message: 'User with this email already exists' 
+        message: existingUser.deletedAt
+          ? 'An account with this email was recently deleted and cannot be reused yet'
+          : 'User with this email already exists' 
       });
     }
 
@@ -96,9 +177,10 @@ router.post('/signup', async (req, res) => {
       email,
       phone: phone || '',
       avatar: avatar || '',
-      // password is optional, role defaults to "customer"
+      // role defaults to "customer"
     });
 
+    await newUser.setPassword(password);
     await newUser.save();
 
     // Return user data (excluding password if it exists)
@@ -113,10 +195,13 @@ router.post('/signup', async (req, res) => {
       updatedAt: newUser.updatedAt
     };
 
+    const tokens = await startSession(req, res, newUser);
+
     res.status(201).json({
       success: true,
       message: 'Account created successfully',
-      user: userResponse
+      user: userResponse,
+      ...tokens
     });
   } catch (error) {
     console.error('Signup error:', error);
@@ -128,74 +213,667 @@ router.post('/signup', async (req, res) => {
   }
 });
 
-// Login route - finds user by email and name
+// Login route - verifies email and password
 router.post('/login',
   sanitizeBody,
-  validateRequired(['email']),
+  validateRequired(['email', 'password']),
   validateEmailFormat,
   async (req, res) => {
   try {
-    const { email, name } = req.body;
+    const { email, password } = req.body;
 
-    // Find user by email
-    const user = await User.findOne({ email });
+    // Find user by email (password hash is not selected by default)
+    const user = await User.findOne({ email }).active().select('+password');
     
     if (!user) {
-      return res.status(404).json({ 
+      return res.status(401).json({ 
         success: false, 
-        message: 'User not found. Please sign up first.' 
+        message: 'Invalid email or password' 
       });
     }
 
-    // Optional: verify name matches (for password-free auth)
-    if (name && user.name.toLowerCase() !== name.toLowerCase()) {
+    // Accounts created before passwords were introduced have to set one first
+    if (!user.password) {
       return res.status(401).json({ 
         success: false, 
-        message: 'Name does not match our records' 
+        message: 'No password is set for this account. Use "Forgot password" to set one.',
+        passwordResetRequired: true
       });
     }
 
-    // Return user data (excluding password)
-    const userResponse = {
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      phone: user.phone,
-      avatar: user.avatar,
-      role: user.role,
-      createdAt: user.createdAt,
-      updatedAt: user.updatedAt
+    const passwordMatches = await user.comparePassword(password);
+    if (!passwordMatches) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid email or password' 
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during login',
+      error: error.message 
+    });
+  }
+});
+
+// Passwordless login - email a one-time code and magic link
+router.post('/login/code/request',
+  sanitizeBody,
+  validateRequired(['email']),
+  validateEmailFormat,
+  async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Same response whether or not the account exists (no account enumeration)
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a login code has been sent',
+      expiresInMinutes: LOGIN_CODE_TTL_MINUTES
     };
 
+    const user = await User.findOne({ email }).active();
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // A new request replaces any code that has not been used yet
+    await AuthToken.deleteMany({ userId: user._id, type: 'login-code', usedAt: null });
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const magicToken = generateToken();
+    await AuthToken.create({
+      userId: user._id,
+      type: 'login-code',
+      tokenHash: hashToken(magicToken),
+      codeHash: hashLoginCode(user._id, code),
+      expiresAt: new Date(Date.now() + LOGIN_CODE_TTL_MINUTES * 60 * 1000)
+    });
+
+    const magicLink = `${FRONTEND_URL}/login/magic?token=${magicToken}`;
+    await sendMail({
+      to: user.email,
+      subject: `Your Nile Cafe login code: ${code}`,
+      text: `Hi ${user.name},\n\nYour login code is ${code}. It expires in ${LOGIN_CODE_TTL_MINUTES} minutes.\n\nOr sign in directly with this link:\n${magicLink}\n\nIf you did not request this, you can ignore this email.`
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Request login code error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error sending login code',
+      error: error.message 
+    });
+  }
+});
+
+// Passwordless login - exchange a code (with email) or magic link token for a session
+router.post('/login/code/verify',
+  sanitizeBody,
+  validateEmailFormat,
+  async (req, res) => {
+  try {
+    const { email, code, token } = req.body;
+    const now = new Date();
+    let loginToken = null;
+
+    if (token) {
+      // Magic link - consume atomically so it works only once
+      loginToken = await AuthToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), type: 'login-code', usedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now },
+        { new: true }
+      );
+    } else if (email && code) {
+      const user = await User.findOne({ email }).active();
+      const pending = user && await AuthToken.findOne({
+        userId: user._id,
+        type: 'login-code',
+        usedAt: null,
+        expiresAt: { $gt: now }
+      });
+
+      // Each guess takes an attempt before the code is compared, so guesses sent
+      // in parallel cannot go past the limit
+      const attempt = pending && await AuthToken.findOneAndUpdate(
+        { _id: pending._id, usedAt: null, attempts: { $lt: LOGIN_CODE_MAX_ATTEMPTS } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      );
+
+      if (pending && !attempt) {
+        await AuthToken.deleteOne({ _id: pending._id, usedAt: null });
+        return res.status(429).json({ 
+          success: false, 
+          message: 'Too many incorrect attempts. Please request a new code.' 
+        });
+      }
+
+      if (attempt) {
+        if (attempt.codeHash === hashLoginCode(user._id, String(code).trim())) {
+          loginToken = await AuthToken.findOneAndUpdate(
+            { _id: attempt._id, usedAt: null },
+            { usedAt: now },
+            { new: true }
+          );
+        } else {
+          const attemptsLeft = Math.max(LOGIN_CODE_MAX_ATTEMPTS - attempt.attempts, 0);
+          if (attemptsLeft === 0) {
+            await AuthToken.deleteOne({ _id: pending._id });
+          }
+          return res.status(401).json({ 
+            success: false, 
+            message: attemptsLeft > 0
+              ? 'Incorrect code'
+              : 'Too many incorrect attempts. Please request a new code.',
+            attemptsLeft
+          });
+        }
+      }
+    } else {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Provide either email and code, or a login link token' 
+      });
+    }
+
+    if (!loginToken) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Login code is invalid or has expired' 
+      });
+    }
+
+    const user = await User.findById(loginToken.userId).active();
+    if (!user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Login code is invalid or has expired' 
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Verify login code error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error verifying login code',
+      error: error.message 
+    });
+  }
+});
+
+// Second login step for accounts with 2FA - answer the challenge with an
+// authenticator code or a backup code
+router.post('/login/2fa',
+  sanitizeBody,
+  validateRequired(['challengeToken', 'code']),
+  async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const result = await completeLoginChallenge(challengeToken, code);
+    if (result.error) {
+      return res.status(401).json({ 
+        success: false, 
+        message: result.error 
+      });
+    }
+
+    const user = await User.findById(result.userId).active();
+    if (!user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Login attempt has expired. Please sign in again.' 
+      });
+    }
+
+    // Warn when the last backup codes are being used up
+    const extra = {};
+    if (result.method === 'backup-code') {
+      extra.backupCodesRemaining = await countBackupCodes(user._id);
+    }
+
+    await signIn(req, res, user, extra);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error verifying authentication code',
+      error: error.message 
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token (refresh token is rotated)
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.body?.refreshToken || getCookie(req, REFRESH_TOKEN_COOKIE);
+
+    if (!refreshToken) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Refresh token is required' 
+      });
+    }
+
+    const rotated = await rotateRefreshToken(req, refreshToken);
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has ended. Please log in again.' 
+      });
+    }
+
+    const user = await User.findById(rotated.session.userId).active();
+    if (!user) {
+      await revokeSession(rotated.session._id, 'user-missing');
+      clearAuthCookies(res);
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has ended. Please log in again.' 
+      });
+    }
+
+    const tokens = issueTokens(res, user, rotated.session, rotated.refreshToken);
+
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      user: userResponse
+      ...tokens
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error during login',
+      message: 'Server error refreshing session',
+      error: error.message 
+    });
+  }
+});
+
+// Log out of the current session
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await revokeSession(req.authSession._id, 'logout');
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during logout',
+      error: error.message 
+    });
+  }
+});
+
+// Sign out everywhere - revokes every session of the current user
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user._id, 'logout-all');
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed out of all devices',
+      revokedSessions
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error signing out of all devices',
+      error: error.message 
+    });
+  }
+});
+
+// List active sessions of the current user
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching sessions',
+      error: error.message 
+    });
+  }
+});
+
+// Revoke one of the current user's sessions (e.g. a shared tablet)
+router.delete('/sessions/:sessionId',
+  authenticate,
+  validateObjectIdParam('sessionId'),
+  async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.sessionId, 'revoked-by-user', { userId: req.user._id });
+
+    if (!revoked) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error revoking session',
+      error: error.message 
+    });
+  }
+});
+
+// Change password for the logged-in user
+router.post('/password/change',
+  authenticate,
+  sanitizeBody,
+  validateRequired(['currentPassword', 'newPassword']),
+  validatePasswordFormat('newPassword'),
+  async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.password) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No password is set for this account. Use "Forgot password" to set one.' 
+      });
+    }
+
+    const passwordMatches = await user.comparePassword(currentPassword);
+    if (!passwordMatches) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Current password is incorrect' 
+      });
+    }
+
+    await user.setPassword(newPassword);
+    await user.save();
+
+    // Keep this device signed in, sign out everywhere else
+    const revokedSessions = await revokeAllSessions(user._id, 'password-change', {
+      exceptSessionId: req.authSession._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      revokedSessions
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error changing password',
+      error: error.message 
+    });
+  }
+});
+
+// Request a password reset token
+router.post('/password/forgot',
+  sanitizeBody,
+  validateRequired(['email']),
+  validateEmailFormat,
+  async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Same response whether or not the account exists (no account enumeration)
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email }).active();
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Only the most recent reset token is valid
+    await AuthToken.deleteMany({ userId: user._id, type: 'password-reset', usedAt: null });
+
+    const resetToken = generateToken();
+    await AuthToken.create({
+      userId: user._id,
+      type: 'password-reset',
+      tokenHash: hashToken(resetToken),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    });
+
+    const resetLink = `${FRONTEND_URL}/reset-password?token=${resetToken}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Nile Cafe password',
+      text: `Hi ${user.name},\n\nUse the link below to set a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.\n\n${resetLink}\n\nIf you did not request this, you can ignore this email.`
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error requesting password reset',
       error: error.message 
     });
   }
 });
 
-// Get all accounts from database collection
-router.get('/admin/accounts', async (req, res) => {
+// Reset password with a reset token (also sets a first password for legacy accounts)
+router.post('/password/reset',
+  sanitizeBody,
+  validateRequired(['token', 'password']),
+  validatePasswordFormat('password'),
+  async (req, res) => {
   try {
-    // Fetch ALL users from the database collection (no filtering on backend)
-    const accounts = await User.find({}).select('-password').sort({ createdAt: -1 });
+    const { token, password } = req.body;
+
+    // Consume the token atomically so it can only be used once
+    const resetToken = await AuthToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        type: 'password-reset',
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reset link is invalid or has expired' 
+      });
+    }
 
-    console.log(`Found ${accounts.length} total accounts in database`);
-    accounts.forEach(acc => {
-      console.log(`- ${acc.name} (${acc.email}) - Role: ${acc.role}`);
+    const user = await User.findById(resetToken.userId).active();
+    if (!user) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reset link is invalid or has expired' 
+      });
+    }
+
+    await user.setPassword(password);
+    await user.save();
+
+    await AuthToken.deleteMany({ userId: user._id, type: 'password-reset', usedAt: null });
+    await revokeAllSessions(user._id, 'password-reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error resetting password',
+      error: error.message 
     });
+  }
+});
+
+// Get accounts (admin) - paginated, filterable and searchable, with per-account order stats
+// for those who may view reports ('reports:view')
+// Query: page, limit, role, createdFrom, createdTo, q (name/email/phone), sortBy, order (asc|desc), includeDeleted
+router.get('/admin/accounts', authenticate, requirePermission('accounts:manage'), async (req, res) => {
+  try {
+    const { role, createdFrom, createdTo, q, includeDeleted } = req.query;
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+
+    // A repeated parameter (?q=a&q=b) arrives as an array or object rather than text
+    const textParams = { role, createdFrom, createdTo, q };
+    const notText = Object.keys(textParams).find(name => textParams[name] !== undefined && typeof textParams[name] !== 'string');
+    if (notText) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `${notText} must be given once, as text` 
+      });
+    }
+
+    // Soft-deleted accounts are hidden unless explicitly requested
+    const match = includeDeleted === 'true' ? {} : { deletedAt: null };
+
+    if (role) {
+      if (!(await roleExists(role))) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'role must be an existing role' 
+        });
+      }
+      match.role = role;
+    }
+
+    if (createdFrom || createdTo) {
+      const from = createdFrom ? new Date(createdFrom) : null;
+      const to = createdTo ? new Date(createdTo) : null;
+
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'createdFrom and createdTo must be valid dates (e.g. 2024-01-31)' 
+        });
+      }
+
+      // A date-only upper bound includes the whole day
+      if (to && /^\d{4}-\d{2}-\d{2}$/.test(createdTo)) {
+        to.setUTCHours(23, 59, 59, 999);
+      }
+
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = from;
+      if (to) match.createdAt.$lte = to;
+    }
+
+    if (q && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      match.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    const sortBy = req.query.sortBy || 'createdAt';
+    if (!ACCOUNT_SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `sortBy must be one of: ${ACCOUNT_SORT_FIELDS.join(', ')}` 
+      });
+    }
+    const sortDirection = req.query.order === 'asc' ? 1 : -1;
+    const sortsByStats = sortBy.startsWith('stats.');
+    const includeStats = hasPermission(req, 'reports:view');
+    if (sortsByStats && !includeStats) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Sorting by order stats requires the reports:view permission',
+        requiredPermissions: ['reports:view']
+      });
+    }
+
+    // Order stats per account (cancelled orders don't count towards orders or spend)
+    const statsStages = [
+      {
+        $lookup: {
+          from: Order.collection.name,
+          let: { userId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$customerId', '$$userId'] } } },
+            {
+              $group: {
+                _id: null,
+                orderCount: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 0, 1] } },
+                totalSpent: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 0, '$totalPrice'] } },
+                lastOrderAt: { $max: '$createdAt' }
+              }
+            }
+          ],
+          as: 'orderStats'
+        }
+      },
+      {
+        $addFields: {
+          stats: {
+            orderCount: { $ifNull: [{ $first: '$orderStats.orderCount' }, 0] },
+            totalSpent: { $ifNull: [{ $first: '$orderStats.totalSpent' }, 0] },
+            lastOrderAt: { $ifNull: [{ $first: '$orderStats.lastOrderAt' }, null] }
+          }
+        }
+      },
+      { $project: { password: 0, orderStats: 0 } }
+    ];
+
+    // Stats are only computed for the requested page unless the sort needs them
+    const [result] = await User.aggregate([
+      { $match: match },
+      ...(sortsByStats ? statsStages : []),
+      { $sort: { [sortBy]: sortDirection, _id: sortDirection } },
+      {
+        $facet: {
+          accounts: [
+            { $skip: skip },
+            { $limit: limit },
+            ...(sortsByStats ? [] : includeStats ? statsStages : [{ $project: { password: 0 } }])
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
 
     res.status(200).json({
       success: true,
-      accounts: accounts
+      accounts: result.accounts,
+      pagination: buildPaginationMeta(page, limit, total)
     });
   } catch (error) {
     console.error('Get accounts error:', error);
@@ -209,21 +887,26 @@ router.get('/admin/accounts', async (req, res) => {
 
 // Update user role
 router.put('/admin/accounts/:id/role',
+  authenticate,
+  requirePermission('accounts:manage'),
   sanitizeBody,
   validateObjectIdParam('id'),
   validateRequired(['role']),
-  validateEnum('role', ['admin', 'staff', 'delivery', 'customer']),
+  validateRole('role'),
+  requireGrantableRole('role'),
   async (req, res) => {
   try {
     const { id } = req.params;
     const { role } = req.body;
 
-    // Find and update user
-    const user = await User.findByIdAndUpdate(
-      id,
-      { role: role },
-      { new: true }
-    ).select('-password');
+    if (id === req.user._id.toString()) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You cannot change your own role' 
+      });
+    }
+
+    const user = await User.findById(id).active().select('-password');
 
     if (!user) {
       return res.status(404).json({ 
@@ -232,12 +915,42 @@ router.put('/admin/accounts/:id/role',
       });
     }
 
+    // Nor can the role of an account with more permissions than the requester be changed
+    const ungranted = await getUngrantedPermissions(req, user.role);
+    if (ungranted.length > 0) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied. You cannot change the role of an account with permissions you do not hold.',
+        requiredPermissions: ungranted
+      });
+    }
+
+    let revokedSessions = 0;
+    if (user.role !== role) {
+      const previousRole = user.role;
+      user.role = role;
+      await user.save();
+
+      await recordAudit(req, {
+        action: 'account.role-change',
+        targetType: 'User',
+        targetId: user._id,
+        targetLabel: user.email,
+        before: { role: previousRole },
+        after: { role }
+      });
+
+      // Existing tokens carry the old role - the user has to sign in again
+      revokedSessions = await revokeAllSessions(user._id, 'role-change');
+    }
+
     console.log(`Updated user ${user.name} (${user.email}) role to: ${role}`);
 
     res.status(200).json({
       success: true,
       message: 'Role updated successfully',
-      user: user
+      user: user,
+      revokedSessions
     });
   } catch (error) {
     console.error('Update role error:', error);
@@ -249,15 +962,63 @@ router.put('/admin/accounts/:id/role',
   }
 });
 
+// Export all personal data of an account as a downloadable JSON archive
+router.get('/account/:id/export',
+  authenticate,
+  validateObjectIdParam('id'),
+  requireAccountAccess('id'),
+  async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).active().select('-password').lean();
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const [orders, cart, addresses, sessions] = await Promise.all([
+      Order.find({ customerId: user._id }).sort({ createdAt: -1 }).lean(),
+      Cart.findOne({ customerId: user._id }).lean(),
+      Address.find({ userId: user._id }).sort({ isDefault: -1, createdAt: -1 }).lean(),
+      listActiveSessions(user._id)
+    ]);
+
+    const archive = {
+      exportedAt: new Date(),
+      profile: user,
+      orders,
+      cart: cart || { items: [] },
+      addresses,
+      sessions
+    };
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="nilecafe-account-${user._id}.json"`);
+    res.status(200).send(JSON.stringify(archive, null, 2));
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error exporting account data',
+      error: error.message 
+    });
+  }
+});
+
 // Delete user account (customer can delete their own account)
 router.delete('/account/:id',
+  authenticate,
   validateObjectIdParam('id'),
+  requireAccountAccess('id'),
   async (req, res) => {
   try {
     const { id } = req.params;
 
     // Find user before deleting to log
-    const user = await User.findById(id);
+    const user = await User.findById(id).active();
     
     if (!user) {
       return res.status(404).json({ 
@@ -266,8 +1027,17 @@ router.delete('/account/:id',
       });
     }
 
-    // Delete the user
-    await User.findByIdAndDelete(id);
+    // Soft delete - personal data is anonymized after the grace period, orders are kept
+    const anonymizationScheduledFor = await softDeleteAccount(user);
+
+    await recordAudit(req, {
+      action: 'account.delete',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { deletedAt: null },
+      after: { deletedAt: user.deletedAt }
+    });
 
     console.log(`Deleted user: ${user.name} (${user.email}) - Role: ${user.role}`);
 
@@ -278,7 +1048,8 @@ router.delete('/account/:id',
         id: user._id,
         name: user.name,
         email: user.email
-      }
+      },
+      anonymizationScheduledFor
     });
   } catch (error) {
     console.error('Delete account error:', error);
@@ -290,15 +1061,137 @@ router.delete('/account/:id',
   }
 });
 
+// List active sessions of a user (admin route)
+router.get('/admin/accounts/:id/sessions',
+  authenticate,
+  requirePermission('accounts:manage'),
+  validateObjectIdParam('id'),
+  async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching sessions',
+      error: error.message 
+    });
+  }
+});
+
+// Revoke all sessions of a user (admin route)
+router.delete('/admin/accounts/:id/sessions',
+  authenticate,
+  requirePermission('accounts:manage'),
+  validateObjectIdParam('id'),
+  async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.params.id, 'revoked-by-admin');
+
+    res.status(200).json({
+      success: true,
+      message: 'All sessions revoked successfully',
+      revokedSessions
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error revoking sessions',
+      error: error.message 
+    });
+  }
+});
+
+// Revoke a single session of a user (admin route)
+router.delete('/admin/accounts/:id/sessions/:sessionId',
+  authenticate,
+  requirePermission('accounts:manage'),
+  validateObjectIdParam('id'),
+  validateObjectIdParam('sessionId'),
+  async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.sessionId, 'revoked-by-admin', { userId: req.params.id });
+
+    if (!revoked) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error revoking session',
+      error: error.message 
+    });
+  }
+});
+
+// Restore a soft-deleted account during the grace period (admin route)
+router.post('/admin/accounts/:id/restore',
+  authenticate,
+  requirePermission('accounts:manage'),
+  validateObjectIdParam('id'),
+  async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null }, anonymizedAt: null },
+      { deletedAt: null },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No restorable deleted account found' 
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'account.restore',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account restored successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Restore account error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error restoring account',
+      error: error.message 
+    });
+  }
+});
+
 // Delete user account (admin route)
 router.delete('/admin/accounts/:id',
+  authenticate,
+  requirePermission('accounts:manage'),
   validateObjectIdParam('id'),
   async (req, res) => {
   try {
     const { id } = req.params;
 
     // Find user before deleting to log
-    const user = await User.findById(id);
+    const user = await User.findById(id).active();
     
     if (!user) {
       return res.status(404).json({ 
@@ -307,8 +1200,17 @@ router.delete('/admin/accounts/:id',
       });
     }
 
-    // Delete the user
-    await User.findByIdAndDelete(id);
+    // Soft delete - personal data is anonymized after the grace period, orders are kept
+    const anonymizationScheduledFor = await softDeleteAccount(user);
+
+    await recordAudit(req, {
+      action: 'account.delete',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { deletedAt: null },
+      after: { deletedAt: user.deletedAt }
+    });
 
     console.log(`Deleted user: ${user.name} (${user.email}) - Role: ${user.role}`);
 
@@ -319,7 +1221,8 @@ router.delete('/admin/accounts/:id',
         id: user._id,
         name: user.name,
         email: user.email
-      }
+      },
+      anonymizationScheduledFor
     });
   } catch (error) {
     console.error('Delete account error:', error);
@@ -3,10 +3,13 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const Cart = require('../schemas/Cart');
 const User = require('../schemas/Users');
-const Product = require('../schemas/Product');
+const { authenticate } = require('../middleware/auth');
+const { requireCustomerAccess } = require('../middleware/ownership');
+const { priceLineItems } = require('../utils/pricing');
+const { imageUrls } = require('../utils/images');
 
 // Save/Update cart for a customer
-router.post('/save', async (req, res) => {
+router.post('/save', authenticate, requireCustomerAccess('customerId', 'body'), async (req, res) => {
   try {
     const { customerId, items } = req.body;
 
@@ -36,7 +39,7 @@ router.post('/save', async (req, res) => {
     }
 
     // Verify customer exists
-    const customer = await User.findById(customerObjectId);
+    const customer = await User.findById(customerObjectId).active();
     if (!customer) {
       return res.status(404).json({
         success: false,
@@ -67,80 +70,27 @@ router.post('/save', async (req, res) => {
       });
     }
 
-    // Verify all products exist and format items for database
-    const formattedItems = [];
-    for (const item of items) {
-      const productId = item.productId || item.id;
-      
-      console.log(`Processing item: ${item.name || 'Unknown'}, productId: ${productId}`);
-      
-      // Convert to ObjectId if it's a string
-      let productObjectId;
-      try {
-        if (!productId) {
-          console.error('Product ID is missing for item:', item);
-          return res.status(400).json({
-            success: false,
-            message: `Product ID is missing for item: ${item.name || 'Unknown'}`
-          });
-        }
-
-        if (!mongoose.Types.ObjectId.isValid(productId)) {
-          console.error('Invalid productId format:', productId, 'Type:', typeof productId);
-          return res.status(400).json({
-            success: false,
-            message: `Invalid product ID format: ${productId}`
-          });
-        }
-
-        productObjectId = new mongoose.Types.ObjectId(productId);
-        console.log(`Converted productId to ObjectId: ${productObjectId}`);
-      } catch (error) {
-        console.error('Error converting productId to ObjectId:', error);
-        return res.status(400).json({
-          success: false,
-          message: `Invalid product ID format: ${productId}`,
-          error: error.message
-        });
-      }
-
-      // Verify product exists
-      try {
-        const product = await Product.findById(productObjectId);
-        if (!product) {
-          console.error(`Product not found in database: ${productObjectId}`);
-          // Instead of returning error, skip this item and continue
-          // This allows cart to save even if one product is missing
-          console.warn(`Skipping product ${item.name || productId} - not found in database`);
-          continue;
-        }
-        console.log(`Product found: ${product.name}`);
-
-        // Format item for database - ensure all required fields are present
-        const formattedItem = {
-          productId: productObjectId,
-          name: item.name || product.name || 'Unknown Product',
-          price: item.price !== undefined && item.price !== null ? Number(item.price) : Number(product.price) || 0,
-          quantity: item.quantity && item.quantity > 0 ? Number(item.quantity) : 1,
-          image: item.image || product.image || '',
-          description: item.description || product.description || '',
-          category: item.category || product.category || ''
-        };
+    // Verify all products exist and price each line from the product (or its chosen variant)
+    const { entries, missing, error: pricingError, status, reason } = await priceLineItems(items);
+    if (pricingError) {
+      return res.status(status).json({
+        success: false,
+        message: pricingError,
+        reason
+      });
+    }
 
-        // Validate required fields
-        if (!formattedItem.name || !formattedItem.productId || formattedItem.price === undefined || formattedItem.price === null) {
-          console.error('Invalid item data:', formattedItem);
-          continue; // Skip invalid items
-        }
+    // Skip products that no longer exist so the rest of the cart still saves
+    missing.forEach(item => {
+      console.warn(`Skipping product ${item.name || item.productId || item.id} - not found in database`);
+    });
 
-        formattedItems.push(formattedItem);
-      } catch (error) {
-        console.error('Error finding product:', error);
-        // Skip this item and continue with others
-        console.warn(`Skipping product ${item.name || productId} due to error: ${error.message}`);
-        continue;
-      }
-    }
+    const formattedItems = entries.map(({ line, product, item }) => ({
+      ...line,
+      image: product.imageId ? imageUrls(product.imageId).thumbnail : (product.image || ''),
+      description: item.description || product.description || '',
+      category: item.category || product.category || ''
+    }));
 
     console.log(`Formatted ${formattedItems.length} items for database`);
 
@@ -195,7 +145,7 @@ router.post('/save', async (req, res) => {
     // Populate product details
     console.log('Populating cart with product details...');
     const populatedCart = await Cart.findById(cart._id)
-      .populate('items.productId', 'name price image category isAvailable');
+      .populate('items.productId', 'name price image category isAvailable variants');
 
     console.log('Cart saved successfully!');
     res.status(200).json({
@@ -219,7 +169,7 @@ router.post('/save', async (req, res) => {
 });
 
 // Get cart for a customer
-router.get('/:customerId', async (req, res) => {
+router.get('/:customerId', authenticate, requireCustomerAccess('customerId'), async (req, res) => {
   try {
     const { customerId } = req.params;
 
@@ -237,7 +187,7 @@ router.get('/:customerId', async (req, res) => {
     }
 
     const cart = await Cart.findOne({ customerId: customerObjectId })
-      .populate('items.productId', 'name price image category isAvailable');
+      .populate('items.productId', 'name price image category isAvailable variants');
 
     if (!cart) {
       // Return empty cart if none exists
@@ -266,7 +216,7 @@ router.get('/:customerId', async (req, res) => {
 });
 
 // Clear cart for a customer
-router.delete('/:customerId', async (req, res) => {
+router.delete('/:customerId', authenticate, requireCustomerAccess('customerId'), async (req, res) => {
   try {
     const { customerId } = req.params;
 
@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../schemas/Category');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateObjectIdParam } = require('../middleware/validation');
+const {
+  listCategories,
+  listCategoriesWithCounts,
+  parseCategoryInput,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../utils/categories');
+const { recordAudit } = require('../utils/audit');
+const { LANGUAGES, TRANSLATED_LANGUAGES } = require('../config/languages');
+const { resolveLanguage, setResponseLanguage, localizeCategory } = require('../utils/localization');
+
+// Languages with their own name and description inputs on the management page
+const translatedLanguages = TRANSLATED_LANGUAGES.map(code => ({ code, ...LANGUAGES[code] }));
+
+const auditCreate = (req, category) => recordAudit(req, {
+  action: 'category.create',
+  targetType: 'Category',
+  targetId: category._id,
+  targetLabel: category.name,
+  after: category.toObject()
+});
+
+const auditUpdate = (req, category, before) => recordAudit(req, {
+  action: 'category.update',
+  targetType: 'Category',
+  targetId: category._id,
+  targetLabel: category.name,
+  before,
+  after: category.toObject()
+});
+
+const auditDelete = (req, category) => recordAudit(req, {
+  action: 'category.delete',
+  targetType: 'Category',
+  targetId: category._id,
+  targetLabel: category.name,
+  before: category.toObject()
+});
+
+// API - Get active categories in display order (for frontend), named in the
+// language asked for with ?lang= or Accept-Language
+router.get('/api', async (req, res) => {
+  try {
+    const language = resolveLanguage(req);
+    setResponseLanguage(res, language);
+
+    const categories = await listCategories({ activeOnly: true });
+    res.json({ success: true, language, categories: categories.map(category => localizeCategory(category, language)) });
+  } catch (error) {
+    console.error('Error fetching categories API:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch categories', error: error.message });
+  }
+});
+
+// API - Get all categories with product counts (for admin - includes inactive)
+router.get('/api/all', authenticate, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const categories = await listCategoriesWithCounts();
+    res.json({ success: true, categories });
+  } catch (error) {
+    console.error('Error fetching all categories:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch categories', error: error.message });
+  }
+});
+
+// API - Create a category
+router.post('/api', authenticate, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const { data, error } = parseCategoryInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const result = await createCategory(data);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    await auditCreate(req, result.category);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category: result.category
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({ success: false, message: 'Failed to create category', error: error.message });
+  }
+});
+
+// API - Update a category
+router.put('/api/:id', authenticate, requirePermission('products:edit'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const { data, error } = parseCategoryInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const result = await updateCategory(category, data);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    await auditUpdate(req, result.category, result.before);
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category: result.category
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({ success: false, message: 'Failed to update category', error: error.message });
+  }
+});
+
+// API - Delete a category (blocked while it still has products)
+router.delete('/api/:id', authenticate, requirePermission('products:edit'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const result = await deleteCategory(category);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    await auditDelete(req, category);
+
+    res.json({ success: true, message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete category', error: error.message });
+  }
+});
+
+// GET - Category management page
+router.get('/manage', authenticate, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const categories = await listCategoriesWithCounts();
+    res.render('categories', {
+      title: 'Manage Categories',
+      categories,
+      translatedLanguages,
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+  } catch (error) {
+    console.error('Error loading categories page:', error);
+    res.render('categories', {
+      title: 'Manage Categories',
+      categories: [],
+      translatedLanguages,
+      message: null,
+      error: 'Failed to load categories'
+    });
+  }
+});
+
+const redirectWith = (res, key, text) => {
+  res.redirect(`/categories/manage?${key}=${encodeURIComponent(text)}`);
+};
+
+// POST - Create a category from the management page
+router.post('/add', authenticate, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const { data, error } = parseCategoryInput(req.body);
+    if (error) return redirectWith(res, 'error', error);
+
+    const result = await createCategory(data);
+    if (result.error) return redirectWith(res, 'error', result.error);
+
+    await auditCreate(req, result.category);
+    redirectWith(res, 'message', `Category "${result.category.name}" has been added successfully!`);
+  } catch (error) {
+    console.error('Error creating category:', error);
+    redirectWith(res, 'error', 'Failed to create category. Please try again.');
+  }
+});
+
+// POST - Update a category from the management page
+router.post('/edit/:id', authenticate, requirePermission('products:edit'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return redirectWith(res, 'error', 'Category not found');
+
+    const { data, error } = parseCategoryInput(req.body);
+    if (error) return redirectWith(res, 'error', error);
+
+    const result = await updateCategory(category, data);
+    if (result.error) return redirectWith(res, 'error', result.error);
+
+    await auditUpdate(req, result.category, result.before);
+    redirectWith(res, 'message', 'Category updated successfully');
+  } catch (error) {
+    console.error('Error updating category:', error);
+    redirectWith(res, 'error', 'Failed to update category. Please try again.');
+  }
+});
+
+// POST - Delete a category from the management page
+router.post('/delete/:id', authenticate, requirePermission('products:edit'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return redirectWith(res, 'error', 'Category not found');
+
+    const result = await deleteCategory(category);
+    if (result.error) return redirectWith(res, 'error', result.error);
+
+    await auditDelete(req, category);
+    redirectWith(res, 'message', 'Category deleted successfully');
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    redirectWith(res, 'error', 'Failed to delete category. Please try again.');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const Image = require('../schemas/Image');
+const { validateObjectIdParam } = require('../middleware/validation');
+const { IMAGE_SIZES, DEFAULT_SIZE, readImage } = require('../utils/images');
+
+// Image files never change once written, so browsers and CDNs may keep them for a year
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// GET - Serve an image as binary (size: thumbnail, medium or full; defaults to medium)
+router.get('/:id/:size?', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const sizeName = req.params.size || DEFAULT_SIZE;
+    if (!IMAGE_SIZES[sizeName]) {
+      return res.status(400).json({
+        success: false,
+        message: `Size must be one of: ${Object.keys(IMAGE_SIZES).join(', ')}`
+      });
+    }
+
+    const image = await Image.findById(req.params.id).lean();
+    const size = image && image.sizes.find(entry => entry.name === sizeName);
+    if (!size) {
+      return res.status(404).json({ success: false, message: 'Image not found' });
+    }
+
+    const etag = `"${size.etag}"`;
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag)) {
+      res.setHeader('ETag', etag);
+      res.setHeader('Cache-Control', CACHE_CONTROL);
+      return res.status(304).end();
+    }
+
+    const data = await readImage(image, size);
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'Image file is missing' });
+    }
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', CACHE_CONTROL);
+    res.setHeader('Content-Type', size.contentType);
+    res.setHeader('Content-Length', data.length);
+    res.end(data);
+  } catch (error) {
+    console.error('Error serving image:', error);
+    res.status(500).json({ success: false, message: 'Failed to load image', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,283 @@
+const express = require('express');
+const router = express.Router();
+const Ingredient = require('../schemas/Ingredient');
+const Product = require('../schemas/Product');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateObjectIdParam } = require('../middleware/validation');
+const { recordAudit } = require('../utils/audit');
+const {
+  parseIngredientInput,
+  parseRecipeInput,
+  findIngredientUsage,
+  getReorderReport
+} = require('../utils/ingredients');
+const { ADJUSTMENT_REASONS, parseStockAdjustment, adjustIngredientStock, checkStockLevels } = require('../utils/stock');
+
+// API - Get all ingredients with their stock
+router.get('/api', authenticate, requirePermission('stock:manage'), async (req, res) => {
+  try {
+    const ingredients = await Ingredient.find({}).sort({ name: 1 }).lean();
+    res.json({ success: true, ingredients });
+  } catch (error) {
+    console.error('Error fetching ingredients:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch ingredients', error: error.message });
+  }
+});
+
+// API - Reorder report: days of stock left at the recent rate of orders
+// Query: days (of order history to average over, default 14), within (days that count as running low, default 7)
+router.get('/api/reorder-report', authenticate, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 90);
+    const within = Math.min(Math.max(parseInt(req.query.within, 10) || 7, 1), 90);
+
+    const ingredients = await getReorderReport({ days, within });
+    res.json({
+      success: true,
+      days,
+      within,
+      needsReorder: ingredients.filter(ingredient => ingredient.needsReorder).length,
+      ingredients
+    });
+  } catch (error) {
+    console.error('Error building reorder report:', error);
+    res.status(500).json({ success: false, message: 'Failed to build reorder report', error: error.message });
+  }
+});
+
+// API - Get a product's recipe and the recipes of its sizes
+router.get('/api/recipes/:productId', authenticate, requirePermission('stock:manage'), validateObjectIdParam('productId'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId)
+      .select('name recipe variants')
+      .populate('recipe.ingredientId', 'name unit')
+      .populate('variants.recipe.ingredientId', 'name unit')
+      .lean();
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    res.json({
+      success: true,
+      product: {
+        _id: product._id,
+        name: product.name,
+        recipe: product.recipe,
+        variants: (product.variants || []).map(({ _id, name, recipe }) => ({ _id, name, recipe }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching recipe:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch recipe', error: error.message });
+  }
+});
+
+// API - Set a product's recipe: { recipe: [{ ingredientId, quantity }], variants: [{ variantId, recipe }] }
+// A size with an empty recipe uses the product recipe. Sizes left out keep theirs.
+router.put('/api/recipes/:productId', authenticate, requirePermission('products:edit'), validateObjectIdParam('productId'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const before = { recipe: product.toObject().recipe, variants: product.toObject().variants };
+
+    if (req.body.recipe !== undefined) {
+      const { recipe, error } = await parseRecipeInput(req.body.recipe);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      product.recipe = recipe;
+    }
+
+    if (req.body.variants !== undefined) {
+      if (!Array.isArray(req.body.variants)) {
+        return res.status(400).json({ success: false, message: 'variants must be a list of { variantId, recipe }' });
+      }
+      for (const entry of req.body.variants) {
+        const variant = product.variants.id(String(entry?.variantId || ''));
+        if (!variant) {
+          return res.status(400).json({ success: false, message: `${product.name} has no size ${entry?.variantId}` });
+        }
+        const { recipe, error } = await parseRecipeInput(entry.recipe);
+        if (error) {
+          return res.status(400).json({ success: false, message: `${variant.name}: ${error}` });
+        }
+        variant.recipe = recipe;
+      }
+    }
+
+    await product.save();
+    await checkStockLevels([product._id]);
+
+    await recordAudit(req, {
+      action: 'product.recipe-update',
+      targetType: 'Product',
+      targetId: product._id,
+      targetLabel: product.name,
+      before,
+      after: { recipe: product.toObject().recipe, variants: product.toObject().variants }
+    });
+
+    res.json({
+      success: true,
+      message: 'Recipe updated successfully',
+      product: {
+        _id: product._id,
+        name: product.name,
+        recipe: product.recipe,
+        variants: product.variants.map(({ _id, name, recipe }) => ({ _id, name, recipe }))
+      }
+    });
+  } catch (error) {
+    console.error('Error updating recipe:', error);
+    res.status(500).json({ success: false, message: 'Failed to update recipe', error: error.message });
+  }
+});
+
+// API - Create an ingredient: { name, unit, reorderLevel, notes, stock }
+// The opening stock is recorded in the ledger as a recount.
+router.post('/api', authenticate, requirePermission('stock:manage'), async (req, res) => {
+  try {
+    const { data, error } = parseIngredientInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    let opening = null;
+    if (req.body.stock !== undefined && req.body.stock !== '') {
+      const { adjustment, error: stockError } = parseStockAdjustment({ reason: 'recount', quantity: req.body.stock, note: 'Opening stock' }, { wholeUnits: false });
+      if (stockError) {
+        return res.status(400).json({ success: false, message: stockError });
+      }
+      opening = adjustment;
+    }
+
+    if (await Ingredient.exists({ name: data.name })) {
+      return res.status(409).json({ success: false, message: `An ingredient called "${data.name}" already exists` });
+    }
+
+    let ingredient = await Ingredient.create(data);
+    if (opening) {
+      ingredient = (await adjustIngredientStock(req, ingredient, opening)).ingredient;
+    }
+
+    await recordAudit(req, {
+      action: 'ingredient.create',
+      targetType: 'Ingredient',
+      targetId: ingredient._id,
+      targetLabel: ingredient.name,
+      after: ingredient
+    });
+
+    res.status(201).json({ success: true, message: 'Ingredient created successfully', ingredient });
+  } catch (error) {
+    console.error('Error creating ingredient:', error);
+    res.status(500).json({ success: false, message: 'Failed to create ingredient', error: error.message });
+  }
+});
+
+// API - Update an ingredient (only the fields sent are changed; stock goes through /adjust)
+router.put('/api/:id', authenticate, requirePermission('stock:manage'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const ingredient = await Ingredient.findById(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({ success: false, message: 'Ingredient not found' });
+    }
+
+    const { data, error } = parseIngredientInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (data.name && await Ingredient.exists({ name: data.name, _id: { $ne: ingredient._id } })) {
+      return res.status(409).json({ success: false, message: `An ingredient called "${data.name}" already exists` });
+    }
+
+    const before = ingredient.toObject();
+    Object.assign(ingredient, data);
+    await ingredient.save();
+
+    await recordAudit(req, {
+      action: 'ingredient.update',
+      targetType: 'Ingredient',
+      targetId: ingredient._id,
+      targetLabel: ingredient.name,
+      before,
+      after: ingredient.toObject()
+    });
+
+    res.json({ success: true, message: 'Ingredient updated successfully', ingredient });
+  } catch (error) {
+    console.error('Error updating ingredient:', error);
+    res.status(500).json({ success: false, message: 'Failed to update ingredient', error: error.message });
+  }
+});
+
+// API - Adjust an ingredient's stock: { reason, quantity, note }
+// reason: delivery, waste, recount (counted quantity) or correction (signed change)
+router.post('/api/:id/adjust', authenticate, requirePermission('stock:manage'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const ingredient = await Ingredient.findById(req.params.id).select('name stock unit').lean();
+    if (!ingredient) {
+      return res.status(404).json({ success: false, message: 'Ingredient not found' });
+    }
+
+    const { adjustment, error } = parseStockAdjustment(req.body, { wholeUnits: false });
+    if (error) {
+      return res.status(400).json({ success: false, message: error, reasons: ADJUSTMENT_REASONS });
+    }
+
+    const result = await adjustIngredientStock(req, ingredient, adjustment);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: `Stock of ${ingredient.name} is now ${result.ingredient.stock} ${ingredient.unit}`,
+      ingredient: result.ingredient,
+      movement: result.movement
+    });
+  } catch (error) {
+    console.error('Error adjusting ingredient stock:', error);
+    res.status(500).json({ success: false, message: 'Failed to adjust ingredient stock', error: error.message });
+  }
+});
+
+// API - Delete an ingredient that no recipe uses
+router.delete('/api/:id', authenticate, requirePermission('stock:manage'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const ingredient = await Ingredient.findById(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({ success: false, message: 'Ingredient not found' });
+    }
+
+    const usage = await findIngredientUsage(ingredient._id);
+    if (usage.products.length > 0 || usage.modifierGroups.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${ingredient.name} is still used in recipes. Remove it from them first.`,
+        products: usage.products,
+        modifierGroups: usage.modifierGroups
+      });
+    }
+
+    await ingredient.deleteOne();
+
+    await recordAudit(req, {
+      action: 'ingredient.delete',
+      targetType: 'Ingredient',
+      targetId: ingredient._id,
+      targetLabel: ingredient.name,
+      before: ingredient.toObject()
+    });
+
+    res.json({ success: true, message: 'Ingredient deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting ingredient:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete ingredient', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,339 @@
+const express = require('express');
+const router = express.Router();
+const Invite = require('../schemas/Invite');
+const User = require('../schemas/Users');
+const { authenticate, requirePermission, requireGrantableRole } = require('../middleware/auth');
+const {
+  sanitizeBody,
+  validateRequired,
+  validateEmailFormat,
+  validatePhoneFormat,
+  validatePasswordFormat,
+  validateRole,
+  validateObjectIdParam
+} = require('../middleware/validation');
+const { createInvite, resendInvite, findPendingInvite, pendingFilter } = require('../utils/invites');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { startSession } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+const { getUngrantedPermissions } = require('../utils/roles');
+
+const INVITE_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+// Build a MongoDB filter for an invite status
+const statusFilter = (status) => {
+  const now = new Date();
+  switch (status) {
+    case 'pending': return pendingFilter();
+    case 'accepted': return { acceptedAt: { $ne: null } };
+    case 'revoked': return { revokedAt: { $ne: null }, acceptedAt: null };
+    case 'expired': return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    default: return {};
+  }
+};
+
+// Create an invite (admin)
+router.post('/',
+  authenticate,
+  requirePermission('accounts:manage'),
+  sanitizeBody,
+  validateRequired(['email', 'role']),
+  validateEmailFormat,
+  validateRole('role'),
+  requireGrantableRole('role'),
+  async (req, res) => {
+  try {
+    const { email, name, role } = req.body;
+
+    const existingUser = await User.findOne({ email: email.trim().toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    const invite = await createInvite(req.user, { email, name, role });
+
+    await recordAudit(req, {
+      action: 'invite.create',
+      targetType: 'Invite',
+      targetId: invite._id,
+      targetLabel: invite.email,
+      after: { email: invite.email, role: invite.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      invite
+    });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating invitation',
+      error: error.message
+    });
+  }
+});
+
+// List invites (admin) - Query: status, page, limit
+router.get('/', authenticate, requirePermission('accounts:manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !INVITE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${INVITE_STATUSES.join(', ')}`
+      });
+    }
+
+    const filter = statusFilter(status);
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [invites, total] = await Promise.all([
+      Invite.find(filter)
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Invite.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      invites,
+      pagination: buildPaginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invitations',
+      error: error.message
+    });
+  }
+});
+
+// Resend an invite with a fresh link (admin)
+router.post('/:id/resend',
+  authenticate,
+  requirePermission('accounts:manage'),
+  validateObjectIdParam('id'),
+  async (req, res) => {
+  try {
+    const invite = await Invite.findOne({ _id: req.params.id, acceptedAt: null, revokedAt: null });
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open invitation found'
+      });
+    }
+
+    const ungranted = await getUngrantedPermissions(req, invite.role);
+    if (ungranted.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only resend invitations to roles whose permissions you hold yourself.',
+        requiredPermissions: ungranted
+      });
+    }
+
+    await resendInvite(invite, req.user);
+
+    await recordAudit(req, {
+      action: 'invite.resend',
+      targetType: 'Invite',
+      targetId: invite._id,
+      targetLabel: invite.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation resent successfully',
+      invite
+    });
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resending invitation',
+      error: error.message
+    });
+  }
+});
+
+// Revoke an invite (admin)
+router.delete('/:id',
+  authenticate,
+  requirePermission('accounts:manage'),
+  validateObjectIdParam('id'),
+  async (req, res) => {
+  try {
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.id, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open invitation found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'invite.revoke',
+      targetType: 'Invite',
+      targetId: invite._id,
+      targetLabel: invite.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking invitation',
+      error: error.message
+    });
+  }
+});
+
+// Look up an invite from its link (public - used to prefill the accept form)
+router.get('/accept/:token', async (req, res) => {
+  try {
+    const invite = await findPendingInvite(req.params.token);
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      invite: {
+        email: invite.email,
+        name: invite.name,
+        role: invite.role,
+        expiresAt: invite.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invitation',
+      error: error.message
+    });
+  }
+});
+
+// Accept an invite - set a password, complete the profile and sign in (public)
+router.post('/accept',
+  sanitizeBody,
+  validateRequired(['token', 'password']),
+  validatePasswordFormat('password'),
+  validatePhoneFormat,
+  async (req, res) => {
+  try {
+    const { token, password, name, phone, avatar } = req.body;
+
+    const invite = await findPendingInvite(token);
+    if (!invite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const fullName = (name || invite.name || '').trim();
+    if (!fullName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: invite.email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    // Claim the invite atomically so the link works only once
+    const claimed = await Invite.findOneAndUpdate(
+      { _id: invite._id, ...pendingFilter() },
+      { acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const newUser = new User({
+      name: fullName,
+      email: invite.email,
+      phone: phone || '',
+      avatar: avatar || '',
+      role: invite.role
+    });
+    try {
+      await newUser.setPassword(password);
+      await newUser.save();
+    } catch (error) {
+      // No account was created, so the link stays usable
+      await Invite.updateOne({ _id: claimed._id }, { acceptedAt: null });
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'User with this email already exists'
+        });
+      }
+      throw error;
+    }
+
+    claimed.acceptedUserId = newUser._id;
+    await claimed.save();
+
+    const userResponse = {
+      _id: newUser._id,
+      name: newUser.name,
+      email: newUser.email,
+      phone: newUser.phone,
+      avatar: newUser.avatar,
+      role: newUser.role,
+      createdAt: newUser.createdAt,
+      updatedAt: newUser.updatedAt
+    };
+
+    const tokens = await startSession(req, res, newUser);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted. Your account is ready.',
+      user: userResponse,
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error accepting invitation',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const Menu = require('../schemas/Menu');
+const Product = require('../schemas/Product');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateObjectIdParam } = require('../middleware/validation');
+const {
+  isMenuServedAt,
+  getServedMenus,
+  getCurrentMenu,
+  applyMenu,
+  parseMenuInput,
+  findMenuConflict
+} = require('../utils/menus');
+const { listCategories, getInactiveCategoryNames } = require('../utils/categories');
+const { CAFE_TIMEZONE } = require('../utils/schedule');
+const { recordAudit } = require('../utils/audit');
+const { withImageUrls } = require('../utils/images');
+const { withAvailability } = require('../utils/productAvailability');
+const { resolveLanguage, setResponseLanguage, localizeProduct } = require('../utils/localization');
+
+// Public summary of a menu (no product list)
+const menuSummary = (menu, now = new Date()) => ({
+  _id: menu._id,
+  name: menu.name,
+  slug: menu.slug,
+  description: menu.description,
+  timeWindows: menu.timeWindows,
+  startDate: menu.startDate,
+  endDate: menu.endDate,
+  priority: menu.priority,
+  isServedNow: isMenuServedAt(menu, now)
+});
+
+// API - Get the menu being served right now with its products and prices (for frontend)
+// Products are localized and carry availableNow as in /products/api
+router.get('/api/current', async (req, res) => {
+  try {
+    const language = resolveLanguage(req);
+    setResponseLanguage(res, language);
+
+    const menu = await getCurrentMenu();
+    if (!menu) {
+      return res.json({
+        success: true,
+        message: 'No menu is being served right now',
+        timezone: CAFE_TIMEZONE,
+        language,
+        menu: null,
+        products: []
+      });
+    }
+
+    const inactiveCategories = await getInactiveCategoryNames();
+    const products = await Product.find({
+      _id: { $in: menu.items.map(item => item.productId) },
+      category: { $nin: inactiveCategories }
+    })
+      .select('name translations description price category categoryId image imageId isAvailable availability variants allergens dietaryLabels nutrition')
+      .lean();
+
+    const now = new Date();
+    const categoriesByName = new Map((await listCategories()).map(category => [category.name, category]));
+
+    res.json({
+      success: true,
+      timezone: CAFE_TIMEZONE,
+      language,
+      menu: menuSummary(menu, now),
+      products: applyMenu(menu, products.map(withImageUrls)).map(product =>
+        localizeProduct(withAvailability(product, now), language, categoriesByName)
+      )
+    });
+  } catch (error) {
+    console.error('Error fetching current menu:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch current menu', error: error.message });
+  }
+});
+
+// API - Get active menus and whether each is being served right now (for frontend)
+router.get('/api', async (req, res) => {
+  try {
+    const now = new Date();
+    const [menus, served] = await Promise.all([
+      Menu.find({ isActive: true }).select('-items').sort({ priority: -1, name: 1 }).lean(),
+      getServedMenus(now)
+    ]);
+
+    res.json({
+      success: true,
+      timezone: CAFE_TIMEZONE,
+      currentMenuId: served[0]?._id || null,
+      menus: menus.map(menu => menuSummary(menu, now))
+    });
+  } catch (error) {
+    console.error('Error fetching menus:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch menus', error: error.message });
+  }
+});
+
+// API - Get all menus with their items (for admin - includes inactive)
+router.get('/api/all', authenticate, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const menus = await Menu.find({})
+      .populate('items.productId', 'name price category isAvailable')
+      .sort({ priority: -1, name: 1 })
+      .lean();
+
+    const now = new Date();
+    res.json({
+      success: true,
+      timezone: CAFE_TIMEZONE,
+      menus: menus.map(menu => ({ ...menu, isServedNow: isMenuServedAt(menu, now) }))
+    });
+  } catch (error) {
+    console.error('Error fetching all menus:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch menus', error: error.message });
+  }
+});
+
+// API - Create a menu
+router.post('/api', authenticate, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const { data, error } = await parseMenuInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (await findMenuConflict(data)) {
+      return res.status(400).json({ success: false, message: 'A menu with this name or slug already exists' });
+    }
+
+    const menu = await Menu.create(data);
+
+    await recordAudit(req, {
+      action: 'menu.create',
+      targetType: 'Menu',
+      targetId: menu._id,
+      targetLabel: menu.name,
+      after: menu.toObject()
+    });
+
+    res.status(201).json({ success: true, message: 'Menu created successfully', menu });
+  } catch (error) {
+    console.error('Error creating menu:', error);
+    res.status(500).json({ success: false, message: 'Failed to create menu', error: error.message });
+  }
+});
+
+// API - Update a menu (only the fields sent are changed)
+router.put('/api/:id', authenticate, requirePermission('products:edit'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const menu = await Menu.findById(req.params.id);
+    if (!menu) {
+      return res.status(404).json({ success: false, message: 'Menu not found' });
+    }
+
+    const { data, error } = await parseMenuInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (await findMenuConflict(data, menu._id)) {
+      return res.status(400).json({ success: false, message: 'A menu with this name or slug already exists' });
+    }
+
+    const before = menu.toObject();
+    Object.assign(menu, data);
+
+    if (menu.startDate && menu.endDate && menu.startDate > menu.endDate) {
+      return res.status(400).json({ success: false, message: 'startDate must be before endDate' });
+    }
+
+    await menu.save();
+
+    await recordAudit(req, {
+      action: 'menu.update',
+      targetType: 'Menu',
+      targetId: menu._id,
+      targetLabel: menu.name,
+      before,
+      after: menu.toObject()
+    });
+
+    res.json({ success: true, message: 'Menu updated successfully', menu });
+  } catch (error) {
+    console.error('Error updating menu:', error);
+    res.status(500).json({ success: false, message: 'Failed to update menu', error: error.message });
+  }
+});
+
+// API - Delete a menu (its products are not affected)
+router.delete('/api/:id', authenticate, requirePermission('products:edit'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const menu = await Menu.findByIdAndDelete(req.params.id);
+    if (!menu) {
+      return res.status(404).json({ success: false, message: 'Menu not found' });
+    }
+
+    await Product.updateMany({ menuId: menu._id }, { $unset: { menuId: 1 } });
+
+    await recordAudit(req, {
+      action: 'menu.delete',
+      targetType: 'Menu',
+      targetId: menu._id,
+      targetLabel: menu.name,
+      before: menu.toObject()
+    });
+
+    res.json({ success: true, message: 'Menu deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting menu:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete menu', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const ModifierGroup = require('../schemas/ModifierGroup');
+const Product = require('../schemas/Product');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateObjectIdParam } = require('../middleware/validation');
+const { getModifierGroupsForProducts, toPublicGroup, parseModifierGroupInput } = require('../utils/modifiers');
+const { recordAudit } = require('../utils/audit');
+
+// API - Get the modifier groups a customer can choose from for a product (for frontend)
+router.get('/api/product/:productId', validateObjectIdParam('productId'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId).select('name categoryId').lean();
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const groups = (await getModifierGroupsForProducts([product])).get(product._id.toString());
+    res.json({ success: true, modifierGroups: groups.map(toPublicGroup) });
+  } catch (error) {
+    console.error('Error fetching product modifiers:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch modifiers', error: error.message });
+  }
+});
+
+// API - Get all modifier groups (for admin - includes inactive groups and unavailable options)
+router.get('/api/all', authenticate, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const modifierGroups = await ModifierGroup.find({})
+      .populate('productIds', 'name')
+      .populate('categoryIds', 'name')
+      .sort({ displayOrder: 1, name: 1 })
+      .lean();
+
+    res.json({ success: true, modifierGroups });
+  } catch (error) {
+    console.error('Error fetching modifier groups:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch modifier groups', error: error.message });
+  }
+});
+
+// API - Create a modifier group
+router.post('/api', authenticate, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const { data, error } = await parseModifierGroupInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const modifierGroup = await ModifierGroup.create(data);
+
+    await recordAudit(req, {
+      action: 'modifier-group.create',
+      targetType: 'ModifierGroup',
+      targetId: modifierGroup._id,
+      targetLabel: modifierGroup.name,
+      after: modifierGroup.toObject()
+    });
+
+    res.status(201).json({ success: true, message: 'Modifier group created successfully', modifierGroup });
+  } catch (error) {
+    console.error('Error creating modifier group:', error);
+    res.status(500).json({ success: false, message: 'Failed to create modifier group', error: error.message });
+  }
+});
+
+// API - Update a modifier group (only the fields sent are changed)
+router.put('/api/:id', authenticate, requirePermission('products:edit'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const modifierGroup = await ModifierGroup.findById(req.params.id);
+    if (!modifierGroup) {
+      return res.status(404).json({ success: false, message: 'Modifier group not found' });
+    }
+
+    const { data, error } = await parseModifierGroupInput(req.body, { partial: true }, modifierGroup);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const before = modifierGroup.toObject();
+    Object.assign(modifierGroup, data);
+    await modifierGroup.save();
+
+    await recordAudit(req, {
+      action: 'modifier-group.update',
+      targetType: 'ModifierGroup',
+      targetId: modifierGroup._id,
+      targetLabel: modifierGroup.name,
+      before,
+      after: modifierGroup.toObject()
+    });
+
+    res.json({ success: true, message: 'Modifier group updated successfully', modifierGroup });
+  } catch (error) {
+    console.error('Error updating modifier group:', error);
+    res.status(500).json({ success: false, message: 'Failed to update modifier group', error: error.message });
+  }
+});
+
+// API - Delete a modifier group (lines already ordered keep their modifier snapshot)
+router.delete('/api/:id', authenticate, requirePermission('products:edit'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const modifierGroup = await ModifierGroup.findByIdAndDelete(req.params.id);
+    if (!modifierGroup) {
+      return res.status(404).json({ success: false, message: 'Modifier group not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'modifier-group.delete',
+      targetType: 'ModifierGroup',
+      targetId: modifierGroup._id,
+      targetLabel: modifierGroup.name,
+      before: modifierGroup.toObject()
+    });
+
+    res.json({ success: true, message: 'Modifier group deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting modifier group:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete modifier group', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,21 @@ const router = express.Router();
 const Order = require('../schemas/Orders');
 const User = require('../schemas/Users');
 const Product = require('../schemas/Product');
+const Address = require('../schemas/Address');
+const { acceptApiKey, authenticate, requirePermission, requireApiKeyScope } = require('../middleware/auth');
+const {
+  requireCustomerAccess,
+  canAccessOrder,
+  ASSIGNED_ORDER_STATUSES,
+  canUpdateOrderStatus,
+  isLimitedToAssignedOrders,
+  denyAccess
+} = require('../middleware/ownership');
+const { recordAudit } = require('../utils/audit');
+const { validateObjectId } = require('../middleware/validation');
+const { priceLineItems, getOrderTotals, pricesMatch } = require('../utils/pricing');
+const { reserveStock, releaseStock, recordStockMovements, restoreOrderStock } = require('../utils/stock');
+const { reserveIngredients, releaseIngredients } = require('../utils/ingredients');
 
 // Test endpoint to verify Orders schema is working
 router.get('/test', async (req, res) => {
@@ -15,14 +30,17 @@ router.get('/test', async (req, res) => {
       collectionName: Order.collection.name,
       totalOrders: orderCount,
       schema: {
-        customerId: 'ObjectId (ref: User)',
-        items: 'Array of { productId, name, price, quantity }',
+        customerId: 'ObjectId (ref: User, optional for API key orders)',
+        apiKeyId: 'ObjectId (ref: ApiKey, optional)',
+        items: 'Array of { productId, name, variantId, variantName, modifiers, price, quantity }',
         totalPrice: 'Number',
         status: 'Enum: pending, preparing, ready, on-the-way, delivered, cancelled',
         orderType: 'Enum: delivery, restaurant',
         deliveryAddress: 'String (optional)',
+        deliveryAddressId: 'ObjectId (ref: Address, optional)',
+        deliveryNotes: 'String (optional)',
         tableNumber: 'Number (optional)',
-        email: 'String (required)',
+        email: 'String (required unless created with an API key)',
         paymentStatus: 'Enum: unpaid, paid',
         timestamps: 'createdAt, updatedAt'
       }
@@ -37,10 +55,12 @@ router.get('/test', async (req, res) => {
   }
 });
 
-// Create a new order (when user completes checkout)
-router.post('/create', async (req, res) => {
+// Create a new order (when user completes checkout, or from a POS terminal / integration
+// using an API key with the 'orders:create' scope - those orders need no customer account)
+router.post('/create', acceptApiKey, authenticate, requireApiKeyScope('orders:create'), requireCustomerAccess('customerId', 'body'), async (req, res) => {
   try {
-    const { customerId, items, totalPrice, orderType, deliveryAddress, tableNumber, email, doorPhoto } = req.body;
+    const { customerId, items, totalPrice, orderType, deliveryAddressId, tableNumber, email, doorPhoto } = req.body;
+    let { deliveryAddress, deliveryNotes } = req.body;
 
     console.log('Received order creation request:', {
       customerId,
@@ -50,7 +70,7 @@ router.post('/create', async (req, res) => {
     });
 
     // Validate required fields
-    if (!customerId || !items || !Array.isArray(items) || items.length === 0) {
+    if ((!customerId && !req.apiKey) || !items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'Customer ID and items are required'
@@ -71,8 +91,8 @@ router.post('/create', async (req, res) => {
       });
     }
 
-    // Validate email
-    if (!email) {
+    // Validate email (optional for API key orders, e.g. walk-in POS customers)
+    if (!email && !req.apiKey) {
       return res.status(400).json({
         success: false,
         message: 'Email is required'
@@ -81,21 +101,13 @@ router.post('/create', async (req, res) => {
 
     // Basic email validation
     const emailRegex = /^\S+@\S+\.\S+$/;
-    if (!emailRegex.test(email)) {
+    if (email && !emailRegex.test(email)) {
       return res.status(400).json({
         success: false,
         message: 'Please provide a valid email address'
       });
     }
 
-    // Validate delivery address for delivery orders
-    if (orderType === 'delivery' && !deliveryAddress) {
-      return res.status(400).json({
-        success: false,
-        message: 'Delivery address is required for delivery orders'
-      });
-    }
-
     // Validate table number for restaurant orders
     if (orderType === 'restaurant' && !tableNumber) {
       return res.status(400).json({
@@ -105,49 +117,154 @@ router.post('/create', async (req, res) => {
     }
 
     // Verify customer exists
-    const customer = await User.findById(customerId);
-    if (!customer) {
+    const customer = customerId ? await User.findById(customerId).active() : null;
+    if (customerId && !customer) {
       return res.status(404).json({
         success: false,
         message: 'Customer not found'
       });
     }
 
-    // Verify all products exist
-    for (const item of items) {
-      const productId = item.productId || item.id;
-      const product = await Product.findById(productId);
-      if (!product) {
-        return res.status(404).json({
+    // Resolve the delivery address: a saved address id, raw text, or the customer's default address
+    let savedAddress = null;
+    if (orderType === 'delivery') {
+      if (deliveryAddressId) {
+        if (!customer) {
+          return res.status(400).json({
+            success: false,
+            message: 'Saved addresses can only be used for customer orders'
+          });
+        }
+        if (!validateObjectId(String(deliveryAddressId))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid deliveryAddressId format'
+          });
+        }
+        savedAddress = await Address.findOne({ _id: deliveryAddressId, userId: customer._id });
+        if (!savedAddress) {
+          return res.status(404).json({
+            success: false,
+            message: 'Saved address not found'
+          });
+        }
+      } else if (!deliveryAddress && customer) {
+        savedAddress = await Address.findOne({ userId: customer._id, isDefault: true });
+      }
+
+      if (savedAddress) {
+        deliveryAddress = savedAddress.toDeliveryString();
+        deliveryNotes = deliveryNotes || savedAddress.deliveryNotes;
+      }
+
+      if (!deliveryAddress) {
+        return res.status(400).json({
           success: false,
-          message: `Product ${item.name || productId} not found`
+          message: 'Delivery address is required for delivery orders'
         });
       }
     }
 
+    // Verify all products exist and check each line's price against the product (or its chosen variant)
+    const { entries, missing, error: pricingError, status, reason } = await priceLineItems(items, { checkPrices: true });
+    if (pricingError) {
+      return res.status(status).json({
+        success: false,
+        message: pricingError,
+        reason
+      });
+    }
+    if (missing.length > 0) {
+      const item = missing[0];
+      return res.status(404).json({
+        success: false,
+        message: `Product ${item.name || item.productId || item.id} not found`
+      });
+    }
+
+    // The total must match the priced lines (modifiers included) plus the delivery fee
+    const lines = entries.map(({ line }) => line);
+    const totals = getOrderTotals(lines, orderType);
+    if (!pricesMatch(totalPrice, totals.total)) {
+      return res.status(409).json({
+        success: false,
+        message: `Order total should be $${totals.total.toFixed(2)}. Please review your order.`,
+        totals
+      });
+    }
+
+    // Take the units of stock-tracked products and the ingredients of their recipes;
+    // nothing is taken if anything has run out
+    const { reserved, error: stockError, status: stockStatus } = await reserveStock(lines);
+    if (stockError) {
+      return res.status(stockStatus).json({
+        success: false,
+        message: stockError
+      });
+    }
+
+    const { reserved: usedIngredients, error: ingredientError, status: ingredientStatus } = await reserveIngredients(lines);
+    if (ingredientError) {
+      await releaseStock(reserved);
+      return res.status(ingredientStatus).json({
+        success: false,
+        message: ingredientError
+      });
+    }
+
     // Create order
     const newOrder = new Order({
-      customerId,
-      items: items.map(item => ({
-        productId: item.productId || item.id,
-        name: item.name,
-        price: item.price,
-        quantity: item.quantity
-      })),
-      totalPrice,
+      customerId: customer ? customer._id : null,
+      apiKeyId: req.apiKey ? req.apiKey._id : null,
+      items: lines,
+      totalPrice: totals.total,
+      stockItems: reserved.map(({ productId, quantity }) => ({ productId, quantity })),
+      ingredientItems: usedIngredients.map(({ ingredientId, quantity }) => ({ ingredientId, quantity })),
       orderType,
       deliveryAddress: orderType === 'delivery' ? deliveryAddress : null,
+      deliveryAddressId: savedAddress ? savedAddress._id : null,
+      deliveryNotes: orderType === 'delivery' ? (deliveryNotes || '') : '',
       tableNumber: orderType === 'restaurant' ? tableNumber : null,
-      email: email || customer.email,
+      email: email || customer?.email,
       doorPhoto: doorPhoto || null, // Store door photo (base64 encoded)
       status: 'pending',
       paymentStatus: 'paid'
     });
 
     console.log('Saving order to database...');
-    await newOrder.save();
+    try {
+      await newOrder.save();
+    } catch (saveError) {
+      await releaseStock(reserved);
+      await releaseIngredients(usedIngredients);
+      throw saveError;
+    }
     console.log('Order saved successfully with ID:', newOrder._id);
 
+    await recordStockMovements(req, [
+      ...reserved.map(({ productId, productName, quantity, quantityAfter }) => ({
+        productId,
+        productName,
+        change: -quantity,
+        quantityAfter,
+        reason: 'order',
+        orderId: newOrder._id
+      })),
+      ...usedIngredients.map(({ ingredientId, ingredientName, quantity, quantityAfter }) => ({
+        ingredientId,
+        ingredientName,
+        change: -quantity,
+        quantityAfter,
+        reason: 'order',
+        orderId: newOrder._id
+      }))
+    ]);
+
+    // Count units sold for sorting the menu by popularity
+    await Product.bulkWrite(lines.map(line => ({
+      updateOne: { filter: { _id: line.productId }, update: { $inc: { salesCount: line.quantity } } }
+    })));
+
     // Populate order with customer and product details
     const populatedOrder = await Order.findById(newOrder._id)
       .populate('customerId', 'name email phone')
@@ -169,7 +286,7 @@ router.post('/create', async (req, res) => {
 });
 
 // Get all orders for a customer
-router.get('/customer/:customerId', async (req, res) => {
+router.get('/customer/:customerId', authenticate, requireCustomerAccess('customerId'), async (req, res) => {
   try {
     const { customerId } = req.params;
 
@@ -192,7 +309,7 @@ router.get('/customer/:customerId', async (req, res) => {
 });
 
 // Get all orders (for admin/staff)
-router.get('/all', async (req, res) => {
+router.get('/all', authenticate, requirePermission('orders:view-all'), async (req, res) => {
   try {
     const orders = await Order.find({})
       .populate('customerId', 'name email phone')
@@ -216,7 +333,7 @@ router.get('/all', async (req, res) => {
 });
 
 // Get single order by ID
-router.get('/:orderId', async (req, res) => {
+router.get('/:orderId', acceptApiKey, authenticate, async (req, res) => {
   try {
     const { orderId } = req.params;
 
@@ -238,6 +355,10 @@ router.get('/:orderId', async (req, res) => {
       });
     }
 
+    if (!canAccessOrder(req, order)) {
+      return denyAccess(res, 'Access denied. You can only view your own orders.');
+    }
+
     res.status(200).json({
       success: true,
       order
@@ -252,8 +373,8 @@ router.get('/:orderId', async (req, res) => {
   }
 });
 
-// Update order status
-router.put('/:orderId/status', async (req, res) => {
+// Update order status (kitchen staff and delivery drivers move orders along)
+router.put('/:orderId/status', acceptApiKey, authenticate, requirePermission('orders:update-status'), async (req, res) => {
   try {
     const { orderId } = req.params;
     const { status, preparedBy, deliveryPersonId } = req.body;
@@ -270,8 +391,49 @@ router.put('/:orderId/status', async (req, res) => {
     if (preparedBy) updateData.preparedBy = preparedBy;
     if (deliveryPersonId) updateData.deliveryPersonId = deliveryPersonId;
 
-    const order = await Order.findByIdAndUpdate(
-      orderId,
+    const current = await Order.findById(orderId)
+      .select('status preparedBy deliveryPersonId customerId apiKeyId')
+      .lean();
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canUpdateOrderStatus(req, current)) {
+      return denyAccess(res, 'Access denied. You can only update orders assigned to you.');
+    }
+
+    // Delivery users only report the progress of their own deliveries
+    if (isLimitedToAssignedOrders(req)) {
+      if (!ASSIGNED_ORDER_STATUSES.includes(status)) {
+        return denyAccess(res, `Access denied. You can only set an assigned order to: ${ASSIGNED_ORDER_STATUSES.join(', ')}`);
+      }
+      if (preparedBy || deliveryPersonId) {
+        return denyAccess(res, 'Access denied. You cannot reassign orders.');
+      }
+    }
+
+    // Cancelling gave the order's stock back, so it cannot be reopened (a new order takes stock again)
+    if (current.status === 'cancelled' && status !== 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: 'This order has been cancelled and cannot be reopened. Please place a new order instead.'
+      });
+    }
+
+    const previous = {
+      status: current.status,
+      preparedBy: current.preparedBy,
+      deliveryPersonId: current.deliveryPersonId
+    };
+
+    // Only update the order if its status is still the one checked above, so two
+    // updates sent together cannot both act on it (e.g. reopen or cancel it twice)
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, status: current.status },
       updateData,
       { new: true }
     )
@@ -279,12 +441,33 @@ router.put('/:orderId/status', async (req, res) => {
       .populate('items.productId', 'name price image category');
 
     if (!order) {
-      return res.status(404).json({
+      return res.status(409).json({
         success: false,
-        message: 'Order not found'
+        message: 'The order was changed while you were updating it. Please reload it and try again.'
       });
     }
 
+    // Cancelling gives back the stock and ingredients the order took and no longer counts its units as sold
+    // (only the update that moved the order into cancelled does this)
+    if (status === 'cancelled' && previous.status !== 'cancelled') {
+      await restoreOrderStock(req, order._id);
+      await Product.bulkWrite(order.items.map(item => ({
+        updateOne: {
+          filter: { _id: item.productId?._id || item.productId, salesCount: { $gte: item.quantity } },
+          update: { $inc: { salesCount: -item.quantity } }
+        }
+      })));
+    }
+
+    await recordAudit(req, {
+      action: 'order.status-change',
+      targetType: 'Order',
+      targetId: order._id,
+      targetLabel: `Order ${order._id}`,
+      before: previous,
+      after: updateData
+    });
+
     res.status(200).json({
       success: true,
       message: 'Order status updated successfully',
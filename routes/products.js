@@ -2,8 +2,27 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const Product = require('../schemas/Product');
+const { acceptApiKey, authenticate, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { validateObjectIdParam } = require('../middleware/validation');
+const { listCategories, findCategory, getInactiveCategoryNames } = require('../utils/categories');
+const Menu = require('../schemas/Menu');
+const { findMenu, getCurrentMenu, getMenuPrices, withMenuPrice } = require('../utils/menus');
+const { parseVariantsInput, mergeExistingVariants } = require('../utils/variants');
+const ModifierGroup = require('../schemas/ModifierGroup');
+const { getModifierGroupsForProducts, toPublicGroup } = require('../utils/modifiers');
+const { imagePath, withImageUrls, decodeDataUrl, storeImage, deleteImage } = require('../utils/images');
+const { parseProductQuery, searchProducts } = require('../utils/productSearch');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const { readImportFile, readImageZip, planImport, applyImport, toReport, exportProducts } = require('../utils/productImport');
+const { parseStockFormInput, adjustStock, checkStockLevels } = require('../utils/stock');
+const { parseDietaryInput } = require('../utils/dietary');
+const { ALLERGENS, DIETARY_LABELS, NUTRITION_FIELDS } = require('../config/dietary');
+const { withAvailability, parseAvailabilityInput } = require('../utils/productAvailability');
+const { LANGUAGES, TRANSLATED_LANGUAGES } = require('../config/languages');
+const { resolveLanguage, setResponseLanguage, localizeProduct, parseTranslationsInput } = require('../utils/localization');
 
-// Configure multer for memory storage (we'll convert to base64)
+// Configure multer for memory storage (uploads are resized and written to the image store)
 const storage = multer.memoryStorage();
 const upload = multer({ 
   storage: storage,
@@ -17,39 +36,125 @@ const upload = multer({
   }
 });
 
-// API - Get all products (for frontend)
+// Separate uploader for bulk imports: a CSV/JSON catalogue and an optional ZIP of images
+const importUpload = multer({
+  storage: storage,
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit (the images ZIP)
+  fileFilter: (req, file, cb) => {
+    const allowed = file.fieldname === 'images' ? /\.zip$/i : /\.(csv|json)$/i;
+    if (allowed.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error(file.fieldname === 'images' ? 'Images must be uploaded as a .zip file' : 'Only .csv and .json files can be imported'), false);
+    }
+  }
+}).fields([{ name: 'file', maxCount: 1 }, { name: 'images', maxCount: 1 }]);
+
+// Allergen, dietary label and nutrition choices and the translation languages shown on the add/edit forms
+router.use((req, res, next) => {
+  res.locals.dietaryOptions = { allergens: ALLERGENS, dietaryLabels: DIETARY_LABELS, nutritionFields: NUTRITION_FIELDS };
+  res.locals.translatedLanguages = TRANSLATED_LANGUAGES.map(code => ({ code, ...LANGUAGES[code] }));
+  next();
+});
+
+// API - Get products (for frontend): search, filters, sorting and cursor pagination
+// (see utils/productSearch.js for the query parameters). Names and descriptions
+// are in the language asked for with ?lang= or Accept-Language.
 router.get('/api', async (req, res) => {
   try {
+    const { params, error: queryError } = parseProductQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({ success: false, message: queryError });
+    }
+
+    const language = resolveLanguage(req);
+    setResponseLanguage(res, language);
+
     const categoryFilter = req.query.category;
     const queryFilter = {}; // Show all products (available and unavailable)
     
+    // Products in inactive categories are hidden from the menu
+    const inactiveCategories = await getInactiveCategoryNames();
+    queryFilter.category = { $nin: inactiveCategories };
+
+    // Category can be given by name, slug or id
     if (categoryFilter && categoryFilter !== 'all') {
-      const validCategories = ['Coffee', 'Tea', 'Juices', 'Snacks', 'Desserts'];
-      if (validCategories.includes(categoryFilter)) {
-        queryFilter.category = categoryFilter;
+      const category = await findCategory(categoryFilter);
+      if (category) {
+        queryFilter.category = category.isActive ? category.name : { $in: [] };
+      }
+    }
+    
+    // Menu can be given by id, slug or 'current' (the menu being served right now)
+    let menu = null;
+    if (req.query.menu) {
+      menu = req.query.menu === 'current'
+        ? await getCurrentMenu()
+        : await findMenu(req.query.menu);
+
+      if (!menu && req.query.menu === 'current') {
+        return res.json({
+          success: true,
+          language,
+          menu: null,
+          products: [],
+          pagination: { limit: params.limit, total: 0, hasMore: false, nextCursor: null }
+        });
       }
+      if (!menu || !menu.isActive) {
+        return res.status(404).json({ success: false, message: 'Menu not found' });
+      }
+      queryFilter._id = { $in: menu.items.map(item => item.productId) };
     }
     
-    const products = await Product.find(queryFilter)
-      .select('name description price category image isAvailable')
-      .sort({ createdAt: -1 })
-      .lean();
+    // Prices are the ones orders are charged: the current menu's overrides,
+    // whichever menu is being listed (see getMenuPrice in utils/menus.js)
+    const currentMenu = req.query.menu === 'current' ? menu : await getCurrentMenu();
+    const menuPrices = getMenuPrices(currentMenu);
+
+    const result = await searchProducts(queryFilter, params, {
+      fields: 'name translations description price category categoryId image imageId isAvailable availability variants allergens dietaryLabels nutrition',
+      priceOverrides: menuPrices
+    });
+    // availableNow combines isAvailable with the product's time and season rules
+    const now = new Date();
+    const categoriesByName = new Map((await listCategories()).map(category => [category.name, category]));
+    const products = result.products.map(product =>
+      localizeProduct(withAvailability(withMenuPrice(withImageUrls(product), menuPrices), now), language, categoriesByName)
+    );
+
+    // Modifier groups (milk, extras, ...) each product can be customized with
+    const groupsByProduct = await getModifierGroupsForProducts(products);
+    products.forEach(product => {
+      product.modifierGroups = groupsByProduct.get(product._id.toString()).map(toPublicGroup);
+    });
     
-    res.json({ success: true, products });
+    if (menu) {
+      return res.json({
+        success: true,
+        language,
+        menu: { _id: menu._id, name: menu.name, slug: menu.slug },
+        products,
+        pagination: result.pagination
+      });
+    }
+
+    res.json({ success: true, language, products, pagination: result.pagination });
   } catch (error) {
     console.error('Error fetching products API:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch products', error: error.message });
   }
 });
 
-// API - Get single product image (for lazy loading)
+// API - Get a product's image links (kept for older clients; image bytes are served from /images)
 router.get('/api/image/:id', async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).select('image').lean();
+    const product = await Product.findById(req.params.id).select('image imageId').lean();
     if (!product || !product.image) {
       return res.status(404).json({ success: false, message: 'Image not found' });
     }
-    res.json({ success: true, image: product.image });
+    const { image, images } = withImageUrls(product);
+    res.json({ success: true, image, images });
   } catch (error) {
     console.error('Error fetching product image:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch image', error: error.message });
@@ -57,30 +162,48 @@ router.get('/api/image/:id', async (req, res) => {
 });
 
 // GET - Render the add product form page
-router.get('/add', (req, res) => {
-  res.render('add-product', { 
-    title: 'Add New Product',
-    message: null,
-    error: null
-  });
+router.get('/add', authenticate, requirePermission('products:edit'), async (req, res) => {
+  try {
+    res.render('add-product', { 
+      title: 'Add New Product',
+      categories: await listCategories(),
+      message: null,
+      error: null
+    });
+  } catch (error) {
+    console.error('Error loading categories:', error);
+    res.render('add-product', {
+      title: 'Add New Product',
+      categories: [],
+      message: null,
+      error: 'Failed to load categories'
+    });
+  }
 });
 
-// Helper function to compress and convert image to base64
-const compressImage = (buffer, maxWidth = 800, quality = 0.8) => {
-  return new Promise((resolve, reject) => {
-    // For now, we'll just convert to base64
-    // In production, you might want to use sharp or jimp for actual compression
-    const base64 = buffer.toString('base64');
-    const mimeType = 'image/jpeg'; // Default, or detect from buffer
-    const dataUrl = `data:${mimeType};base64,${base64}`;
-    resolve(dataUrl);
-  });
+// Helper function to store the product image from the form: an uploaded file or a
+// base64 data URL go to the image store, any other text is kept as an external URL.
+// Returns null when no image was sent.
+const saveProductImage = async (req) => {
+  const text = typeof req.body.image === 'string' ? req.body.image.trim() : '';
+  const buffer = req.file ? req.file.buffer : decodeDataUrl(text);
+
+  if (buffer) {
+    const image = await storeImage(buffer, {
+      originalName: req.file ? req.file.originalname : '',
+      uploadedBy: req.user ? req.user._id : null
+    });
+    return { image: imagePath(image._id), imageId: image._id };
+  }
+
+  return text ? { image: text, imageId: null } : null;
 };
 
 // POST - Handle product creation with file upload
-router.post('/add', upload.single('image'), async (req, res) => {
+router.post('/add', authenticate, requirePermission('products:edit'), upload.single('image'), async (req, res) => {
   try {
     const { name, description, price, category, isAvailable } = req.body;
+    const categories = await listCategories();
 
     // Debug: Log received data
     console.log('Received form data:', { name, description, price, category, isAvailable });
@@ -90,6 +213,7 @@ router.post('/add', upload.single('image'), async (req, res) => {
     if (!name || name.trim() === '') {
       return res.render('add-product', {
         title: 'Add New Product',
+        categories,
         message: null,
         error: 'Product name is required'
       });
@@ -98,6 +222,7 @@ router.post('/add', upload.single('image'), async (req, res) => {
     if (!price || price.trim() === '') {
       return res.render('add-product', {
         title: 'Add New Product',
+        categories,
         message: null,
         error: 'Price is required'
       });
@@ -106,16 +231,18 @@ router.post('/add', upload.single('image'), async (req, res) => {
     if (!category || category.trim() === '') {
       return res.render('add-product', {
         title: 'Add New Product',
+        categories,
         message: null,
-        error: 'Product type (category) is required. Please select Coffee, Tea, Juices, Snacks, or Desserts'
+        error: 'Product type (category) is required. Please select a category'
       });
     }
 
     // Validate category
-    const validCategories = ['Coffee', 'Tea', 'Juices', 'Snacks', 'Desserts'];
-    if (!validCategories.includes(category)) {
+    const productCategory = await findCategory(category);
+    if (!productCategory) {
       return res.render('add-product', {
         title: 'Add New Product',
+        categories,
         message: null,
         error: 'Invalid category. Please select a valid product type.'
       });
@@ -126,43 +253,130 @@ router.post('/add', upload.single('image'), async (req, res) => {
     if (isNaN(priceNum) || priceNum <= 0) {
       return res.render('add-product', {
         title: 'Add New Product',
+        categories,
         message: null,
         error: 'Price must be a valid positive number'
       });
     }
 
+    // SKUs are optional but must be unique
+    const sku = (req.body.sku || '').trim();
+    if (sku && await Product.exists({ sku })) {
+      return res.render('add-product', {
+        title: 'Add New Product',
+        categories,
+        message: null,
+        error: `SKU ${sku} is already used by another product`
+      });
+    }
+
+    // Validate variants (sizes with their own price)
+    const { variants, error: variantError } = parseVariantsInput(req.body.variants);
+    if (variantError) {
+      return res.render('add-product', {
+        title: 'Add New Product',
+        categories,
+        message: null,
+        error: variantError
+      });
+    }
+
+    // Validate stock quantity and low-stock alert level (empty means not tracked / the default)
+    const { stock, lowStockThreshold, error: stockError } = parseStockFormInput(req.body);
+    if (stockError) {
+      return res.render('add-product', {
+        title: 'Add New Product',
+        categories,
+        message: null,
+        error: stockError
+      });
+    }
+
+    // Validate allergens, dietary labels and nutrition facts
+    const { allergens, dietaryLabels, nutrition, error: dietaryError } = parseDietaryInput(req.body);
+    if (dietaryError) {
+      return res.render('add-product', {
+        title: 'Add New Product',
+        categories,
+        message: null,
+        error: dietaryError
+      });
+    }
+
+    // Validate the times and season the product can be ordered in
+    const { availability, error: availabilityError } = parseAvailabilityInput(req.body.availability);
+    if (availabilityError) {
+      return res.render('add-product', {
+        title: 'Add New Product',
+        categories,
+        message: null,
+        error: availabilityError
+      });
+    }
+
+    // Validate the name and description in the other languages
+    const { translations, error: translationError } = parseTranslationsInput(req.body.translations);
+    if (translationError) {
+      return res.render('add-product', {
+        title: 'Add New Product',
+        categories,
+        message: null,
+        error: translationError
+      });
+    }
+
     // Handle image upload
-    let imageBase64 = '';
-    if (req.file) {
-      try {
-        imageBase64 = await compressImage(req.file.buffer);
-      } catch (imgError) {
-        console.error('Image processing error:', imgError);
-        return res.render('add-product', {
-          title: 'Add New Product',
-          message: null,
-          error: 'Failed to process image. Please try again.'
-        });
-      }
-    } else if (req.body.image) {
-      // If image was provided as base64 string (from text input)
-      imageBase64 = req.body.image;
+    let imageFields = { image: '', imageId: null };
+    try {
+      imageFields = await saveProductImage(req) || imageFields;
+    } catch (imgError) {
+      console.error('Image processing error:', imgError);
+      return res.render('add-product', {
+        title: 'Add New Product',
+        categories,
+        message: null,
+        error: 'Failed to process image. Please upload a JPEG, PNG, WebP or GIF file.'
+      });
     }
 
     // Create new product
     const newProduct = new Product({
       name,
+      translations,
+      sku: sku || undefined,
       description: description || '',
       price: priceNum,
-      category: category,
-      image: imageBase64,
-      isAvailable: isAvailable === 'true' || isAvailable === true
+      category: productCategory.name,
+      categoryId: productCategory._id,
+      image: imageFields.image,
+      imageId: imageFields.imageId,
+      isAvailable: isAvailable === 'true' || isAvailable === true,
+      variants,
+      lowStockThreshold,
+      allergens,
+      dietaryLabels,
+      nutrition,
+      availability
     });
 
     await newProduct.save();
 
+    // Opening stock goes through the ledger like any other count
+    if (stock !== null) {
+      await adjustStock(req, newProduct, { reason: 'recount', quantity: stock, note: 'Opening stock' });
+    }
+
+    await recordAudit(req, {
+      action: 'product.create',
+      targetType: 'Product',
+      targetId: newProduct._id,
+      targetLabel: newProduct.name,
+      after: newProduct
+    });
+
     res.render('add-product', {
       title: 'Add New Product',
+      categories,
       message: `Product "${name}" has been added successfully!`,
       error: null
     });
@@ -170,6 +384,7 @@ router.post('/add', upload.single('image'), async (req, res) => {
     console.error('Error creating product:', error);
     res.render('add-product', {
       title: 'Add New Product',
+      categories: await listCategories().catch(() => []),
       message: null,
       error: error.message || 'Failed to create product. Please try again.'
     });
@@ -177,7 +392,7 @@ router.post('/add', upload.single('image'), async (req, res) => {
 });
 
 // GET - View all products
-router.get('/list', async (req, res) => {
+router.get('/list', authenticate, requirePermission('products:edit'), async (req, res) => {
   try {
     const startTime = Date.now();
     
@@ -188,31 +403,33 @@ router.get('/list', async (req, res) => {
     const queryFilter = {};
     if (categoryFilter && categoryFilter !== 'all') {
       // Validate category
-      const validCategories = ['Coffee', 'Tea', 'Juices', 'Snacks', 'Desserts'];
-      if (validCategories.includes(categoryFilter)) {
-        queryFilter.category = categoryFilter;
+      const category = await findCategory(categoryFilter);
+      if (category) {
+        queryFilter.category = category.name;
       }
     }
-    
-    // Limit to 50 products max for better performance
-    const limit = 50;
-    
-    // Fetch products with images - limit to 30 for better performance with images
-    const optimizedLimit = 30;
-    const products = await Product.find(queryFilter)
-      .select('name description price category image isAvailable createdAt updatedAt')
-      .sort({ createdAt: -1 })
-      .limit(optimizedLimit)
-      .lean(); // Use lean() for faster queries
-
-    // Include images but they'll load lazily in the browser
+
+    // Search, filters and sorting use the same parameters as /api, with page-based paging
+    const { params, error: queryError } = parseProductQuery(req.query, { defaultLimit: 24, maxLimit: 100 });
+    if (queryError) {
+      return res.redirect(`/products/list?message=${encodeURIComponent(queryError)}`);
+    }
+    const { page } = parsePagination(req.query);
+    const result = await searchProducts(queryFilter, params, {
+      fields: 'name translations sku description price category image imageId isAvailable availability variants stock lowStockThreshold allergens dietaryLabels createdAt updatedAt',
+      page
+    });
+    const products = result.products;
+
+    // Show thumbnails; images still load lazily in the browser
     const productsWithImages = products.map(product => ({
       ...product,
+      image: product.imageId ? imagePath(product.imageId, 'thumbnail') : product.image,
       hasImage: !!(product.image && product.image.length > 0)
     }));
 
     const queryTime = Date.now() - startTime;
-    console.log(`Fetched ${products.length} products in ${queryTime}ms${categoryFilter ? ` (filtered by: ${categoryFilter})` : ''} - Images excluded for performance`);
+    console.log(`Fetched ${products.length} of ${result.pagination.total} products in ${queryTime}ms${categoryFilter ? ` (filtered by: ${categoryFilter})` : ''}`);
 
     // Get category counts for filter UI (optimized - no image data)
     const categoryCounts = await Product.aggregate([
@@ -224,8 +441,18 @@ router.get('/list', async (req, res) => {
       title: categoryFilter && categoryFilter !== 'all' ? `${categoryFilter} Products` : 'All Products',
       products: productsWithImages,
       message: req.query.message || null,
-      totalProducts: products.length,
+      totalProducts: result.pagination.total,
       currentCategory: categoryFilter || 'all',
+      filters: {
+        q: params.q,
+        minPrice: req.query.minPrice || '',
+        maxPrice: req.query.maxPrice || '',
+        available: req.query.available || '',
+        sort: req.query.sort || '',
+        limit: req.query.limit || ''
+      },
+      pagination: buildPaginationMeta(page, params.limit, result.pagination.total),
+      categories: await listCategories(),
       categoryCounts: categoryCounts
     });
   } catch (error) {
@@ -235,13 +462,16 @@ router.get('/list', async (req, res) => {
       products: [],
       error: 'Failed to load products',
       currentCategory: 'all',
+      filters: {},
+      pagination: buildPaginationMeta(1, 24, 0),
+      categories: [],
       categoryCounts: []
     });
   }
 });
 
 // GET - Edit product form
-router.get('/edit/:id', async (req, res) => {
+router.get('/edit/:id', authenticate, requirePermission('products:edit'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
@@ -250,6 +480,7 @@ router.get('/edit/:id', async (req, res) => {
     res.render('edit-product', {
       title: 'Edit Product',
       product: product,
+      categories: await listCategories(),
       message: null,
       error: null
     });
@@ -260,15 +491,17 @@ router.get('/edit/:id', async (req, res) => {
 });
 
 // POST - Update product
-router.post('/edit/:id', upload.single('image'), async (req, res) => {
+router.post('/edit/:id', authenticate, requirePermission('products:edit'), upload.single('image'), async (req, res) => {
   try {
     const { name, description, price, category, isAvailable } = req.body;
     const product = await Product.findById(req.params.id);
+    const categories = await listCategories();
 
     if (!product) {
       return res.render('edit-product', {
         title: 'Edit Product',
         product: null,
+        categories,
         message: null,
         error: 'Product not found'
       });
@@ -279,6 +512,7 @@ router.post('/edit/:id', upload.single('image'), async (req, res) => {
       return res.render('edit-product', {
         title: 'Edit Product',
         product: product,
+        categories,
         message: null,
         error: 'Product name is required'
       });
@@ -288,6 +522,7 @@ router.post('/edit/:id', upload.single('image'), async (req, res) => {
       return res.render('edit-product', {
         title: 'Edit Product',
         product: product,
+        categories,
         message: null,
         error: 'Price is required'
       });
@@ -297,17 +532,19 @@ router.post('/edit/:id', upload.single('image'), async (req, res) => {
       return res.render('edit-product', {
         title: 'Edit Product',
         product: product,
+        categories,
         message: null,
         error: 'Product type (category) is required'
       });
     }
 
     // Validate category
-    const validCategories = ['Coffee', 'Tea', 'Juices', 'Snacks', 'Desserts'];
-    if (!validCategories.includes(category)) {
+    const productCategory = await findCategory(category);
+    if (!productCategory) {
       return res.render('edit-product', {
         title: 'Edit Product',
         product: product,
+        categories,
         message: null,
         error: 'Invalid category. Please select a valid product type.'
       });
@@ -319,38 +556,149 @@ router.post('/edit/:id', upload.single('image'), async (req, res) => {
       return res.render('edit-product', {
         title: 'Edit Product',
         product: product,
+        categories,
         message: null,
         error: 'Price must be a valid positive number'
       });
     }
 
-    // Handle image upload
-    let imageBase64 = product.image; // Keep existing image by default
-    if (req.file) {
-      try {
-        imageBase64 = await compressImage(req.file.buffer);
-      } catch (imgError) {
-        console.error('Image processing error:', imgError);
-        return res.render('edit-product', {
-          title: 'Edit Product',
-          product: product,
-          message: null,
-          error: 'Failed to process image. Please try again.'
-        });
-      }
-    } else if (req.body.image && req.body.image.trim() !== '') {
-      imageBase64 = req.body.image;
+    // SKUs are optional but must be unique
+    const sku = (req.body.sku || '').trim();
+    if (sku && await Product.exists({ sku, _id: { $ne: product._id } })) {
+      return res.render('edit-product', {
+        title: 'Edit Product',
+        product: product,
+        categories,
+        message: null,
+        error: `SKU ${sku} is already used by another product`
+      });
+    }
+
+    // Validate variants (sizes with their own price)
+    const { variants, error: variantError } = parseVariantsInput(req.body.variants);
+    if (variantError) {
+      return res.render('edit-product', {
+        title: 'Edit Product',
+        product: product,
+        categories,
+        message: null,
+        error: variantError
+      });
+    }
+
+    // Validate stock quantity and low-stock alert level (empty means not tracked / the default)
+    const { stock, lowStockThreshold, error: stockError } = parseStockFormInput(req.body);
+    if (stockError) {
+      return res.render('edit-product', {
+        title: 'Edit Product',
+        product: product,
+        categories,
+        message: null,
+        error: stockError
+      });
+    }
+
+    // Validate allergens, dietary labels and nutrition facts
+    const { allergens, dietaryLabels, nutrition, error: dietaryError } = parseDietaryInput(req.body);
+    if (dietaryError) {
+      return res.render('edit-product', {
+        title: 'Edit Product',
+        product: product,
+        categories,
+        message: null,
+        error: dietaryError
+      });
+    }
+
+    // Validate the times and season the product can be ordered in
+    const { availability, error: availabilityError } = parseAvailabilityInput(req.body.availability);
+    if (availabilityError) {
+      return res.render('edit-product', {
+        title: 'Edit Product',
+        product: product,
+        categories,
+        message: null,
+        error: availabilityError
+      });
+    }
+
+    // Validate the name and description in the other languages
+    const { translations, error: translationError } = parseTranslationsInput(req.body.translations);
+    if (translationError) {
+      return res.render('edit-product', {
+        title: 'Edit Product',
+        product: product,
+        categories,
+        message: null,
+        error: translationError
+      });
+    }
+
+    // Handle image upload (keep the existing image when none is sent)
+    let imageFields = null;
+    try {
+      imageFields = await saveProductImage(req);
+    } catch (imgError) {
+      console.error('Image processing error:', imgError);
+      return res.render('edit-product', {
+        title: 'Edit Product',
+        product: product,
+        categories,
+        message: null,
+        error: 'Failed to process image. Please upload a JPEG, PNG, WebP or GIF file.'
+      });
     }
 
     // Update product
+    const before = product.toObject();
     product.name = name;
+    product.translations = translations;
+    product.sku = sku || undefined;
     product.description = description || '';
     product.price = priceNum;
-    product.category = category;
-    product.image = imageBase64;
+    product.category = productCategory.name;
+    product.categoryId = productCategory._id;
+    const replacedImageId = imageFields && product.imageId;
+    if (imageFields) {
+      product.image = imageFields.image;
+      product.imageId = imageFields.imageId;
+    }
     product.isAvailable = isAvailable === 'true' || isAvailable === true;
+    if (product.isAvailable !== before.isAvailable) {
+      product.soldOutAt = null; // A manual change replaces any automatic sold-out state
+    }
+    product.variants = mergeExistingVariants(variants, product.variants);
+    product.lowStockThreshold = lowStockThreshold;
+    product.allergens = allergens;
+    product.dietaryLabels = dietaryLabels;
+    product.nutrition = nutrition;
+    product.availability = availability;
+    if (stock === null && product.stock !== null) {
+      // No longer counted; a product that was only unavailable because it ran out can be sold again
+      if (product.soldOutAt) product.isAvailable = true;
+      product.stock = null;
+      product.lowStockAlertedAt = null;
+      product.soldOutAt = null;
+    }
 
     await product.save();
+    await deleteImage(replacedImageId);
+
+    // A changed quantity is recorded as a recount; availability and alerts follow the stock
+    if (stock !== null && stock !== before.stock) {
+      await adjustStock(req, product, { reason: 'recount', quantity: stock, note: 'Updated on the product form' });
+    } else {
+      await checkStockLevels([product._id]);
+    }
+
+    await recordAudit(req, {
+      action: 'product.update',
+      targetType: 'Product',
+      targetId: product._id,
+      targetLabel: product.name,
+      before,
+      after: product
+    });
 
     res.redirect('/products/list?message=Product updated successfully');
   } catch (error) {
@@ -358,6 +706,7 @@ router.post('/edit/:id', upload.single('image'), async (req, res) => {
     res.render('edit-product', {
       title: 'Edit Product',
       product: req.body,
+      categories: await listCategories().catch(() => []),
       message: null,
       error: error.message || 'Failed to update product. Please try again.'
     });
@@ -365,12 +714,26 @@ router.post('/edit/:id', upload.single('image'), async (req, res) => {
 });
 
 // DELETE - Delete product
-router.post('/delete/:id', async (req, res) => {
+router.post('/delete/:id', authenticate, requirePermission('products:edit'), async (req, res) => {
   try {
     const product = await Product.findByIdAndDelete(req.params.id);
     if (!product) {
       return res.redirect('/products/list?message=Product not found');
     }
+
+    await deleteImage(product.imageId);
+
+    // Drop the product from any menus and modifier groups that listed it
+    await Menu.updateMany({}, { $pull: { items: { productId: product._id } } });
+    await ModifierGroup.updateMany({ productIds: product._id }, { $pull: { productIds: product._id } });
+
+    await recordAudit(req, {
+      action: 'product.delete',
+      targetType: 'Product',
+      targetId: product._id,
+      targetLabel: product.name,
+      before: product
+    });
     res.redirect('/products/list?message=Product deleted successfully');
   } catch (error) {
     console.error('Error deleting product:', error);
@@ -379,7 +742,7 @@ router.post('/delete/:id', async (req, res) => {
 });
 
 // API - Toggle product availability
-router.put('/api/:id/availability', async (req, res) => {
+router.put('/api/:id/availability', authenticate, requirePermission('products:edit'), async (req, res) => {
   try {
     const { id } = req.params;
     const { isAvailable } = req.body;
@@ -391,19 +754,41 @@ router.put('/api/:id/availability', async (req, res) => {
       });
     }
 
-    const product = await Product.findByIdAndUpdate(
+    // Sold-out products come back automatically when they are restocked
+    if (isAvailable && await Product.exists({ _id: id, stock: { $lte: 0 } })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This product is out of stock. Record a delivery or recount to make it available.'
+      });
+    }
+
+    // Previous version is returned so the change can be audited
+    // (a manual change replaces any automatic sold-out state)
+    const previous = await Product.findByIdAndUpdate(
       id,
-      { isAvailable },
-      { new: true }
+      { isAvailable, soldOutAt: null },
+      { new: false }
     );
 
-    if (!product) {
+    if (!previous) {
       return res.status(404).json({
         success: false,
         message: 'Product not found'
       });
     }
 
+    const product = previous.toObject();
+    product.isAvailable = isAvailable;
+
+    await recordAudit(req, {
+      action: 'product.availability-change',
+      targetType: 'Product',
+      targetId: product._id,
+      targetLabel: product.name,
+      before: { isAvailable: previous.isAvailable },
+      after: { isAvailable }
+    });
+
     res.json({
       success: true,
       message: `Product ${isAvailable ? 'enabled' : 'disabled'} successfully`,
@@ -423,21 +808,223 @@ router.put('/api/:id/availability', async (req, res) => {
   }
 });
 
-// API - Get all products (for admin - includes unavailable)
-router.get('/api/all', async (req, res) => {
+// API - Set the times and season a product can be ordered in:
+// { availability: { timeWindows: [{ days, startTime, endTime }], startDate, endDate, repeatsYearly } }
+// (times are in the cafe's timezone; null removes the rules)
+router.put('/api/:id/availability-rules', authenticate, requirePermission('products:edit'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    if (req.body.availability === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'availability is required (null removes the rules)'
+      });
+    }
+
+    const { availability, error } = parseAvailabilityInput(req.body.availability);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const before = product.toObject().availability;
+    product.availability = availability;
+    await product.save();
+
+    await recordAudit(req, {
+      action: 'product.availability-rules',
+      targetType: 'Product',
+      targetId: product._id,
+      targetLabel: product.name,
+      before: { availability: before },
+      after: { availability: product.toObject().availability }
+    });
+
+    const { availableNow, unavailableReason } = withAvailability(product.toObject());
+    res.json({
+      success: true,
+      message: 'Availability rules updated successfully',
+      product: {
+        _id: product._id,
+        name: product.name,
+        isAvailable: product.isAvailable,
+        availability: product.availability,
+        availableNow,
+        unavailableReason
+      }
+    });
+  } catch (error) {
+    console.error('Error updating product availability rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating product availability rules',
+      error: error.message
+    });
+  }
+});
+
+// API - Get all products (for admin and POS terminals - includes unavailable and hidden categories)
+// Accepts the same search, filter, sort and cursor parameters as /api
+router.get('/api/all', acceptApiKey, authenticate, requirePermission('menu:read'), async (req, res) => {
   try {
-    const products = await Product.find({})
-      .select('_id name description price category image isAvailable')
-      .sort({ createdAt: -1 })
-      .lean();
+    const { params, error: queryError } = parseProductQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({ success: false, message: queryError });
+    }
+
+    const queryFilter = {};
+    if (req.query.category && req.query.category !== 'all') {
+      const category = await findCategory(req.query.category);
+      queryFilter.category = category ? category.name : { $in: [] };
+    }
+
+    const result = await searchProducts(queryFilter, params, {
+      fields: '_id name translations sku description price category categoryId image imageId isAvailable availability variants salesCount stock lowStockThreshold allergens dietaryLabels nutrition'
+    });
+    const now = new Date();
+    const products = result.products.map(product => withAvailability(withImageUrls(product), now));
     
-    console.log(`Fetched ${products.length} products for admin dashboard`);
-    res.json({ success: true, products });
+    console.log(`Fetched ${products.length} of ${result.pagination.total} products for admin dashboard`);
+    res.json({ success: true, products, pagination: result.pagination });
   } catch (error) {
     console.error('Error fetching all products:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch products', error: error.message });
   }
 });
 
+// Run the import uploader and keep its error for the route to report
+const receiveImportFiles = (req, res, next) => {
+  importUpload(req, res, (error) => {
+    req.uploadError = error || null;
+    next();
+  });
+};
+
+// Helper function shared by the import page and API: validate the uploaded
+// catalogue and, unless it is a dry run, write it. Nothing is written when any
+// row has an error.
+const runProductImport = async (req, dryRun) => {
+  if (req.uploadError) {
+    return { status: 400, body: { success: false, message: req.uploadError.message } };
+  }
+
+  const { records, format, error: fileError } = readImportFile(req.files?.file?.[0]);
+  if (fileError) {
+    return { status: 400, body: { success: false, message: fileError } };
+  }
+
+  const { images, error: zipError } = readImageZip(req.files?.images?.[0]);
+  if (zipError) {
+    return { status: 400, body: { success: false, message: zipError } };
+  }
+
+  const plan = await planImport(records, { format, zipImages: images });
+  const report = toReport(plan);
+
+  if (plan.summary.error > 0) {
+    return {
+      status: dryRun ? 200 : 400,
+      body: {
+        success: dryRun,
+        dryRun,
+        message: `${plan.summary.error} row(s) have errors. Fix them and upload the file again; nothing was imported.`,
+        ...report
+      }
+    };
+  }
+
+  if (dryRun) {
+    return { status: 200, body: { success: true, dryRun, message: 'Preview only; nothing was imported.', ...report } };
+  }
+
+  const result = await applyImport(plan, { uploadedBy: req.user ? req.user._id : null });
+
+  await recordAudit(req, {
+    action: 'product.import',
+    targetType: 'Product',
+    targetLabel: req.files.file[0].originalname,
+    after: result
+  });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      dryRun,
+      message: `Imported ${result.created} new and ${result.updated} updated product(s); ${result.unchanged} unchanged.`,
+      ...report
+    }
+  };
+};
+
+// GET - Bulk import and export page
+router.get('/import', authenticate, requirePermission('products:edit'), (req, res) => {
+  res.render('import-products', {
+    title: 'Import / Export Products',
+    report: null,
+    dryRun: false,
+    message: req.query.message || null,
+    error: null
+  });
+});
+
+// POST - Preview (mode=preview) or run (mode=import) a bulk import from the page
+router.post('/import', authenticate, requirePermission('products:edit'), receiveImportFiles, async (req, res) => {
+  const dryRun = req.body.mode !== 'import';
+  try {
+    const { body } = await runProductImport(req, dryRun);
+    const hasErrors = !!body.summary && body.summary.error > 0;
+    res.render('import-products', {
+      title: 'Import / Export Products',
+      report: body.rows ? body : null,
+      dryRun,
+      message: body.success && !hasErrors ? body.message : null,
+      error: body.success && !hasErrors ? null : body.message
+    });
+  } catch (error) {
+    console.error('Error importing products:', error);
+    res.render('import-products', {
+      title: 'Import / Export Products',
+      report: null,
+      dryRun,
+      message: null,
+      error: error.message || 'Failed to import products. Please try again.'
+    });
+  }
+});
+
+// API - Bulk import products from a CSV or JSON file (multipart fields "file" and
+// optional "images" ZIP). ?dryRun=true returns the per-row report without writing.
+router.post('/api/import', authenticate, requirePermission('products:edit'), receiveImportFiles, async (req, res) => {
+  try {
+    const { status, body } = await runProductImport(req, req.query.dryRun === 'true');
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error importing products:', error);
+    res.status(500).json({ success: false, message: 'Failed to import products', error: error.message });
+  }
+});
+
+// API - Export the catalogue in the import format (?format=csv|json)
+router.get('/api/export', authenticate, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const { content, contentType, filename } = await exportProducts(format);
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('Error exporting products:', error);
+    res.status(500).json({ success: false, message: 'Failed to export products', error: error.message });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,433 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../schemas/Users');
+const Address = require('../schemas/Address');
+const AuthToken = require('../schemas/AuthToken');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const {
+  sanitizeBody,
+  validateRequired,
+  validateEmailFormat,
+  validatePhoneFormat,
+  validateObjectIdParam
+} = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+const { LANGUAGES } = require('../config/languages');
+
+const EMAIL_VERIFICATION_TTL_MINUTES = Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 60;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const MAX_ADDRESSES = 20;
+const ADDRESS_FIELDS = ['label', 'address', 'city', 'deliveryNotes'];
+
+const profileResponse = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  avatar: user.avatar,
+  role: user.role,
+  preferredLanguage: user.preferredLanguage || null,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Get the signed-in user's profile
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const pendingEmailChange = await AuthToken.findOne({
+      userId: req.user._id,
+      type: 'email-change',
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('newEmail expiresAt');
+
+    res.status(200).json({
+      success: true,
+      user: profileResponse(req.user),
+      pendingEmail: pendingEmailChange ? pendingEmailChange.newEmail : null
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching profile',
+      error: error.message
+    });
+  }
+});
+
+// Update name, phone, avatar and preferred language (email changes go through /email)
+router.put('/',
+  authenticate,
+  sanitizeBody,
+  validatePhoneFormat,
+  async (req, res) => {
+  try {
+    const { name, phone, avatar, email, preferredLanguage } = req.body;
+
+    if (email !== undefined && email !== req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/profile/email to change your email address'
+      });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name cannot be empty'
+      });
+    }
+
+    if (preferredLanguage !== undefined && preferredLanguage !== null && !LANGUAGES[preferredLanguage]) {
+      return res.status(400).json({
+        success: false,
+        message: `preferredLanguage must be one of: ${Object.keys(LANGUAGES).join(', ')} (or null to follow the browser)`
+      });
+    }
+
+    const updates = {};
+    if (name !== undefined) updates.name = name.trim();
+    if (phone !== undefined) updates.phone = phone;
+    if (avatar !== undefined) updates.avatar = avatar;
+    if (preferredLanguage !== undefined) updates.preferredLanguage = preferredLanguage;
+
+    const user = await User.findByIdAndUpdate(req.user._id, updates, { new: true, runValidators: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: profileResponse(user)
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating profile',
+      error: error.message
+    });
+  }
+});
+
+// Request an email change - a verification link is sent to the new address
+// and the email on the account only changes once that link is used
+router.post('/email',
+  authenticate,
+  sanitizeBody,
+  validateRequired(['email']),
+  validateEmailFormat,
+  async (req, res) => {
+  try {
+    const newEmail = req.body.email.trim().toLowerCase();
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    // Accounts with a password must confirm it before moving the login email
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (newEmail === user.email.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: newEmail });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    // Only the most recent email change request is valid
+    await AuthToken.deleteMany({ userId: user._id, type: 'email-change', usedAt: null });
+
+    const verificationToken = generateToken();
+    await AuthToken.create({
+      userId: user._id,
+      type: 'email-change',
+      tokenHash: hashToken(verificationToken),
+      newEmail,
+      expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MINUTES * 60 * 1000)
+    });
+
+    const verifyLink = `${FRONTEND_URL}/verify-email?token=${verificationToken}`;
+    await sendMail({
+      to: newEmail,
+      subject: 'Confirm your new Nile Cafe email address',
+      text: `Hi ${user.name},\n\nConfirm that you want to use this address for your Nile Cafe account. The link expires in ${EMAIL_VERIFICATION_TTL_MINUTES} minutes.\n\n${verifyLink}\n\nIf you did not request this, you can ignore this email.`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'A verification link has been sent to the new email address',
+      pendingEmail: newEmail
+    });
+  } catch (error) {
+    console.error('Request email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting email change',
+      error: error.message
+    });
+  }
+});
+
+// Confirm an email change with the token from the verification link
+router.post('/email/verify',
+  sanitizeBody,
+  validateRequired(['token']),
+  async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    // Consume the token atomically so it can only be used once
+    const changeToken = await AuthToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        type: 'email-change',
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!changeToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(changeToken.userId).active();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: changeToken.newEmail, _id: { $ne: user._id } });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    const previousEmail = user.email;
+    user.email = changeToken.newEmail;
+    await user.save();
+
+    // Let the old address know, in case the change was not made by the owner
+    await sendMail({
+      to: previousEmail,
+      subject: 'Your Nile Cafe email address was changed',
+      text: `Hi ${user.name},\n\nThe email address on your Nile Cafe account was changed to ${user.email}.\n\nIf you did not make this change, please contact us right away.`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address updated successfully',
+      user: profileResponse(user)
+    });
+  } catch (error) {
+    console.error('Verify email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email change',
+      error: error.message
+    });
+  }
+});
+
+// List saved addresses (default first)
+router.get('/addresses', authenticate, async (req, res) => {
+  try {
+    const addresses = await Address.find({ userId: req.user._id })
+      .sort({ isDefault: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      addresses
+    });
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching addresses',
+      error: error.message
+    });
+  }
+});
+
+// Save a new address - the first address becomes the default
+router.post('/addresses',
+  authenticate,
+  sanitizeBody,
+  validateRequired(['label', 'address']),
+  async (req, res) => {
+  try {
+    const count = await Address.countDocuments({ userId: req.user._id });
+    if (count >= MAX_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_ADDRESSES} addresses`
+      });
+    }
+
+    const isDefault = count === 0 || req.body.isDefault === true;
+    if (isDefault) {
+      await Address.updateMany({ userId: req.user._id }, { isDefault: false });
+    }
+
+    const address = new Address({ userId: req.user._id, isDefault });
+    ADDRESS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) address[field] = req.body[field];
+    });
+    await address.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved successfully',
+      address
+    });
+  } catch (error) {
+    console.error('Create address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving address',
+      error: error.message
+    });
+  }
+});
+
+// Update a saved address
+router.put('/addresses/:addressId',
+  authenticate,
+  validateObjectIdParam('addressId'),
+  sanitizeBody,
+  async (req, res) => {
+  try {
+    const address = await Address.findOne({ _id: req.params.addressId, userId: req.user._id });
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    for (const field of ['label', 'address']) {
+      if (req.body[field] !== undefined && (typeof req.body[field] !== 'string' || !req.body[field].trim())) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} cannot be empty`
+        });
+      }
+    }
+
+    ADDRESS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) address[field] = req.body[field];
+    });
+
+    if (req.body.isDefault === true && !address.isDefault) {
+      await Address.updateMany({ userId: req.user._id }, { isDefault: false });
+      address.isDefault = true;
+    }
+
+    await address.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address updated successfully',
+      address
+    });
+  } catch (error) {
+    console.error('Update address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating address',
+      error: error.message
+    });
+  }
+});
+
+// Make a saved address the default
+router.post('/addresses/:addressId/default',
+  authenticate,
+  validateObjectIdParam('addressId'),
+  async (req, res) => {
+  try {
+    const address = await Address.findOne({ _id: req.params.addressId, userId: req.user._id });
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    await Address.updateMany({ userId: req.user._id, _id: { $ne: address._id } }, { isDefault: false });
+    address.isDefault = true;
+    await address.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Default address updated',
+      address
+    });
+  } catch (error) {
+    console.error('Set default address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating default address',
+      error: error.message
+    });
+  }
+});
+
+// Delete a saved address - the newest remaining address becomes the default
+router.delete('/addresses/:addressId',
+  authenticate,
+  validateObjectIdParam('addressId'),
+  async (req, res) => {
+  try {
+    const address = await Address.findOneAndDelete({ _id: req.params.addressId, userId: req.user._id });
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    if (address.isDefault) {
+      const next = await Address.findOne({ userId: req.user._id }).sort({ createdAt: -1 });
+      if (next) {
+        next.isDefault = true;
+        await next.save();
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting address',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
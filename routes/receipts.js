@@ -1,18 +1,57 @@
 const express = require('express');
 const router = express.Router();
+const fs = require('fs');
 const PDFDocument = require('pdfkit');
 const Order = require('../schemas/Orders');
 const User = require('../schemas/Users');
+const { acceptApiKey, authenticate, requirePermission } = require('../middleware/auth');
+const { canAccessOrder, denyAccess } = require('../middleware/ownership');
+const { DELIVERY_FEE, describeLine } = require('../utils/pricing');
+const { describeAllergens } = require('../utils/dietary');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+const { RECEIPT_TEXT, RECEIPT_LOCALES } = require('../config/receiptText');
+const { resolveLanguage, translate } = require('../utils/localization');
+const { createTextWriter } = require('../utils/pdfText');
+
+// The built-in PDF fonts only cover Latin text. Arabic receipts need a TTF/OTF
+// font with Arabic and Latin letters (e.g. Amiri) at RECEIPT_ARABIC_FONT.
+const RECEIPT_FONTS = {
+  ar: process.env.RECEIPT_ARABIC_FONT || null
+};
+
+// A language whose font is missing falls back to the default language
+const getReceiptLanguage = (language) => {
+  if (language === DEFAULT_LANGUAGE || (RECEIPT_FONTS[language] && fs.existsSync(RECEIPT_FONTS[language]))) {
+    return language;
+  }
+  console.warn(`Receipt font for "${language}" is not set or not found; printing in "${DEFAULT_LANGUAGE}" instead`);
+  return DEFAULT_LANGUAGE;
+};
+
+// Line label in a language: the product's translated name when it has one, else the name it was ordered under
+const describeLocalizedLine = (item, language) => {
+  const translated = item.productId?.translations && translate(item.productId, 'name', language);
+  if (language === DEFAULT_LANGUAGE || !translated || translated === item.productId.name) {
+    return describeLine(item);
+  }
+  return item.variantName ? `${translated} (${item.variantName})` : translated;
+};
+
+// Allergens of an order line: the snapshot taken when it was ordered, or the
+// product's current allergens for orders placed before snapshots were kept
+const lineAllergens = (item) => (item.allergens && item.allergens.length > 0)
+  ? item.allergens
+  : (item.productId?.allergens || []);
 
-// Generate and download PDF receipt
-router.get('/:orderId', async (req, res) => {
+// Generate and download PDF receipt (API keys can print receipts for orders they created)
+router.get('/:orderId', acceptApiKey, authenticate, async (req, res) => {
   try {
     const { orderId } = req.params;
 
     // Find order and populate customer and product details
     const order = await Order.findById(orderId)
-      .populate('customerId', 'name email phone')
-      .populate('items.productId', 'name price image category');
+      .populate('customerId', 'name email phone preferredLanguage')
+      .populate('items.productId', 'name translations price image category allergens');
 
     if (!order) {
       return res.status(404).json({
@@ -21,22 +60,37 @@ router.get('/:orderId', async (req, res) => {
       });
     }
 
+    if (!canAccessOrder(req, order)) {
+      return denyAccess(res, 'Access denied. You can only access receipts for your own orders.');
+    }
+
+    // Receipt language: ?lang=, then the customer's preferred language, then Accept-Language
+    const language = getReceiptLanguage(resolveLanguage(req, { preferred: order.customerId?.preferredLanguage }));
+    const t = RECEIPT_TEXT[language];
+    const rtl = LANGUAGES[language].dir === 'rtl';
+
     // Create PDF document
     const doc = new PDFDocument({
       size: 'A4',
-      margin: 50
+      margin: 50,
+      lang: language
     });
+    if (RECEIPT_FONTS[language]) {
+      doc.font(RECEIPT_FONTS[language]);
+    }
+    const writer = createTextWriter(doc, { rtl });
 
     // Set response headers
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="receipt-${orderId}.pdf"`);
+    res.setHeader('Content-Language', language);
 
     // Pipe PDF to response
     doc.pipe(res);
 
-    // PDF Content
-    const customer = order.customerId;
-    const orderDate = new Date(order.createdAt).toLocaleDateString('en-US', {
+    // PDF Content (fall back to the order's own details for guest orders or if the customer record is gone)
+    const customer = order.customerId || { name: order.apiKeyId ? t.guest : t.formerCustomer, email: order.email || '-' };
+    const orderDate = new Date(order.createdAt).toLocaleDateString(RECEIPT_LOCALES[language], {
       year: 'numeric',
       month: 'long',
       day: 'numeric',
@@ -46,56 +100,58 @@ router.get('/:orderId', async (req, res) => {
 
     // Header
     doc.fontSize(24)
-       .fillColor('#8B4513')
-       .text('Nile Cafe', 50, 50, { align: 'center' });
+       .fillColor('#8B4513');
+    writer.text(t.cafeName, 50, 50, { align: 'center' });
     
     doc.fontSize(12)
-       .fillColor('#666')
-       .text('Order Receipt', 50, 85, { align: 'center' });
+       .fillColor('#666');
+    writer.text(t.title, 50, 85, { align: 'center' });
 
     // Order Information
     doc.fontSize(14)
-       .fillColor('#000')
-       .text(`Order #: ${order._id}`, 50, 120)
-       .text(`Date: ${orderDate}`, 50, 140)
-       .text(`Status: ${order.status.charAt(0).toUpperCase() + order.status.slice(1)}`, 50, 160)
-       .text(`Payment Status: ${order.paymentStatus.charAt(0).toUpperCase() + order.paymentStatus.slice(1)}`, 50, 180);
+       .fillColor('#000');
+    writer.text(`${t.orderNumber}: ${order._id}`, 50, 120);
+    writer.text(`${t.date}: ${orderDate}`, 50, 140);
+    writer.text(`${t.status}: ${t.statuses[order.status] || order.status}`, 50, 160);
+    writer.text(`${t.paymentStatus}: ${t.paymentStatuses[order.paymentStatus] || order.paymentStatus}`, 50, 180);
 
     // Customer Information
     doc.fontSize(16)
-       .fillColor('#8B4513')
-       .text('Customer Information', 50, 220);
+       .fillColor('#8B4513');
+    writer.text(t.customerInformation, 50, 220);
     
     doc.fontSize(12)
-       .fillColor('#000')
-       .text(`Name: ${customer.name}`, 50, 245)
-       .text(`Email: ${customer.email}`, 50, 265);
+       .fillColor('#000');
+    writer.text(`${t.name}: ${customer.name}`, 50, 245);
+    writer.text(`${t.email}: ${customer.email}`, 50, 265);
     
     if (customer.phone) {
-      doc.text(`Phone: ${customer.phone}`, 50, 285);
+      writer.text(`${t.phone}: ${customer.phone}`, 50, 285);
     }
 
     // Order Details
     doc.fontSize(16)
-       .fillColor('#8B4513')
-       .text('Order Details', 50, customer.phone ? 320 : 300);
+       .fillColor('#8B4513');
+    writer.text(t.orderDetails, 50, customer.phone ? 320 : 300);
 
     let yPosition = customer.phone ? 345 : 325;
 
     // Order Type
     doc.fontSize(12)
-       .fillColor('#000')
-       .text(`Order Type: ${order.orderType.charAt(0).toUpperCase() + order.orderType.slice(1)}`, 50, yPosition);
+       .fillColor('#000');
+    writer.text(`${t.orderType}: ${t.orderTypes[order.orderType] || order.orderType}`, 50, yPosition);
     
     yPosition += 20;
 
     if (order.orderType === 'delivery' && order.deliveryAddress) {
-      doc.text(`Delivery Address: ${order.deliveryAddress}`, 50, yPosition);
-      yPosition += 20;
+      yPosition = Math.max(yPosition + 20, writer.text(`${t.deliveryAddress}: ${order.deliveryAddress}`, 50, yPosition));
+      if (order.deliveryNotes) {
+        yPosition = Math.max(yPosition + 20, writer.text(`${t.deliveryNotes}: ${order.deliveryNotes}`, 50, yPosition));
+      }
     }
 
     if (order.orderType === 'restaurant' && order.tableNumber) {
-      doc.text(`Table Number: ${order.tableNumber}`, 50, yPosition);
+      writer.text(`${t.tableNumber}: ${order.tableNumber}`, 50, yPosition);
       yPosition += 20;
     }
 
@@ -103,11 +159,11 @@ router.get('/:orderId', async (req, res) => {
 
     // Items Table Header
     doc.fontSize(12)
-       .fillColor('#8B4513')
-       .text('Items', 50, yPosition)
-       .text('Qty', 300, yPosition)
-       .text('Price', 400, yPosition)
-       .text('Total', 500, yPosition);
+       .fillColor('#8B4513');
+    writer.text(t.items, 50, yPosition, { width: 240 });
+    writer.text(t.quantity, 300, yPosition, { width: 90 });
+    writer.text(t.price, 400, yPosition, { width: 90 });
+    writer.text(t.lineTotal, 500, yPosition, { width: 45 });
 
     yPosition += 25;
 
@@ -125,7 +181,7 @@ router.get('/:orderId', async (req, res) => {
        .fillColor('#000');
 
     order.items.forEach((item, index) => {
-      const productName = item.name || item.productId?.name || 'Unknown Product';
+      const productName = describeLocalizedLine(item, language);
       const quantity = item.quantity || 1;
       const price = item.price || item.productId?.price || 0;
       const itemTotal = price * quantity;
@@ -136,12 +192,33 @@ router.get('/:orderId', async (req, res) => {
         yPosition = 50;
       }
 
-      doc.text(productName, 50, yPosition, { width: 240 })
-         .text(quantity.toString(), 300, yPosition)
-         .text(`$${price.toFixed(2)}`, 400, yPosition)
-         .text(`$${itemTotal.toFixed(2)}`, 500, yPosition);
+      const nameBottom = writer.text(productName, 50, yPosition, { width: 240 });
+      writer.text(quantity.toString(), 300, yPosition, { width: 90 });
+      writer.text(`$${price.toFixed(2)}`, 400, yPosition, { width: 90 });
+      writer.text(`$${itemTotal.toFixed(2)}`, 500, yPosition, { width: 45 });
+
+      yPosition = Math.max(yPosition + 20, nameBottom + 5);
+
+      // Modifiers under the item, with their price change (already included in the item price)
+      (item.modifiers || []).forEach(modifier => {
+        const delta = modifier.priceDelta
+          ? ` (${modifier.priceDelta > 0 ? '+' : '-'}$${Math.abs(modifier.priceDelta).toFixed(2)})`
+          : '';
+        doc.fontSize(9)
+           .fillColor('#666');
+        writer.text(`+ ${modifier.name}${delta}`, 65, yPosition, { width: 225 });
+        yPosition += 14;
+      });
 
-      yPosition += 20;
+      const allergens = lineAllergens(item);
+      if (allergens.length > 0) {
+        doc.fontSize(9)
+           .fillColor('#666');
+        const allergensBottom = writer.text(`${t.contains}: ${describeAllergens(allergens, language)}`, 65, yPosition, { width: 225 });
+        yPosition = Math.max(yPosition + 14, allergensBottom + 2);
+      }
+      doc.fontSize(11)
+         .fillColor('#000');
     });
 
     yPosition += 10;
@@ -162,34 +239,34 @@ router.get('/:orderId', async (req, res) => {
       return sum + (price * quantity);
     }, 0);
 
-    const deliveryFee = order.orderType === 'delivery' ? 10 : 0;
+    const deliveryFee = order.orderType === 'delivery' ? DELIVERY_FEE : 0;
 
     // Totals
     doc.fontSize(12)
-       .fillColor('#000')
-       .text('Subtotal:', 400, yPosition)
-       .text(`$${subtotal.toFixed(2)}`, 500, yPosition);
+       .fillColor('#000');
+    writer.text(`${t.subtotal}:`, 400, yPosition, { width: 100 });
+    writer.text(`$${subtotal.toFixed(2)}`, 500, yPosition, { width: 45 });
 
     yPosition += 20;
 
     if (deliveryFee > 0) {
-      doc.text('Delivery Fee:', 400, yPosition)
-         .text(`$${deliveryFee.toFixed(2)}`, 500, yPosition);
+      writer.text(`${t.deliveryFee}:`, 400, yPosition, { width: 100 });
+      writer.text(`$${deliveryFee.toFixed(2)}`, 500, yPosition, { width: 45 });
       yPosition += 20;
     }
 
     // Total
     doc.fontSize(14)
-       .fillColor('#8B4513')
-       .text('Total:', 400, yPosition)
-       .text(`$${order.totalPrice.toFixed(2)}`, 500, yPosition);
+       .fillColor('#8B4513');
+    writer.text(`${t.total}:`, 400, yPosition, { width: 100 });
+    writer.text(`$${order.totalPrice.toFixed(2)}`, 500, yPosition, { width: 45 });
 
     // Footer
     const footerY = 750;
     doc.fontSize(10)
-       .fillColor('#666')
-       .text('Thank you for your order!', 50, footerY, { align: 'center' })
-       .text('Nile Cafe - Your favorite coffee destination', 50, footerY + 15, { align: 'center' });
+       .fillColor('#666');
+    writer.text(t.thankYou, 50, footerY, { align: 'center' });
+    writer.text(t.tagline, 50, footerY + 15, { align: 'center' });
 
     // Finalize PDF
     doc.end();
@@ -204,8 +281,97 @@ router.get('/:orderId', async (req, res) => {
   }
 });
 
+// Generate a kitchen ticket for an order: 80mm wide, no prices, each item with its
+// size and modifiers (for kitchen staff and POS terminals)
+router.get('/:orderId/kitchen-ticket', acceptApiKey, authenticate, requirePermission('orders:update-status'), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId)
+      .populate('items.productId', 'name allergens');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(req, order)) {
+      return denyAccess(res, 'Access denied. You can only print tickets for orders you can view.');
+    }
+
+    const pageWidth = 226; // 80mm receipt printer
+    const doc = new PDFDocument({
+      size: [pageWidth, 600],
+      margin: 12
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="kitchen-ticket-${orderId}.pdf"`);
+    doc.pipe(res);
+
+    const width = pageWidth - 24;
+    const orderTime = new Date(order.createdAt).toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    doc.fontSize(16)
+       .fillColor('#000')
+       .text('KITCHEN', { align: 'center', width })
+       .fontSize(11)
+       .text(`Order #${order._id.toString().slice(-6).toUpperCase()}  ${orderTime}`, { align: 'center', width });
+
+    doc.moveDown(0.5)
+       .fontSize(12)
+       .text(order.orderType === 'restaurant' && order.tableNumber
+         ? `TABLE ${order.tableNumber}`
+         : order.orderType.toUpperCase(), { align: 'center', width });
+
+    doc.moveDown(0.5);
+    doc.moveTo(12, doc.y).lineTo(pageWidth - 12, doc.y).lineWidth(1).stroke();
+    doc.moveDown(0.5);
+
+    order.items.forEach(item => {
+      if (doc.y > 540) {
+        doc.addPage();
+      }
+
+      doc.fontSize(12)
+         .text(`${item.quantity || 1} x ${describeLine(item)}`, { width });
+
+      (item.modifiers || []).forEach(modifier => {
+        doc.fontSize(10)
+           .text(`   + ${modifier.name}`, { width });
+      });
+
+      // Allergens stand out so they are checked before the item is made
+      const allergens = lineAllergens(item);
+      if (allergens.length > 0) {
+        doc.fontSize(10)
+           .font('Helvetica-Bold')
+           .text(`   !! ALLERGENS: ${describeAllergens(allergens).toUpperCase()}`, { width })
+           .font('Helvetica');
+      }
+
+      doc.moveDown(0.4);
+    });
+
+    doc.end();
+
+  } catch (error) {
+    console.error('Error generating kitchen ticket:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating kitchen ticket',
+      error: error.message
+    });
+  }
+});
+
 // Send PDF receipt via email (requires email service setup)
-router.post('/:orderId/send-email', async (req, res) => {
+router.post('/:orderId/send-email', authenticate, async (req, res) => {
   try {
     const { orderId } = req.params;
 
@@ -220,12 +386,16 @@ router.post('/:orderId/send-email', async (req, res) => {
       });
     }
 
+    if (!canAccessOrder(req, order)) {
+      return denyAccess(res, 'Access denied. You can only access receipts for your own orders.');
+    }
+
     // For now, return success (email sending requires email service like nodemailer)
     // TODO: Implement email sending with nodemailer or similar service
     res.status(200).json({
       success: true,
       message: 'PDF receipt will be sent to your email',
-      email: order.customerId.email
+      email: order.customerId?.email || order.email
     });
 
     // Note: To implement email sending, you would:
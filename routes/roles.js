@@ -0,0 +1,251 @@
+const express = require('express');
+const router = express.Router();
+const Role = require('../schemas/Role');
+const User = require('../schemas/Users');
+const Invite = require('../schemas/Invite');
+const { PERMISSIONS, ALL_PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { sanitizeBody, validateRequired } = require('../middleware/validation');
+const { isBuiltInRole, clearRoleCache } = require('../utils/roles');
+const { recordAudit } = require('../utils/audit');
+const { pendingFilter } = require('../utils/invites');
+const { slugify } = require('../utils/slug');
+
+// Validate a permissions array from the request body
+const parsePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return { error: 'permissions must be an array' };
+  }
+  const unknown = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    return { error: `Unknown permissions: ${unknown.join(', ')}` };
+  }
+  return { permissions: [...new Set(permissions)] };
+};
+
+// Get the permission catalogue with built-in and custom roles
+router.get('/', authenticate, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const [customRoles, userCounts] = await Promise.all([
+      Role.find({}).sort({ name: 1 }).lean(),
+      User.aggregate([
+        { $match: { deletedAt: null } },
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countFor = (key) => userCounts.find(c => c._id === key)?.count || 0;
+
+    const builtInRoles = Object.entries(BUILT_IN_ROLES).map(([key, role]) => ({
+      key,
+      name: role.name,
+      permissions: role.permissions,
+      builtIn: true,
+      userCount: countFor(key)
+    }));
+
+    res.status(200).json({
+      success: true,
+      permissions: PERMISSIONS,
+      roles: [
+        ...builtInRoles,
+        ...customRoles.map(role => ({ ...role, builtIn: false, userCount: countFor(role.key) }))
+      ]
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching roles',
+      error: error.message
+    });
+  }
+});
+
+// Create a custom role (e.g. "shift lead")
+router.post('/',
+  authenticate,
+  requirePermission('roles:manage'),
+  sanitizeBody,
+  validateRequired(['name']),
+  async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const key = slugify(req.body.key || name);
+
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role key must contain letters or numbers'
+      });
+    }
+
+    if (isBuiltInRole(key)) {
+      return res.status(400).json({
+        success: false,
+        message: `"${key}" is a built-in role`
+      });
+    }
+
+    const { permissions, error } = parsePermissions(req.body.permissions || []);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const existingRole = await Role.findOne({ key });
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this key already exists'
+      });
+    }
+
+    const role = await Role.create({ key, name, description: description || '', permissions });
+    clearRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.create',
+      targetType: 'Role',
+      targetId: role._id,
+      targetLabel: role.key,
+      after: { name: role.name, permissions: role.permissions }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating role',
+      error: error.message
+    });
+  }
+});
+
+// Update a custom role
+router.put('/:key',
+  authenticate,
+  requirePermission('roles:manage'),
+  sanitizeBody,
+  async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (isBuiltInRole(key)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be changed'
+      });
+    }
+
+    const role = await Role.findOne({ key });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const before = role.toObject();
+
+    if (req.body.permissions !== undefined) {
+      const { permissions, error } = parsePermissions(req.body.permissions);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      role.permissions = permissions;
+    }
+    if (req.body.name) role.name = req.body.name;
+    if (req.body.description !== undefined) role.description = req.body.description;
+
+    await role.save();
+    clearRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.update',
+      targetType: 'Role',
+      targetId: role._id,
+      targetLabel: role.key,
+      before,
+      after: role
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating role',
+      error: error.message
+    });
+  }
+});
+
+// Delete a custom role (only when no account or pending invitation uses it)
+router.delete('/:key', authenticate, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (isBuiltInRole(key)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const assignedUsers = await User.countDocuments({ role: key, deletedAt: null });
+    if (assignedUsers > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is still assigned to ${assignedUsers} account(s). Change their role first.`
+      });
+    }
+
+    const pendingInvites = await Invite.countDocuments({ role: key, ...pendingFilter() });
+    if (pendingInvites > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is offered in ${pendingInvites} pending invitation(s). Revoke them first.`
+      });
+    }
+
+    const role = await Role.findOneAndDelete({ key });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    clearRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      targetType: 'Role',
+      targetId: role._id,
+      targetLabel: role.key,
+      before: { name: role.name, permissions: role.permissions }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting role',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const Product = require('../schemas/Product');
+const StockMovement = require('../schemas/StockMovement');
+const { acceptApiKey, authenticate, requirePermission } = require('../middleware/auth');
+const { validateObjectId, validateObjectIdParam } = require('../middleware/validation');
+const { recordAudit } = require('../utils/audit');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+const {
+  ADJUSTMENT_REASONS,
+  getLowStockThreshold,
+  checkStockLevels,
+  parseStockAdjustment,
+  adjustStock,
+  listLowStockProducts
+} = require('../utils/stock');
+
+// API - Current stock of every stock-tracked product (for admin and POS terminals)
+router.get('/api', acceptApiKey, authenticate, requirePermission('menu:read'), async (req, res) => {
+  try {
+    const products = await Product.find({ stock: { $ne: null } })
+      .select('name sku category stock lowStockThreshold lowStockAlertedAt isAvailable soldOutAt')
+      .sort({ category: 1, name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      products: products.map(product => ({ ...product, lowStockThreshold: getLowStockThreshold(product) }))
+    });
+  } catch (error) {
+    console.error('Error fetching stock levels:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch stock levels', error: error.message });
+  }
+});
+
+// API - Products at or below their low-stock threshold
+router.get('/api/low', authenticate, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const products = await listLowStockProducts();
+    res.json({ success: true, count: products.length, products });
+  } catch (error) {
+    console.error('Error fetching low stock products:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch low stock products', error: error.message });
+  }
+});
+
+// API - Stock movement ledger
+// Query: productId, ingredientId, reason, orderId, from, to, page, limit
+router.get('/api/movements', authenticate, requirePermission('stock:manage'), async (req, res) => {
+  try {
+    const { productId, ingredientId, reason, orderId, from, to } = req.query;
+    const filter = {};
+
+    if (productId) {
+      if (!validateObjectId(productId)) {
+        return res.status(400).json({ success: false, message: 'Invalid productId format' });
+      }
+      filter.productId = productId;
+    }
+    if (ingredientId) {
+      if (!validateObjectId(ingredientId)) {
+        return res.status(400).json({ success: false, message: 'Invalid ingredientId format' });
+      }
+      filter.ingredientId = ingredientId;
+    }
+    if (orderId) {
+      if (!validateObjectId(orderId)) {
+        return res.status(400).json({ success: false, message: 'Invalid orderId format' });
+      }
+      filter.orderId = orderId;
+    }
+    if (reason) filter.reason = reason;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from && !isNaN(new Date(from))) filter.createdAt.$gte = new Date(from);
+      if (to && !isNaN(new Date(to))) {
+        const end = new Date(to);
+        end.setHours(23, 59, 59, 999);
+        filter.createdAt.$lte = end;
+      }
+    }
+
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, movements, pagination: buildPaginationMeta(page, limit, total) });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch stock movements', error: error.message });
+  }
+});
+
+// API - Adjust a product's stock: { reason, quantity, note }
+// reason: delivery (units received), waste (units removed), recount (counted
+// quantity, starts tracking) or correction (signed change)
+router.post('/api/:productId/adjust', authenticate, requirePermission('stock:manage'), validateObjectIdParam('productId'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId).select('name stock').lean();
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const { adjustment, error } = parseStockAdjustment(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error, reasons: ADJUSTMENT_REASONS });
+    }
+
+    const result = await adjustStock(req, product, adjustment);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: `Stock of ${product.name} is now ${result.product.stock}`,
+      product: result.product,
+      movement: result.movement
+    });
+  } catch (error) {
+    console.error('Error adjusting stock:', error);
+    res.status(500).json({ success: false, message: 'Failed to adjust stock', error: error.message });
+  }
+});
+
+// API - Change stock settings: { lowStockThreshold } (null uses the default),
+// { tracked: false } stops counting the product
+router.put('/api/:productId/settings', authenticate, requirePermission('stock:manage'), validateObjectIdParam('productId'), async (req, res) => {
+  try {
+    const { lowStockThreshold, tracked } = req.body;
+    const updates = {};
+
+    if (lowStockThreshold !== undefined) {
+      const threshold = lowStockThreshold === null || lowStockThreshold === '' ? null : Number(lowStockThreshold);
+      if (threshold !== null && (!Number.isInteger(threshold) || threshold < 0)) {
+        return res.status(400).json({ success: false, message: 'lowStockThreshold must be a whole number of zero or more' });
+      }
+      updates.lowStockThreshold = threshold;
+    }
+
+    const previous = await Product.findById(req.params.productId)
+      .select('name stock lowStockThreshold soldOutAt')
+      .lean();
+    if (!previous) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    if (tracked === false) {
+      updates.stock = null;
+      updates.lowStockAlertedAt = null;
+      updates.soldOutAt = null;
+      // A product that was only unavailable because it ran out can be sold again
+      if (previous.soldOutAt) updates.isAvailable = true;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, message: 'Nothing to update' });
+    }
+
+    await Product.updateOne({ _id: previous._id }, updates);
+
+    await checkStockLevels([previous._id]);
+
+    await recordAudit(req, {
+      action: 'product.stock-settings',
+      targetType: 'Product',
+      targetId: previous._id,
+      targetLabel: previous.name,
+      before: { stock: previous.stock, lowStockThreshold: previous.lowStockThreshold },
+      after: updates
+    });
+
+    const product = await Product.findById(previous._id)
+      .select('name stock lowStockThreshold lowStockAlertedAt isAvailable soldOutAt')
+      .lean();
+
+    res.json({ success: true, message: 'Stock settings updated successfully', product });
+  } catch (error) {
+    console.error('Error updating stock settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to update stock settings', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,331 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../schemas/Users');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { sanitizeBody, validateRequired, validateObjectIdParam } = require('../middleware/validation');
+const {
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifySecondFactor,
+  countBackupCodes
+} = require('../utils/twoFactor');
+const { revokeAllSessions } = require('../utils/sessions');
+const { roleExists } = require('../utils/roles');
+const { recordAudit } = require('../utils/audit');
+
+// Get 2FA status for the signed-in user
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const enabled = !!req.user.twoFactor?.enabled;
+
+    res.status(200).json({
+      success: true,
+      twoFactor: {
+        enabled,
+        enabledAt: req.user.twoFactor?.enabledAt || null,
+        required: await isTwoFactorRequired(req.user.role),
+        backupCodesRemaining: enabled ? await countBackupCodes(req.user._id) : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching two-factor status',
+      error: error.message
+    });
+  }
+});
+
+// Start enrollment - returns the secret and an otpauth:// URI to show as a QR code
+router.post('/setup', authenticate, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = await startEnrollment(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting two-factor setup',
+      error: error.message
+    });
+  }
+});
+
+// Confirm enrollment with the first code from the app - returns backup codes once
+router.post('/enable',
+  authenticate,
+  sanitizeBody,
+  validateRequired(['code']),
+  async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const backupCodes = await confirmEnrollment(req.user, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code. Start setup again if the problem persists.'
+      });
+    }
+
+    // Other sessions were opened without a second factor
+    await revokeAllSessions(req.user._id, 'two-factor-enabled', { exceptSessionId: req.authSession._id });
+
+    await recordAudit(req, {
+      action: 'two-factor.enable',
+      targetType: 'User',
+      targetId: req.user._id,
+      targetLabel: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error enabling two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
+// Turn 2FA off (needs the password and a current code; not allowed when the role requires 2FA)
+router.post('/disable',
+  authenticate,
+  sanitizeBody,
+  validateRequired(['code']),
+  async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequired(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (!(await verifySecondFactor(req.user._id, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await disableTwoFactor(req.user._id);
+
+    await recordAudit(req, {
+      action: 'two-factor.disable',
+      targetType: 'User',
+      targetId: req.user._id,
+      targetLabel: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
+// Replace the backup codes (needs a current code) - returns the new codes once
+router.post('/backup-codes',
+  authenticate,
+  sanitizeBody,
+  validateRequired(['code']),
+  async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(req.user._id, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const backupCodes = await regenerateBackupCodes(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating backup codes',
+      error: error.message
+    });
+  }
+});
+
+// Get the 2FA policy (admin)
+router.get('/policy', authenticate, requirePermission('accounts:manage'), async (req, res) => {
+  try {
+    const policy = await getSecurityPolicy();
+
+    res.status(200).json({
+      success: true,
+      policy: {
+        twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+        updatedAt: policy.updatedAt || null
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching two-factor policy',
+      error: error.message
+    });
+  }
+});
+
+// Set which roles must use 2FA, e.g. { "twoFactorRequiredRoles": ["admin"] } (admin)
+// Members of those roles keep signing in but get no permissions until they enroll
+router.put('/policy', authenticate, requirePermission('accounts:manage'), async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+
+    if (!Array.isArray(twoFactorRequiredRoles)) {
+      return res.status(400).json({
+        success: false,
+        message: 'twoFactorRequiredRoles must be an array of role keys'
+      });
+    }
+
+    const roles = [...new Set(twoFactorRequiredRoles)];
+    for (const role of roles) {
+      if (!(await roleExists(role))) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown role: ${role}`
+        });
+      }
+    }
+
+    const previous = await getSecurityPolicy();
+    const policy = await updateSecurityPolicy(roles, req.user._id);
+
+    await recordAudit(req, {
+      action: 'security-policy.update',
+      targetType: 'SecurityPolicy',
+      targetId: policy._id,
+      targetLabel: 'Two-factor policy',
+      before: { twoFactorRequiredRoles: previous.twoFactorRequiredRoles },
+      after: { twoFactorRequiredRoles: policy.twoFactorRequiredRoles }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      policy: {
+        twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+        updatedAt: policy.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Update 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating two-factor policy',
+      error: error.message
+    });
+  }
+});
+
+// Reset 2FA for a user who lost their authenticator and backup codes (admin)
+router.delete('/users/:id',
+  authenticate,
+  requirePermission('accounts:manage'),
+  validateObjectIdParam('id'),
+  async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).active();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await disableTwoFactor(user._id);
+    await revokeAllSessions(user._id, 'two-factor-reset');
+
+    await recordAudit(req, {
+      action: 'two-factor.reset',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset. The user has been signed out everywhere.'
+    });
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// models/Address.js
+const mongoose = require("mongoose");
+
+// Saved delivery address in a customer's address book
+const addressSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  label: {
+    type: String, // e.g. "Home", "Work"
+    required: true,
+    trim: true,
+  },
+  address: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  city: {
+    type: String,
+    default: "",
+    trim: true,
+  },
+  deliveryNotes: {
+    type: String, // e.g. "Ring twice, 3rd floor"
+    default: "",
+    trim: true,
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+}, { timestamps: true });
+
+addressSchema.index({ userId: 1, isDefault: -1, createdAt: -1 });
+
+// Single-line form stored on orders as the delivery address
+addressSchema.methods.toDeliveryString = function () {
+  return [this.address, this.city].filter(Boolean).join(", ");
+};
+
+module.exports = mongoose.model("Address", addressSchema);
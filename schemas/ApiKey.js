@@ -0,0 +1,53 @@
+// models/ApiKey.js
+const mongoose = require("mongoose");
+const { API_KEY_SCOPES } = require("../config/permissions");
+
+// API key for machine clients such as the in-store POS or a delivery aggregator
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String, // e.g. "Front counter POS"
+    required: true,
+    trim: true,
+  },
+  prefix: {
+    type: String, // First characters of the key, shown so admins can tell keys apart
+    required: true,
+  },
+  keyHash: {
+    type: String, // Only a hash of the key is stored
+    required: true,
+    unique: true,
+  },
+  scopes: [{
+    type: String,
+    enum: Object.keys(API_KEY_SCOPES),
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  expiresAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+  revokedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+apiKeySchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt && this.expiresAt <= new Date()) return "expired";
+  return "active";
+});
+
+// Never expose the key hash
+apiKeySchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,60 @@
+// models/AuditLog.js
+const mongoose = require("mongoose");
+
+// Append-only record of administrative and staff actions
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  actorName: String,
+  actorRole: String,
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ApiKey", // Set when the action was made with an API key instead of a user session
+    default: null,
+  },
+  action: {
+    type: String, // e.g. "account.role-change", "product.delete", "order.status-change"
+    required: true,
+  },
+  targetType: {
+    type: String, // "User", "Product", "Order"
+    required: true,
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  targetLabel: String, // Human readable name of the target at the time of the action
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  ip: String,
+  userAgent: String,
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Entries can be written once and never changed or removed
+const rejectChange = function () {
+  throw new Error("Audit log entries are append-only");
+};
+
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectChange
+);
+auditLogSchema.pre("deleteOne", { document: true, query: false }, rejectChange);
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) {
+    rejectChange();
+  }
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,46 @@
+// models/AuthToken.js
+const mongoose = require("mongoose");
+
+// Single-use, expiring tokens used by the auth flows (only a hash of the token is stored)
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["password-reset", "login-code", "email-change", "two-factor"],
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  codeHash: {
+    type: String, // Hash of the short numeric code (login-code tokens)
+    default: null,
+  },
+  newEmail: {
+    type: String, // Address awaiting verification (email-change tokens)
+    default: null,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+authTokenSchema.index({ userId: 1, type: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired tokens
+
+module.exports = mongoose.model("AuthToken", authTokenSchema);
@@ -15,7 +15,25 @@ const cartSchema = new mongoose.Schema({
         required: true,
       },
       name: String,
-      price: Number,
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId, // Chosen entry in Product.variants, if the product has any
+        default: null
+      },
+      variantName: {
+        type: String,
+        default: null
+      },
+      modifiers: [
+        {
+          _id: false,
+          groupId: { type: mongoose.Schema.Types.ObjectId, ref: "ModifierGroup" },
+          groupName: String,
+          optionId: mongoose.Schema.Types.ObjectId,
+          name: String, // e.g. "Oat milk"
+          priceDelta: { type: Number, default: 0 }
+        }
+      ],
+      price: Number, // Unit price of the product or chosen variant, including modifiers
       quantity: {
         type: Number,
         default: 1,
@@ -0,0 +1,37 @@
+// models/Category.js
+const mongoose = require("mongoose");
+const { TRANSLATED_LANGUAGES } = require("../config/languages");
+
+// Name and description in the other catalogue languages (see config/languages.js)
+const translationSchema = new mongoose.Schema({
+  name: { type: String, trim: true },
+  description: { type: String, trim: true },
+}, { _id: false });
+
+// Menu category (Coffee, Tea, Smoothies, ...) managed by admins
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String, // Also stored on Product.category for display and filtering
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, "Slug may only contain lowercase letters, numbers and dashes"],
+  },
+  description: { type: String, default: "", trim: true },
+  translations: Object.fromEntries(TRANSLATED_LANGUAGES.map(code => [code, { type: translationSchema, default: null }])),
+  displayOrder: { type: Number, default: 0 },
+  icon: { type: String, default: "" }, // Emoji or icon name, e.g. "☕"
+  image: { type: String, default: "" }, // Image URL or base64 data URL
+  isActive: { type: Boolean, default: true }, // Inactive categories and their products are hidden from the menu
+}, { timestamps: true });
+
+categorySchema.index({ displayOrder: 1, name: 1 });
+
+module.exports = mongoose.model("Category", categorySchema);
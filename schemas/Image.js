@@ -0,0 +1,30 @@
+// models/Image.js
+const mongoose = require("mongoose");
+
+// An uploaded image; its files (one per size) live in the image store, not in MongoDB
+const imageSchema = new mongoose.Schema({
+  storage: {
+    type: String, // Backend the files were written to (IMAGE_STORAGE at upload time)
+    required: true,
+  },
+  sizes: [
+    {
+      _id: false,
+      name: { type: String, required: true }, // thumbnail, medium, full
+      key: { type: String, required: true }, // Storage key
+      contentType: { type: String, required: true },
+      width: Number,
+      height: Number,
+      bytes: Number,
+      etag: { type: String, required: true }, // Hash of the file contents
+    },
+  ],
+  originalName: { type: String, default: "" },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model("Image", imageSchema);
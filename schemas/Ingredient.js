@@ -0,0 +1,24 @@
+// models/Ingredient.js
+const mongoose = require("mongoose");
+
+// Something recipes use up, e.g. milk (ml), espresso beans (g) or cups (unit)
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true,
+  },
+  unit: {
+    type: String,
+    enum: ["g", "kg", "ml", "l", "unit"],
+    required: true,
+  },
+  // On-hand quantity in `unit`. Change it through utils/stock.js so every change
+  // lands in the StockMovement ledger.
+  stock: { type: Number, default: 0, min: 0 },
+  reorderLevel: { type: Number, default: 0, min: 0 }, // Reorder when the stock falls to this quantity
+  notes: { type: String, default: "" },
+}, { timestamps: true });
+
+module.exports = mongoose.model("Ingredient", ingredientSchema);
@@ -0,0 +1,58 @@
+// models/Invite.js
+const mongoose = require("mongoose");
+
+// Pending invitation for an admin-created account (staff, delivery, admin, custom roles)
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  name: { type: String, default: "" },
+  role: { type: String, required: true },
+  tokenHash: {
+    type: String, // Hash of the one-time invite link token
+    required: true,
+    unique: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  lastSentAt: { type: Date, default: Date.now },
+  sendCount: { type: Number, default: 1 },
+  acceptedAt: { type: Date, default: null },
+  acceptedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  revokedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+inviteSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+inviteSchema.index({ createdAt: -1 });
+
+inviteSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+// Never expose the token hash
+inviteSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Invite", inviteSchema);
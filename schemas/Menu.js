@@ -0,0 +1,56 @@
+// models/Menu.js
+const mongoose = require("mongoose");
+const { TIME_PATTERN } = require("../utils/schedule");
+
+// Named menu (Breakfast, All-day, Ramadan Iftar, ...) with its own products,
+// optional price overrides and the times it is served
+const menuSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, "Slug may only contain lowercase letters, numbers and dashes"],
+  },
+  description: { type: String, default: "" },
+  items: [
+    {
+      _id: false,
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+      },
+      price: {
+        type: Number, // Overrides Product.price on this menu; null uses the product price
+        default: null,
+        min: 0,
+      },
+    },
+  ],
+  // Served when the current time (cafe timezone) falls in any window; no windows means all day, every day
+  timeWindows: [
+    {
+      _id: false,
+      days: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday; empty means every day
+      startTime: { type: String, required: true, match: TIME_PATTERN },
+      endTime: { type: String, required: true, match: TIME_PATTERN },
+    },
+  ],
+  startDate: { type: Date, default: null }, // Optional seasonal range, e.g. Ramadan
+  endDate: { type: Date, default: null },
+  priority: { type: Number, default: 0 }, // When several menus are active, the highest priority is the current one
+  isActive: { type: Boolean, default: true },
+}, { timestamps: true });
+
+menuSchema.index({ isActive: 1, priority: -1 });
+menuSchema.index({ "items.productId": 1 });
+
+module.exports = mongoose.model("Menu", menuSchema);
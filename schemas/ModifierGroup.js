@@ -0,0 +1,42 @@
+// models/ModifierGroup.js
+const mongoose = require("mongoose");
+
+// A set of choices added to a product line, e.g. Milk (choose one) or
+// Extras (choose up to 3). Applies to the listed products and to every
+// product in the listed categories.
+const modifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: { type: String, default: "" },
+  minSelections: { type: Number, default: 0, min: 0 }, // 1 or more makes the group required
+  maxSelections: { type: Number, default: 1, min: 1 },
+  options: [
+    {
+      name: { type: String, required: true, trim: true },
+      priceDelta: { type: Number, default: 0 }, // Added to the unit price; may be negative
+      isAvailable: { type: Boolean, default: true },
+      // Ingredients the option adds per unit; negative quantities replace part of
+      // the product recipe (e.g. oat milk: +200 ml oat milk, -200 ml milk)
+      recipe: [
+        {
+          _id: false,
+          ingredientId: { type: mongoose.Schema.Types.ObjectId, ref: "Ingredient", required: true },
+          quantity: { type: Number, required: true },
+        },
+      ],
+    },
+  ],
+  productIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+  categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+  displayOrder: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+}, { timestamps: true });
+
+modifierGroupSchema.index({ productIds: 1 });
+modifierGroupSchema.index({ categoryIds: 1 });
+modifierGroupSchema.index({ "options.recipe.ingredientId": 1 });
+
+module.exports = mongoose.model("ModifierGroup", modifierGroupSchema);
@@ -5,7 +5,15 @@ const orderSchema = new mongoose.Schema({
   customerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
+    required: function () {
+      return !this.apiKeyId; // Orders from POS terminals and integrations may have no customer account
+    },
+  },
+
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ApiKey", // Set when the order was created with an API key
+    default: null,
   },
 
   items: [
@@ -16,7 +24,26 @@ const orderSchema = new mongoose.Schema({
         required: true,
       },
       name: String,
-      price: Number,
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId, // Chosen entry in Product.variants, if the product has any
+        default: null,
+      },
+      variantName: {
+        type: String, // Snapshot of the variant name at order time
+        default: null,
+      },
+      modifiers: [
+        {
+          _id: false,
+          groupId: { type: mongoose.Schema.Types.ObjectId, ref: "ModifierGroup" },
+          groupName: String,
+          optionId: mongoose.Schema.Types.ObjectId,
+          name: String, // e.g. "Oat milk"
+          priceDelta: { type: Number, default: 0 },
+        },
+      ],
+      allergens: [String], // Snapshot of the product's allergens at order time (config/dietary.js keys)
+      price: Number, // Unit price of the product or chosen variant, including modifiers at order time
       quantity: Number,
     },
   ],
@@ -26,6 +53,24 @@ const orderSchema = new mongoose.Schema({
     required: true,
   },
 
+  // Units taken from stock-tracked products, given back if the order is cancelled
+  stockItems: [
+    {
+      _id: false,
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+      quantity: Number,
+    },
+  ],
+
+  // Ingredients the order's recipes used up, given back if the order is cancelled
+  ingredientItems: [
+    {
+      _id: false,
+      ingredientId: { type: mongoose.Schema.Types.ObjectId, ref: "Ingredient" },
+      quantity: Number,
+    },
+  ],
+
   status: {
     type: String,
     enum: ["pending", "preparing", "ready", "on-the-way", "delivered", "cancelled"],
@@ -39,10 +84,21 @@ const orderSchema = new mongoose.Schema({
   },
 
   deliveryAddress: {
-    type: String,
+    type: String, // Snapshot of the address at order time
+    default: null,
+  },
+
+  deliveryAddressId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Address", // Saved address the order was placed with, if any
     default: null,
   },
 
+  deliveryNotes: {
+    type: String,
+    default: "",
+  },
+
   tableNumber: {
     type: Number,
     default: null,
@@ -68,7 +124,9 @@ const orderSchema = new mongoose.Schema({
 
   email: {
     type: String,
-    required: true,
+    required: function () {
+      return !this.apiKeyId;
+    },
     trim: true,
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
@@ -1,23 +1,91 @@
 // models/Product.js
 const mongoose = require("mongoose");
+const { ALLERGENS, DIETARY_LABELS, NUTRITION_FIELDS } = require("../config/dietary");
+const { TIME_PATTERN } = require("../utils/schedule");
+const { TRANSLATED_LANGUAGES } = require("../config/languages");
+
+// One ingredient used to make a single unit, e.g. 30 g of espresso beans
+const recipeLineSchema = new mongoose.Schema({
+  ingredientId: { type: mongoose.Schema.Types.ObjectId, ref: "Ingredient", required: true },
+  quantity: { type: Number, required: true }, // In the ingredient's unit
+}, { _id: false });
+
+// Name and description in the other catalogue languages (see config/languages.js)
+const translationSchema = new mongoose.Schema({
+  name: { type: String, trim: true },
+  description: { type: String, trim: true },
+}, { _id: false });
+
+// Nutrition facts per serving (see config/dietary.js for the units)
+const nutritionSchema = new mongoose.Schema({
+  servingSize: { type: String, trim: true }, // e.g. "350 ml"
+  ...Object.fromEntries(Object.keys(NUTRITION_FIELDS).map(field => [field, { type: Number, min: 0 }])),
+}, { _id: false });
+
+// When the product can be ordered, in the cafe's timezone (see utils/productAvailability.js)
+const availabilitySchema = new mongoose.Schema({
+  // Orderable when the current time falls in any window; no windows means all day, every day
+  timeWindows: [
+    {
+      _id: false,
+      days: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday; empty means every day
+      startTime: { type: String, required: true, match: TIME_PATTERN },
+      endTime: { type: String, required: true, match: TIME_PATTERN },
+    },
+  ],
+  startDate: { type: Date, default: null }, // Optional seasonal range
+  endDate: { type: Date, default: null },
+  repeatsYearly: { type: Boolean, default: false }, // Only the month and day count, e.g. every summer
+}, { _id: false });
+
+// A size or other priced option of a product (e.g. Small / Medium / Large)
+const variantSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  price: { type: Number, required: true, min: 0 },
+  isAvailable: { type: Boolean, default: true },
+  recipe: { type: [recipeLineSchema], default: [] }, // Replaces the product recipe for this size when set
+});
 
 const productSchema = new mongoose.Schema({
-  name: { type: String, required: true },
+  name: { type: String, required: true }, // In the default language
+  translations: Object.fromEntries(TRANSLATED_LANGUAGES.map(code => [code, { type: translationSchema, default: null }])),
+  sku: { type: String, trim: true }, // Optional stock-keeping code, used to match rows on import
   description: String,
-  price: { type: Number, required: true },
-  image: String, // image URL or filename (base64 or URL)
+  price: { type: Number, required: true }, // Base price, used when the product has no variants
+  image: String, // Image link: /images/<imageId>/medium for stored images, or an external URL
+  imageId: { type: mongoose.Schema.Types.ObjectId, ref: "Image", default: null }, // Image in the image store
   category: { 
-    type: String, 
-    enum: ['Coffee', 'Tea', 'Juices', 'Snacks', 'Desserts'],
+    type: String, // Category name, kept in sync with the Category collection
     required: true 
   },
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
+  // Legacy single-menu link; menus list their products (and prices) in Menu.items
   menuId: { type: mongoose.Schema.Types.ObjectId, ref: "Menu" },
   isAvailable: { type: Boolean, default: true },
+  availability: { type: availabilitySchema, default: null }, // null means whenever isAvailable is set
+  variants: { type: [variantSchema], default: [] }, // When present, customers must choose one
+  recipe: { type: [recipeLineSchema], default: [] }, // Ingredients used per unit sold
+  allergens: { type: [{ type: String, enum: Object.keys(ALLERGENS) }], default: [] }, // EU allergens it contains
+  dietaryLabels: { type: [{ type: String, enum: Object.keys(DIETARY_LABELS) }], default: [] }, // e.g. vegan, halal
+  nutrition: { type: nutritionSchema, default: null },
+  salesCount: { type: Number, default: 0 }, // Units ordered, used to sort by popularity
+  // Stock tracking: null means the product is not counted. Change it through
+  // utils/stock.js so every change lands in the StockMovement ledger.
+  stock: { type: Number, default: null, min: 0 },
+  lowStockThreshold: { type: Number, default: null, min: 0 }, // Alert level; LOW_STOCK_THRESHOLD when not set
+  lowStockAlertedAt: { type: Date, default: null }, // Set while a low-stock alert is outstanding
+  soldOutAt: { type: Date, default: null }, // Set when running out made the product unavailable
 }, { timestamps: true });
 
 // Add indexes for faster queries
 productSchema.index({ createdAt: -1 }); // Index for sorting by creation date
 productSchema.index({ category: 1 }); // Index for filtering by category
+productSchema.index({ categoryId: 1 }); // Index for category product counts
 productSchema.index({ isAvailable: 1 }); // Index for filtering by availability
+productSchema.index({ allergens: 1 }); // Index for filtering out allergens
+productSchema.index({ dietaryLabels: 1 }); // Index for filtering by dietary label
+productSchema.index({ sku: 1 }, { unique: true, sparse: true }); // SKUs are unique when set
+productSchema.index({ "recipe.ingredientId": 1 }); // Index for finding products that use an ingredient
+productSchema.index({ "variants.recipe.ingredientId": 1 });
 
 module.exports = mongoose.model("Product", productSchema);
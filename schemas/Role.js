@@ -0,0 +1,23 @@
+// models/Role.js
+const mongoose = require("mongoose");
+const { ALL_PERMISSIONS } = require("../config/permissions");
+
+// Custom roles defined by admins (built-in roles live in config/permissions.js)
+const roleSchema = new mongoose.Schema({
+  key: {
+    type: String, // Stored in User.role, e.g. "shift-lead"
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, "Role key may only contain lowercase letters, numbers and dashes"],
+  },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: "" },
+  permissions: [{
+    type: String,
+    enum: ALL_PERMISSIONS,
+  }],
+}, { timestamps: true });
+
+module.exports = mongoose.model("Role", roleSchema);
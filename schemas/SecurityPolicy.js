@@ -0,0 +1,21 @@
+// models/SecurityPolicy.js
+const mongoose = require("mongoose");
+
+// Account security settings managed by admins (a single document, key "default")
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: "default",
+    unique: true,
+  },
+  twoFactorRequiredRoles: [{
+    type: String, // Roles whose members must enroll in 2FA before their permissions apply
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model("SecurityPolicy", securityPolicySchema);
@@ -0,0 +1,45 @@
+// models/Session.js
+const mongoose = require("mongoose");
+
+// One login on one device. Holds the (hashed) refresh token; access tokens carry the session id.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  previousRefreshTokenHash: {
+    type: String, // Last rotated-out token, used to detect refresh token reuse
+    default: null,
+  },
+  deviceName: { type: String, default: "" },
+  userAgent: { type: String, default: "" },
+  ip: { type: String, default: "" },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    default: null,
+  },
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired sessions
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,55 @@
+// models/StockMovement.js
+const mongoose = require("mongoose");
+
+// Ledger of every change to the stock of a product or an ingredient
+const stockMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: function () {
+      return !this.ingredientId;
+    },
+  },
+  productName: String, // Snapshot of the product name at the time of the movement
+  ingredientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ingredient", // Set instead of productId for ingredient movements
+    default: null,
+  },
+  ingredientName: String,
+  change: {
+    type: Number, // Units (or the ingredient's unit) added (positive) or removed (negative)
+    required: true,
+  },
+  quantityAfter: {
+    type: Number, // Stock quantity once the movement was applied
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: ["order", "order-cancelled", "delivery", "waste", "recount", "correction"],
+    required: true,
+  },
+  note: {
+    type: String,
+    default: "",
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order", // Set for "order" and "order-cancelled" movements
+    default: null,
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  actorName: String,
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+stockMovementSchema.index({ ingredientId: 1, createdAt: -1 });
+stockMovementSchema.index({ reason: 1, createdAt: -1 });
+stockMovementSchema.index({ orderId: 1 });
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
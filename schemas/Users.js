@@ -1,13 +1,56 @@
 // models/User.js
 const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const { roleExists } = require("../utils/roles");
+const { LANGUAGES } = require("../config/languages");
+
+const PASSWORD_SALT_ROUNDS = 12;
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
-  password: { type: String, required: false }, // Optional for password-free auth
+  password: { type: String, required: false, select: false }, // bcrypt hash; missing for legacy password-free accounts
+  passwordChangedAt: { type: Date, default: null },
   phone: String,
   avatar: String,
-  role: { type: String, default: "customer" }, // Automatically set to "customer" for new signups
+  preferredLanguage: { type: String, enum: [...Object.keys(LANGUAGES), null], default: null }, // Language of receipts; null follows the browser
+  role: {
+    type: String,
+    default: "customer", // Automatically set to "customer" for new signups
+    validate: {
+      validator: roleExists, // Built-in role or a custom role defined by an admin
+      message: (props) => `"${props.value}" is not a valid role`,
+    },
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date, default: null },
+    secret: { type: String, select: false }, // Encrypted TOTP secret
+    pendingSecret: { type: String, select: false }, // Encrypted secret awaiting a first valid code
+    backupCodeHashes: { type: [String], select: false },
+    lastUsedStep: { type: Number, default: null, select: false }, // Last accepted TOTP time step (replay protection)
+  },
+  deletedAt: { type: Date, default: null }, // Soft delete - PII is anonymized after a grace period
+  anonymizedAt: { type: Date, default: null },
 }, { timestamps: true });
 
+userSchema.index({ deletedAt: 1, anonymizedAt: 1 });
+
+// Query helper to exclude soft-deleted accounts: User.findOne({ email }).active()
+userSchema.query.active = function () {
+  return this.where({ deletedAt: null });
+};
+
+// Hash and store a new password (caller saves the document)
+userSchema.methods.setPassword = async function (plainPassword) {
+  this.password = await bcrypt.hash(plainPassword, PASSWORD_SALT_ROUNDS);
+  this.passwordChangedAt = new Date();
+};
+
+// Compare a plain password with the stored hash (document must be loaded with +password)
+userSchema.methods.comparePassword = async function (plainPassword) {
+  if (!this.password) return false;
+  return bcrypt.compare(plainPassword, this.password);
+};
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,43 @@
+// Recompute Product.salesCount (popularity) from existing orders
+//
+// Usage: npm run backfill:sales-counts
+// New orders keep the counts up to date; run this once after upgrading, or
+// any time the counts need to be rebuilt. Cancelled orders are not counted.
+
+const path = require('path')
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') })
+
+const mongoose = require('mongoose')
+const connectDB = require('../config/db')
+const Order = require('../schemas/Orders')
+const Product = require('../schemas/Product')
+
+const backfill = async () => {
+  const connection = await connectDB()
+  if (!connection.success) {
+    process.exitCode = 1
+    return
+  }
+
+  const totals = await Order.aggregate([
+    { $match: { status: { $ne: 'cancelled' } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.productId', count: { $sum: { $ifNull: ['$items.quantity', 1] } } } }
+  ])
+
+  await Product.updateMany({}, { $set: { salesCount: 0 } })
+  if (totals.length > 0) {
+    await Product.bulkWrite(totals.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { $set: { salesCount: count } } }
+    })))
+  }
+
+  console.log(`✅ Updated sales counts for ${totals.length} product(s)`)
+}
+
+backfill()
+  .catch(error => {
+    console.error('Sales count backfill failed:', error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
@@ -0,0 +1,71 @@
+// Move base64 product images from MongoDB into the image store
+//
+// Usage: npm run migrate:images [-- --dry-run]
+// Products whose image is a base64 data URL get resized copies in the image
+// store (IMAGE_STORAGE) and their image field replaced by the image link.
+// Safe to run again: migrated products no longer hold data URLs.
+
+const path = require('path')
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') })
+
+const mongoose = require('mongoose')
+const connectDB = require('../config/db')
+const Product = require('../schemas/Product')
+const { imagePath, decodeDataUrl, storeImage } = require('../utils/images')
+
+const dryRun = process.argv.includes('--dry-run')
+
+const migrate = async () => {
+  const connection = await connectDB()
+  if (!connection.success) {
+    process.exitCode = 1
+    return
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Migrating base64 product images to "${process.env.IMAGE_STORAGE || 'local'}" storage`)
+
+  const counts = { migrated: 0, failed: 0, bytes: 0 }
+  const cursor = Product.find({ image: /^data:image\// }).select('name image').cursor()
+
+  for await (const product of cursor) {
+    const buffer = decodeDataUrl(product.image)
+    if (!buffer) {
+      console.warn(`⚠️  ${product.name} (${product._id}): not a valid base64 image, skipped`)
+      counts.failed++
+      continue
+    }
+
+    if (dryRun) {
+      console.log(`• ${product.name} (${product._id}): ${Math.round(buffer.length / 1024)} KB`)
+      counts.migrated++
+      counts.bytes += product.image.length
+      continue
+    }
+
+    try {
+      const image = await storeImage(buffer, { originalName: `${product.name}.migrated` })
+      await Product.updateOne(
+        { _id: product._id },
+        { $set: { image: imagePath(image._id), imageId: image._id } }
+      )
+      console.log(`✅ ${product.name} (${product._id}) -> ${imagePath(image._id)}`)
+      counts.migrated++
+      counts.bytes += product.image.length
+    } catch (error) {
+      console.error(`❌ ${product.name} (${product._id}): ${error.message}`)
+      counts.failed++
+    }
+  }
+
+  console.log('='.repeat(50))
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'}: ${counts.migrated} image(s), ${Math.round(counts.bytes / 1024)} KB of base64 removed from products`)
+  console.log(`Failed or skipped: ${counts.failed}`)
+  if (counts.failed > 0) process.exitCode = 1
+}
+
+migrate()
+  .catch(error => {
+    console.error('Image migration failed:', error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
@@ -0,0 +1,103 @@
+// Account deletion: soft delete now, anonymize personal data after a grace period
+//
+// Orders are kept (sales history) but lose everything that identifies the customer.
+
+const User = require('../schemas/Users')
+const Order = require('../schemas/Orders')
+const Cart = require('../schemas/Cart')
+const Session = require('../schemas/Session')
+const AuthToken = require('../schemas/AuthToken')
+const Address = require('../schemas/Address')
+const { revokeAllSessions } = require('./sessions')
+
+const GRACE_PERIOD_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30
+const RUN_INTERVAL_MS = 60 * 60 * 1000 // Check for due accounts every hour
+
+const anonymizationDate = (deletedAt) => {
+  return new Date(deletedAt.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000)
+}
+
+/**
+ * Soft-delete an account: it can no longer sign in and all sessions end immediately
+ * @returns {Promise<Date>} When the account's personal data will be anonymized
+ */
+const softDeleteAccount = async (user) => {
+  user.deletedAt = new Date()
+  await user.save()
+
+  await revokeAllSessions(user._id, 'account-deleted')
+  await AuthToken.deleteMany({ userId: user._id })
+
+  return anonymizationDate(user.deletedAt)
+}
+
+/**
+ * Replace a deleted account's personal data (and that of its orders) with placeholders
+ */
+const anonymizeAccount = async (user) => {
+  const placeholderEmail = `deleted-${user._id}@anonymized.invalid`
+
+  await Order.updateMany(
+    { customerId: user._id },
+    { email: placeholderEmail, deliveryAddress: null, deliveryAddressId: null, deliveryNotes: '', doorPhoto: null }
+  )
+  await Cart.deleteMany({ customerId: user._id })
+  await Address.deleteMany({ userId: user._id })
+  await Session.deleteMany({ userId: user._id })
+  await AuthToken.deleteMany({ userId: user._id })
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        name: 'Deleted user',
+        email: placeholderEmail,
+        phone: '',
+        avatar: '',
+        anonymizedAt: new Date()
+      },
+      $unset: { password: 1, passwordChangedAt: 1, twoFactor: 1 }
+    }
+  )
+}
+
+/**
+ * Anonymize every soft-deleted account whose grace period is over
+ * @returns {Promise<number>} Number of accounts anonymized
+ */
+const anonymizeDueAccounts = async () => {
+  const cutoff = new Date(Date.now() - GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000)
+  const dueAccounts = await User.find({ deletedAt: { $ne: null, $lte: cutoff }, anonymizedAt: null })
+
+  for (const user of dueAccounts) {
+    try {
+      await anonymizeAccount(user)
+      console.log(`Anonymized deleted account ${user._id}`)
+    } catch (error) {
+      console.error(`Failed to anonymize account ${user._id}:`, error)
+    }
+  }
+
+  return dueAccounts.length
+}
+
+/**
+ * Run the anonymization job now and then periodically
+ */
+const startAccountRetentionJob = () => {
+  const run = () => anonymizeDueAccounts().catch(error => {
+    console.error('Account retention job error:', error)
+  })
+
+  run()
+  return setInterval(run, RUN_INTERVAL_MS)
+}
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  anonymizationDate,
+  softDeleteAccount,
+  anonymizeAccount,
+  anonymizeDueAccounts,
+  startAccountRetentionJob
+}
@@ -0,0 +1,69 @@
+// API keys for POS terminals and third-party integrations
+//
+// Keys look like "nck_<random>" and are shown once when issued; only a hash is stored.
+
+const ApiKey = require('../schemas/ApiKey')
+const { generateToken, hashToken } = require('./tokens')
+
+const KEY_PREFIX = 'nck_'
+const PREFIX_LENGTH = KEY_PREFIX.length + 8
+const LAST_USED_RESOLUTION_MS = 60 * 1000 // Record usage at most once a minute per key
+
+/**
+ * Create a key
+ * @param {Object} details - { name, scopes, expiresAt, createdBy }
+ * @returns {Promise<{ apiKey: Object, key: string }>} The stored key and the plain key (shown once)
+ */
+const issueApiKey = async ({ name, scopes, expiresAt, createdBy }) => {
+  const key = `${KEY_PREFIX}${generateToken(24)}`
+  const apiKey = await ApiKey.create({
+    name,
+    prefix: key.slice(0, PREFIX_LENGTH),
+    keyHash: hashToken(key),
+    scopes,
+    expiresAt: expiresAt || null,
+    createdBy: createdBy || null
+  })
+  return { apiKey, key }
+}
+
+/**
+ * Find the active key for a plain key value
+ */
+const findActiveApiKey = (key) => {
+  if (!key || typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null
+  return ApiKey.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  })
+}
+
+/**
+ * Update last-used details (throttled so busy keys don't write on every request)
+ */
+const touchApiKey = async (apiKey, ip) => {
+  const now = new Date()
+  await ApiKey.updateOne(
+    {
+      _id: apiKey._id,
+      $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } }]
+    },
+    { lastUsedAt: now, lastUsedIp: ip || null }
+  )
+}
+
+/**
+ * Read the API key sent with a request (X-API-Key header)
+ */
+const getApiKeyFromRequest = (req) => {
+  const header = req.headers['x-api-key']
+  return typeof header === 'string' && header.trim() ? header.trim() : null
+}
+
+module.exports = {
+  issueApiKey,
+  findActiveApiKey,
+  touchApiKey,
+  getApiKeyFromRequest
+}
@@ -0,0 +1,78 @@
+// Audit trail helpers - record who did what to which record
+
+const AuditLog = require('../schemas/AuditLog')
+
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password']
+const MAX_VALUE_LENGTH = 500
+
+const toPlain = (value) => {
+  if (!value) return {}
+  return typeof value.toObject === 'function' ? value.toObject() : value
+}
+
+// Large values (base64 images, door photos) are summarized instead of copied
+const summarize = (value) => {
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `[${value.length} characters]`
+  }
+  return value
+}
+
+/**
+ * Compute a shallow before/after diff containing only the fields that changed
+ * Only the fields present in the "after" side are compared (all of "before" for deletions),
+ * so partial updates don't show untouched fields as removed.
+ * @returns {{ before: Object, after: Object }}
+ */
+const diffObjects = (beforeDoc, afterDoc) => {
+  const before = toPlain(beforeDoc)
+  const after = toPlain(afterDoc)
+  const diff = { before: {}, after: {} }
+
+  const keys = afterDoc ? Object.keys(after) : Object.keys(before)
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue
+
+    diff.before[key] = summarize(before[key])
+    diff.after[key] = summarize(after[key])
+  }
+
+  return diff
+}
+
+/**
+ * Record an audit log entry for the current request
+ * Never throws - a failure to audit is logged but does not fail the action itself.
+ * @param {Object} req - Express request (actor comes from req.user, or req.apiKey for API key requests)
+ * @param {Object} entry - { action, targetType, targetId, targetLabel, before, after }
+ */
+const recordAudit = async (req, entry) => {
+  try {
+    const { action, targetType, targetId, targetLabel } = entry
+    const changes = entry.before || entry.after
+      ? diffObjects(entry.before, entry.after)
+      : { before: null, after: null }
+
+    await AuditLog.create({
+      actorId: req.user?._id || null,
+      actorName: req.user?.name || (req.apiKey && `API key: ${req.apiKey.name}`),
+      actorRole: req.user?.role || (req.apiKey && 'api-key'),
+      apiKeyId: req.apiKey?._id || null,
+      action,
+      targetType,
+      targetId: targetId || null,
+      targetLabel,
+      changes,
+      ip: req.ip || req.socket?.remoteAddress,
+      userAgent: (req.headers['user-agent'] || '').slice(0, 300)
+    })
+  } catch (error) {
+    console.error(`Failed to record audit entry "${entry.action}":`, error)
+  }
+}
+
+module.exports = {
+  diffObjects,
+  recordAudit
+}
@@ -0,0 +1,224 @@
+// Menu categories stored in the Category collection
+//
+// Products keep the category name in Product.category (what clients display and
+// filter on) next to a categoryId reference; renaming a category updates both.
+
+const Category = require('../schemas/Category')
+const Product = require('../schemas/Product')
+const ModifierGroup = require('../schemas/ModifierGroup')
+const { escapeRegex } = require('./pagination')
+const { slugify } = require('./slug')
+const { parseTranslationsInput } = require('./localization')
+
+// Created on first start so existing products keep working
+const DEFAULT_CATEGORIES = [
+  { name: 'Coffee', icon: '☕' },
+  { name: 'Tea', icon: '🍵' },
+  { name: 'Juices', icon: '🥤' },
+  { name: 'Snacks', icon: '🍿' },
+  { name: 'Desserts', icon: '🍰' }
+]
+
+const nameMatcher = (name) => new RegExp(`^${escapeRegex(name.trim())}$`, 'i')
+
+/**
+ * List categories in display order
+ * @param {Object} options - { activeOnly }
+ */
+const listCategories = ({ activeOnly = false } = {}) => {
+  return Category.find(activeOnly ? { isActive: true } : {})
+    .sort({ displayOrder: 1, name: 1 })
+    .lean()
+}
+
+/**
+ * List categories with the number of products in each
+ */
+const listCategoriesWithCounts = async () => {
+  const [categories, counts] = await Promise.all([
+    listCategories(),
+    Product.aggregate([{ $group: { _id: '$categoryId', count: { $sum: 1 } } }])
+  ])
+
+  return categories.map(category => ({
+    ...category,
+    productCount: counts.find(c => c._id && c._id.toString() === category._id.toString())?.count || 0
+  }))
+}
+
+/**
+ * Find a category by id, slug or name (case-insensitive)
+ */
+const findCategory = async (value) => {
+  if (!value || typeof value !== 'string' || !value.trim()) return null
+
+  if (/^[0-9a-fA-F]{24}$/.test(value)) {
+    const byId = await Category.findById(value)
+    if (byId) return byId
+  }
+
+  return Category.findOne({ $or: [{ slug: value.trim().toLowerCase() }, { name: nameMatcher(value) }] })
+}
+
+/**
+ * Names of inactive categories (their products are hidden from the public menu)
+ */
+const getInactiveCategoryNames = async () => {
+  return Category.distinct('name', { isActive: false })
+}
+
+const parseBoolean = (value) => value === true || value === 'true' || value === 'on'
+
+/**
+ * Validate category input from a form or JSON body
+ * @param {Object} body - { name, slug, description, translations, displayOrder, icon, image, isActive }
+ * @param {Object} options - { partial } only validate the fields that are present
+ * @returns {{ data: Object }|{ error: string }}
+ */
+const parseCategoryInput = (body, { partial = false } = {}) => {
+  const data = {}
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'Category name is required' }
+    }
+    data.name = body.name.trim()
+  }
+
+  if (body.slug !== undefined && body.slug !== '') {
+    data.slug = slugify(body.slug)
+  } else if (!partial) {
+    data.slug = slugify(data.name)
+  }
+  if (data.slug !== undefined && !data.slug) {
+    return { error: 'Category slug must contain letters or numbers' }
+  }
+
+  if (body.displayOrder !== undefined && body.displayOrder !== '') {
+    const displayOrder = Number(body.displayOrder)
+    if (!Number.isInteger(displayOrder)) {
+      return { error: 'Display order must be a whole number' }
+    }
+    data.displayOrder = displayOrder
+  }
+
+  if (body.description !== undefined) data.description = String(body.description).trim()
+
+  if (body.translations !== undefined) {
+    const { translations, error } = parseTranslationsInput(body.translations)
+    if (error) return { error }
+    data.translations = translations
+  }
+
+  if (body.icon !== undefined) data.icon = String(body.icon).trim()
+  if (body.image !== undefined) data.image = String(body.image).trim()
+  if (body.isActive !== undefined) data.isActive = parseBoolean(body.isActive)
+
+  return { data }
+}
+
+/**
+ * Is the name or slug already used by another category?
+ */
+const findConflict = (data, excludeId) => {
+  const conditions = []
+  if (data.name) conditions.push({ name: nameMatcher(data.name) })
+  if (data.slug) conditions.push({ slug: data.slug })
+  if (conditions.length === 0) return null
+
+  const filter = { $or: conditions }
+  if (excludeId) filter._id = { $ne: excludeId }
+  return Category.findOne(filter)
+}
+
+/**
+ * Create a category
+ * @returns {Promise<{ category: Object }|{ error: string, status: number }>}
+ */
+const createCategory = async (data) => {
+  if (await findConflict(data)) {
+    return { error: 'A category with this name or slug already exists', status: 400 }
+  }
+
+  const category = await Category.create(data)
+  return { category }
+}
+
+/**
+ * Update a category - a new name is copied onto its products
+ * @returns {Promise<{ category: Object, before: Object }|{ error: string, status: number }>}
+ */
+const updateCategory = async (category, data) => {
+  if (await findConflict(data, category._id)) {
+    return { error: 'A category with this name or slug already exists', status: 400 }
+  }
+
+  const before = category.toObject()
+  Object.assign(category, data)
+  await category.save()
+
+  if (data.name && data.name !== before.name) {
+    await Product.updateMany(
+      { $or: [{ categoryId: category._id }, { category: before.name }] },
+      { category: category.name, categoryId: category._id }
+    )
+  }
+
+  return { category, before }
+}
+
+/**
+ * Delete a category - refused while products still use it
+ * @returns {Promise<{ category: Object }|{ error: string, status: number }>}
+ */
+const deleteCategory = async (category) => {
+  const productCount = await Product.countDocuments({
+    $or: [{ categoryId: category._id }, { category: category.name }]
+  })
+
+  if (productCount > 0) {
+    return {
+      error: `Category "${category.name}" still has ${productCount} product(s). Move or delete them first.`,
+      status: 409
+    }
+  }
+
+  await Category.deleteOne({ _id: category._id })
+  await ModifierGroup.updateMany({ categoryIds: category._id }, { $pull: { categoryIds: category._id } })
+  return { category }
+}
+
+/**
+ * Create the default categories on first start and link existing products to them
+ * Any other category names already used by products are created too.
+ */
+const ensureDefaultCategories = async () => {
+  if (await Category.estimatedDocumentCount() > 0) return
+
+  const usedNames = await Product.distinct('category')
+  const seeds = [
+    ...DEFAULT_CATEGORIES,
+    ...usedNames
+      .filter(name => name && !DEFAULT_CATEGORIES.some(c => c.name === name))
+      .map(name => ({ name, icon: '' }))
+  ]
+
+  for (const [index, seed] of seeds.entries()) {
+    const category = await Category.create({ ...seed, slug: slugify(seed.name), displayOrder: index })
+    await Product.updateMany({ category: seed.name, categoryId: null }, { categoryId: category._id })
+  }
+
+  console.log(`Created ${seeds.length} product categories`)
+}
+
+module.exports = {
+  listCategories,
+  listCategoriesWithCounts,
+  findCategory,
+  getInactiveCategoryNames,
+  parseCategoryInput,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  ensureDefaultCategories
+}
@@ -0,0 +1,105 @@
+// Minimal CSV reading and writing (RFC 4180: comma separated, double-quote escaping)
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells containing commas, quotes ("") and line breaks, CRLF
+ * line endings and a leading byte order mark.
+ * @returns {Array<Array<string>>}
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '')
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+      continue
+    }
+
+    if (char === '"' && cell === '') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''))
+}
+
+// Cells that spreadsheets would run as formulas (see escapeCell)
+const isFormulaLike = (text) => /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))
+
+// Take off the apostrophe escapeCell puts in front of formula-like cells
+const unescapeCell = (text) => text.startsWith("'") && isFormulaLike(text.slice(1)) ? text.slice(1) : text
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * Formula guards added by toCsv are removed, so exported files import unchanged.
+ * @returns {{ headers: Array<string>, records: Array<Object> }}
+ */
+const parseCsvRecords = (text) => {
+  const [headerRow = [], ...rows] = parseCsv(text)
+  const headers = headerRow.map(header => header.trim())
+  const records = rows.map(cells => {
+    const record = {}
+    headers.forEach((header, index) => {
+      if (header) record[header] = cells[index] !== undefined ? unescapeCell(cells[index]) : ''
+    })
+    return record
+  })
+  return { headers, records }
+}
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return ''
+  let text = String(value)
+  // Keep spreadsheets from running cell contents as formulas
+  if (isFormulaLike(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Build CSV text from objects
+ * @param {Array<string>} headers - Column order
+ * @param {Array<Object>} records
+ */
+const toCsv = (headers, records) => {
+  const lines = [headers.map(escapeCell).join(',')]
+  for (const record of records) {
+    lines.push(headers.map(header => escapeCell(record[header])).join(','))
+  }
+  return lines.join('\r\n') + '\r\n'
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv
+}
@@ -0,0 +1,94 @@
+// Allergens, dietary labels and nutrition facts on products
+// (the catalogue of allowed values is in config/dietary.js)
+
+const { ALLERGENS, ALLERGEN_TRANSLATIONS, DIETARY_LABELS, NUTRITION_FIELDS } = require('../config/dietary')
+
+/**
+ * Read a list sent as an array, a comma-separated string or a single value
+ * (the EJS forms send a single checkbox as a plain string)
+ */
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return []
+  const list = Array.isArray(value) ? value : String(value).split(',')
+  return [...new Set(list.map(item => String(item).trim().toLowerCase()).filter(Boolean))]
+}
+
+/**
+ * Validate a list of allergen keys
+ * @returns {Object} { allergens } or { error }
+ */
+const parseAllergenList = (value) => {
+  const allergens = toList(value)
+  const unknown = allergens.find(key => !ALLERGENS[key])
+  if (unknown) {
+    return { error: `Unknown allergen "${unknown}". Use: ${Object.keys(ALLERGENS).join(', ')}` }
+  }
+  return { allergens }
+}
+
+/**
+ * Validate a list of dietary label keys
+ * @returns {Object} { dietaryLabels } or { error }
+ */
+const parseDietaryLabelList = (value) => {
+  const dietaryLabels = toList(value)
+  const unknown = dietaryLabels.find(key => !DIETARY_LABELS[key])
+  if (unknown) {
+    return { error: `Unknown dietary label "${unknown}". Use: ${Object.keys(DIETARY_LABELS).join(', ')}` }
+  }
+  return { dietaryLabels }
+}
+
+/**
+ * Validate allergens, dietary labels and nutrition facts from a form or JSON body
+ * @param {Object} body - { allergens, dietaryLabels, nutrition: { servingSize, calories, ... } }
+ * @returns {Object} { allergens, dietaryLabels, nutrition } or { error }
+ *   nutrition is null when no fact was given
+ */
+const parseDietaryInput = (body = {}) => {
+  const { allergens, error: allergenError } = parseAllergenList(body.allergens)
+  if (allergenError) return { error: allergenError }
+
+  const { dietaryLabels, error: labelError } = parseDietaryLabelList(body.dietaryLabels)
+  if (labelError) return { error: labelError }
+
+  if (dietaryLabels.includes('gluten-free') && allergens.includes('gluten')) {
+    return { error: 'A product containing gluten cannot be labelled gluten-free' }
+  }
+  if (dietaryLabels.includes('vegan') && ['milk', 'eggs', 'fish', 'crustaceans', 'molluscs'].some(key => allergens.includes(key))) {
+    return { error: 'A product containing animal allergens cannot be labelled vegan' }
+  }
+
+  const input = body.nutrition && typeof body.nutrition === 'object' ? body.nutrition : {}
+  const nutrition = {}
+  for (const field of Object.keys(NUTRITION_FIELDS)) {
+    const raw = input[field]
+    if (raw === undefined || raw === null || String(raw).trim() === '') continue
+    const value = Number(raw)
+    if (isNaN(value) || value < 0) {
+      return { error: `Nutrition value "${field}" must be a number of zero or more` }
+    }
+    nutrition[field] = Math.round(value * 10) / 10
+  }
+  if (typeof input.servingSize === 'string' && input.servingSize.trim()) {
+    nutrition.servingSize = input.servingSize.trim().slice(0, 50)
+  }
+
+  return { allergens, dietaryLabels, nutrition: Object.keys(nutrition).length > 0 ? nutrition : null }
+}
+
+/**
+ * Readable allergen names, e.g. ['milk', 'nuts'] -> 'Milk, Tree nuts'
+ * @param {string} language - Names in this language when translated (see config/languages.js)
+ */
+const describeAllergens = (keys = [], language = null) => {
+  const names = (language && ALLERGEN_TRANSLATIONS[language]) || {}
+  return keys.map(key => names[key] || ALLERGENS[key] || key).join(language === 'ar' ? '، ' : ', ')
+}
+
+module.exports = {
+  parseAllergenList,
+  parseDietaryLabelList,
+  parseDietaryInput,
+  describeAllergens
+}
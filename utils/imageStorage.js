@@ -0,0 +1,127 @@
+// Image file storage with pluggable backends
+//
+// IMAGE_STORAGE selects where image files are kept:
+//   local - files under IMAGE_STORAGE_DIR (default ./uploads/images)
+//   s3    - an S3-compatible bucket such as AWS S3, MinIO or Cloudflare R2 (S3_* settings)
+// Additional backends can be added with registerStorage().
+// Every backend stores opaque keys ('products/<id>/medium.webp') and exposes
+// async put(key, buffer, contentType), get(key) -> Buffer or null, and delete(key).
+
+const fs = require('fs')
+const path = require('path')
+
+const storageFactories = new Map()
+
+storageFactories.set('local', () => {
+  const rootDir = path.resolve(process.env.IMAGE_STORAGE_DIR || path.join(__dirname, '..', 'uploads', 'images'))
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key)
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid image key "${key}"`)
+    }
+    return filePath
+  }
+
+  return {
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key)
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.promises.writeFile(filePath, buffer)
+    },
+    get: async (key) => {
+      try {
+        return await fs.promises.readFile(resolveKey(key))
+      } catch (error) {
+        if (error.code === 'ENOENT') return null
+        throw error
+      }
+    },
+    delete: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true })
+    }
+  }
+})
+
+storageFactories.set('s3', () => {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3')
+
+  const bucket = process.env.S3_BUCKET
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when IMAGE_STORAGE=s3')
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined, // e.g. http://localhost:9000 for MinIO
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined // Fall back to the SDK's default credential chain
+  })
+  const prefix = process.env.S3_KEY_PREFIX || ''
+
+  return {
+    put: async (key, buffer, contentType) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: prefix + key,
+        Body: buffer,
+        ContentType: contentType
+      }))
+    },
+    get: async (key) => {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: prefix + key }))
+        return Buffer.from(await result.Body.transformToByteArray())
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null
+        throw error
+      }
+    },
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: prefix + key }))
+    }
+  }
+})
+
+const activeStorages = new Map()
+
+/**
+ * Register a custom storage backend
+ * @param {string} name - Value of IMAGE_STORAGE that selects it
+ * @param {Function} factory - Returns an object with async put, get and delete methods
+ */
+const registerStorage = (name, factory) => {
+  storageFactories.set(name, factory)
+  activeStorages.delete(name)
+}
+
+/**
+ * Name of the backend new images are written to
+ */
+const getDefaultStorageName = () => process.env.IMAGE_STORAGE || 'local'
+
+/**
+ * Get a storage backend by name (defaults to IMAGE_STORAGE)
+ * Images remember the backend they were written to, so older images stay
+ * readable after IMAGE_STORAGE changes.
+ */
+const getStorage = (name = getDefaultStorageName()) => {
+  if (activeStorages.has(name)) return activeStorages.get(name)
+
+  const factory = storageFactories.get(name)
+  if (!factory) {
+    throw new Error(`Unknown IMAGE_STORAGE "${name}". Available: ${[...storageFactories.keys()].join(', ')}`)
+  }
+
+  const storage = factory()
+  activeStorages.set(name, storage)
+  return storage
+}
+
+module.exports = {
+  registerStorage,
+  getDefaultStorageName,
+  getStorage
+}
@@ -0,0 +1,141 @@
+// Product images: resized copies in the image store, served from /images
+//
+// Each upload is converted to WebP in three sizes. Files never change once
+// written (a new upload gets a new image id), so they can be cached forever.
+
+const crypto = require('crypto')
+const sharp = require('sharp')
+const Image = require('../schemas/Image')
+const { getStorage, getDefaultStorageName } = require('./imageStorage')
+
+// Longest side in pixels; smaller uploads are not enlarged
+const IMAGE_SIZES = {
+  thumbnail: 200,
+  medium: 600,
+  full: 1600
+}
+
+const DEFAULT_SIZE = 'medium'
+
+// Base URL of this server, used to build absolute image links for other origins (the frontend)
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '')
+
+/**
+ * Path of an image size served by routes/images.js
+ */
+const imagePath = (imageId, size = DEFAULT_SIZE) => `/images/${imageId}/${size}`
+
+/**
+ * Absolute links to every size of an image
+ */
+const imageUrls = (imageId) => {
+  const urls = {}
+  for (const size of Object.keys(IMAGE_SIZES)) {
+    urls[size] = PUBLIC_URL + imagePath(imageId, size)
+  }
+  return urls
+}
+
+/**
+ * Add image links to a (lean) product for API responses
+ * Products with a stored image get image (medium size) and images (every size);
+ * products still holding an external URL keep it as image.
+ */
+const withImageUrls = (product) => {
+  if (!product.imageId) {
+    return { ...product, images: null }
+  }
+  const images = imageUrls(product.imageId)
+  return { ...product, image: images[DEFAULT_SIZE], images }
+}
+
+/**
+ * Decode a base64 data URL ('data:image/png;base64,...')
+ * @returns {Buffer|null}
+ */
+const decodeDataUrl = (value) => {
+  const match = /^data:image\/[a-z0-9.+-]+;base64,(.+)$/is.exec(value || '')
+  return match ? Buffer.from(match[1], 'base64') : null
+}
+
+const hashContents = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32)
+
+/**
+ * Resize an uploaded image and write every size to the image store
+ * Throws if the buffer is not a readable image.
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {Object} options - { originalName, uploadedBy }
+ * @returns {Promise<Object>} Saved Image document
+ */
+const storeImage = async (buffer, { originalName = '', uploadedBy = null } = {}) => {
+  const storageName = getDefaultStorageName()
+  const storage = getStorage(storageName)
+  const image = new Image({ storage: storageName, originalName, uploadedBy })
+
+  const source = sharp(buffer, { failOn: 'error' }).rotate() // Apply EXIF orientation
+  await source.metadata() // Rejects anything that is not an image
+
+  const written = []
+  try {
+    for (const [name, maxSide] of Object.entries(IMAGE_SIZES)) {
+      const { data, info } = await source.clone()
+        .resize({ width: maxSide, height: maxSide, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true })
+
+      const key = `products/${image._id}/${name}.webp`
+      await storage.put(key, data, 'image/webp')
+      written.push(key)
+
+      image.sizes.push({
+        name,
+        key,
+        contentType: 'image/webp',
+        width: info.width,
+        height: info.height,
+        bytes: data.length,
+        etag: hashContents(data)
+      })
+    }
+
+    await image.save()
+    return image
+  } catch (error) {
+    await Promise.all(written.map(key => storage.delete(key).catch(() => {})))
+    throw error
+  }
+}
+
+/**
+ * Read one size of an image from the store
+ * @returns {Promise<Buffer|null>}
+ */
+const readImage = (image, size) => {
+  return getStorage(image.storage).get(size.key)
+}
+
+/**
+ * Remove an image and its files (missing images are ignored)
+ */
+const deleteImage = async (imageId) => {
+  if (!imageId) return
+  const image = await Image.findByIdAndDelete(imageId)
+  if (!image) return
+
+  const storage = getStorage(image.storage)
+  await Promise.all(image.sizes.map(size => storage.delete(size.key).catch(error => {
+    console.error(`Failed to delete image file ${size.key}:`, error.message)
+  })))
+}
+
+module.exports = {
+  IMAGE_SIZES,
+  DEFAULT_SIZE,
+  imagePath,
+  imageUrls,
+  withImageUrls,
+  decodeDataUrl,
+  storeImage,
+  readImage,
+  deleteImage
+}
@@ -0,0 +1,297 @@
+// Ingredients and recipes
+//
+// A product's recipe lists the ingredients used to make one unit. A variant
+// (size) with a recipe of its own uses it instead of the product recipe, and
+// each chosen modifier option adds its own recipe on top (negative quantities
+// replace part of the product recipe, e.g. oat milk instead of milk).
+// Orders take the ingredients out of stock; a product whose recipe can no
+// longer be made is marked unavailable (see utils/stock.js).
+
+const Ingredient = require('../schemas/Ingredient')
+const Product = require('../schemas/Product')
+const ModifierGroup = require('../schemas/ModifierGroup')
+const StockMovement = require('../schemas/StockMovement')
+
+const UNITS = ['g', 'kg', 'ml', 'l', 'unit']
+const MAX_RECIPE_LINES = 30
+
+const idPattern = /^[0-9a-fA-F]{24}$/
+
+// Ingredient quantities are kept to a thousandth of their unit
+const roundQuantity = (value) => Math.round(value * 1000) / 1000
+
+/**
+ * Validate a recipe: [{ ingredientId, quantity }]
+ * @param {Array} input
+ * @param {Object} options - { allowNegative } for modifier options that replace an ingredient
+ * @returns {Promise<Object>} { recipe } or { error }
+ */
+const parseRecipeInput = async (input, { allowNegative = false } = {}) => {
+  if (input === undefined || input === null) return { recipe: [] }
+  if (!Array.isArray(input)) return { error: 'A recipe must be a list of { ingredientId, quantity }' }
+  if (input.length > MAX_RECIPE_LINES) return { error: `A recipe can have at most ${MAX_RECIPE_LINES} ingredients` }
+
+  const recipe = []
+  const seen = new Set()
+  for (const line of input) {
+    const ingredientId = String(line?.ingredientId || '')
+    if (!idPattern.test(ingredientId)) return { error: `Invalid ingredientId in recipe: ${ingredientId}` }
+    if (seen.has(ingredientId)) return { error: 'Each ingredient can only be listed once per recipe' }
+    seen.add(ingredientId)
+
+    const quantity = Number(line.quantity)
+    if (isNaN(quantity) || quantity === 0 || (!allowNegative && quantity < 0)) {
+      return { error: allowNegative ? 'Recipe quantities must be non-zero numbers' : 'Recipe quantities must be greater than zero' }
+    }
+    recipe.push({ ingredientId, quantity: roundQuantity(quantity) })
+  }
+
+  const found = await Ingredient.countDocuments({ _id: { $in: [...seen] } })
+  if (found !== seen.size) return { error: 'One or more recipe ingredients do not exist' }
+
+  return { recipe }
+}
+
+/**
+ * Validate ingredient input from a JSON body
+ * @param {Object} body - { name, unit, reorderLevel, notes } (stock is changed through adjustments)
+ * @param {Object} options - { partial } only validate the fields that are present
+ * @returns {Object} { data } or { error }
+ */
+const parseIngredientInput = (body = {}, { partial = false } = {}) => {
+  const data = {}
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'Ingredient name is required' }
+    data.name = body.name.trim()
+  }
+
+  if (body.unit !== undefined || !partial) {
+    if (!UNITS.includes(body.unit)) return { error: `Unit must be one of: ${UNITS.join(', ')}` }
+    data.unit = body.unit
+  }
+
+  if (body.reorderLevel !== undefined) {
+    const reorderLevel = Number(body.reorderLevel)
+    if (isNaN(reorderLevel) || reorderLevel < 0) return { error: 'reorderLevel must be a number of zero or more' }
+    data.reorderLevel = reorderLevel
+  }
+
+  if (body.notes !== undefined) data.notes = String(body.notes).slice(0, 500)
+
+  return { data }
+}
+
+/**
+ * The recipe used for one unit of a product in the given variant
+ */
+const getEffectiveRecipe = (product, variantId = null) => {
+  const variant = variantId && (product.variants || []).find(v => v._id.toString() === variantId.toString())
+  return variant && variant.recipe && variant.recipe.length > 0 ? variant.recipe : (product.recipe || [])
+}
+
+/**
+ * Ingredients used by priced order lines
+ * @param {Array<Object>} lines - Priced lines ({ productId, variantId, modifiers, quantity })
+ * @returns {Promise<Map<string, number>>} Quantity by ingredient id (only positive totals)
+ */
+const getIngredientUsage = async (lines) => {
+  const productIds = [...new Set(lines.map(line => line.productId.toString()))]
+  const groupIds = [...new Set(lines.flatMap(line => (line.modifiers || []).map(m => m.groupId.toString())))]
+
+  const [products, groups] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).select('recipe variants').lean(),
+    groupIds.length > 0
+      ? ModifierGroup.find({ _id: { $in: groupIds } }).select('options').lean()
+      : []
+  ])
+  const productsById = new Map(products.map(product => [product._id.toString(), product]))
+  const optionsById = new Map(groups.flatMap(group => group.options.map(option => [option._id.toString(), option])))
+
+  const usage = new Map()
+  const add = (recipe, quantity) => {
+    for (const { ingredientId, quantity: perUnit } of recipe || []) {
+      const id = ingredientId.toString()
+      usage.set(id, (usage.get(id) || 0) + perUnit * quantity)
+    }
+  }
+
+  for (const line of lines) {
+    const product = productsById.get(line.productId.toString())
+    if (!product) continue
+    add(getEffectiveRecipe(product, line.variantId), line.quantity)
+    for (const modifier of line.modifiers || []) {
+      add(optionsById.get(String(modifier.optionId))?.recipe, line.quantity)
+    }
+  }
+
+  for (const [id, quantity] of usage) {
+    if (quantity <= 0) usage.delete(id)
+    else usage.set(id, roundQuantity(quantity))
+  }
+  return usage
+}
+
+/**
+ * Put reserved ingredients back without recording a movement (used when the
+ * order they were reserved for could not be saved)
+ * @param {Array<Object>} reserved - From reserveIngredients
+ */
+const releaseIngredients = async (reserved) => {
+  if (reserved.length === 0) return
+  await Ingredient.bulkWrite(reserved.map(({ ingredientId, quantity }) => ({
+    updateOne: { filter: { _id: ingredientId }, update: { $inc: { stock: quantity } } }
+  })))
+}
+
+/**
+ * Take the ingredients of priced order lines out of stock
+ * Either there is enough of every ingredient and all are taken, or nothing is taken.
+ * @param {Array<Object>} lines - Priced order lines
+ * @returns {Promise<Object>} { reserved: [{ ingredientId, ingredientName, quantity, quantityAfter }] } or { error, status }
+ */
+const reserveIngredients = async (lines) => {
+  const usage = await getIngredientUsage(lines)
+  const reserved = []
+
+  for (const [ingredientId, quantity] of usage) {
+    const updated = await Ingredient.findOneAndUpdate(
+      { _id: ingredientId, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity } },
+      { new: true }
+    ).select('name stock').lean()
+
+    if (!updated) {
+      await releaseIngredients(reserved)
+      const ingredient = await Ingredient.findById(ingredientId).select('name').lean()
+      return {
+        error: `We have run out of ${ingredient ? ingredient.name.toLowerCase() : 'an ingredient'} for part of this order. Please remove or change that item.`,
+        status: 409
+      }
+    }
+
+    reserved.push({ ingredientId: updated._id, ingredientName: updated.name, quantity, quantityAfter: roundQuantity(updated.stock) })
+  }
+
+  return { reserved }
+}
+
+/**
+ * Products (from the given list) that cannot be made with the ingredients in stock
+ * A product with variants is short only when none of its available sizes can be made.
+ * @param {Array<Object>} products - With recipe and variants
+ * @returns {Promise<Set<string>>} Product ids
+ */
+const findProductsShortOfIngredients = async (products) => {
+  const recipesOf = (product) => {
+    const sizes = (product.variants || []).filter(variant => variant.isAvailable !== false)
+    return sizes.length > 0
+      ? sizes.map(variant => getEffectiveRecipe(product, variant._id))
+      : [product.recipe || []]
+  }
+
+  const ingredientIds = new Set()
+  for (const product of products) {
+    recipesOf(product).flat().forEach(line => ingredientIds.add(line.ingredientId.toString()))
+  }
+  if (ingredientIds.size === 0) return new Set()
+
+  const ingredients = await Ingredient.find({ _id: { $in: [...ingredientIds] } }).select('stock').lean()
+  const stockById = new Map(ingredients.map(ingredient => [ingredient._id.toString(), ingredient.stock]))
+  const canMake = (recipe) => recipe.every(line => (stockById.get(line.ingredientId.toString()) || 0) >= line.quantity)
+
+  return new Set(products
+    .filter(product => !recipesOf(product).some(canMake))
+    .map(product => product._id.toString()))
+}
+
+/**
+ * Ids of the products whose recipes (or sizes' recipes) use any of the ingredients
+ */
+const findProductIdsUsingIngredients = async (ingredientIds) => {
+  const products = await Product.find({
+    $or: [
+      { 'recipe.ingredientId': { $in: ingredientIds } },
+      { 'variants.recipe.ingredientId': { $in: ingredientIds } }
+    ]
+  }).select('_id').lean()
+  return products.map(product => product._id)
+}
+
+/**
+ * Where an ingredient is used: product, size and modifier option recipes
+ * @returns {Promise<{ products: Array, modifierGroups: Array }>}
+ */
+const findIngredientUsage = async (ingredientId) => {
+  const [products, modifierGroups] = await Promise.all([
+    Product.find({
+      $or: [{ 'recipe.ingredientId': ingredientId }, { 'variants.recipe.ingredientId': ingredientId }]
+    }).select('name').lean(),
+    ModifierGroup.find({ 'options.recipe.ingredientId': ingredientId }).select('name').lean()
+  ])
+  return { products, modifierGroups }
+}
+
+/**
+ * Reorder report: how long each ingredient lasts at the recent rate of orders
+ * @param {Object} options - { days } of order history to average over, { within } days of stock that counts as running low
+ * @returns {Promise<Array<Object>>} Ingredients, those running out soonest first
+ */
+const getReorderReport = async ({ days = 14, within = 7 } = {}) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+
+  const [ingredients, usage] = await Promise.all([
+    Ingredient.find({}).sort({ name: 1 }).lean(),
+    StockMovement.aggregate([
+      {
+        $match: {
+          ingredientId: { $ne: null },
+          reason: { $in: ['order', 'order-cancelled'] },
+          createdAt: { $gte: since }
+        }
+      },
+      // Order movements are negative and cancellations positive, so the sum is minus the net use
+      { $group: { _id: '$ingredientId', change: { $sum: '$change' } } }
+    ])
+  ])
+  const usedById = new Map(usage.map(entry => [entry._id.toString(), Math.max(0, -entry.change)]))
+
+  const report = ingredients.map(ingredient => {
+    const used = roundQuantity(usedById.get(ingredient._id.toString()) || 0)
+    const dailyUsage = roundQuantity(used / days)
+    const daysLeft = dailyUsage > 0 ? Math.round((ingredient.stock / dailyUsage) * 10) / 10 : null
+
+    return {
+      _id: ingredient._id,
+      name: ingredient.name,
+      unit: ingredient.unit,
+      stock: roundQuantity(ingredient.stock),
+      reorderLevel: ingredient.reorderLevel,
+      usedInPeriod: used,
+      dailyUsage,
+      daysLeft,
+      needsReorder: ingredient.stock <= ingredient.reorderLevel || (daysLeft !== null && daysLeft <= within),
+      // Enough to cover `within` days at the current rate, on top of the reorder level
+      suggestedOrder: dailyUsage > 0
+        ? roundQuantity(Math.max(0, dailyUsage * within + ingredient.reorderLevel - ingredient.stock))
+        : null
+    }
+  })
+
+  return report.sort((a, b) => (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity) || a.name.localeCompare(b.name))
+}
+
+module.exports = {
+  UNITS,
+  roundQuantity,
+  parseRecipeInput,
+  parseIngredientInput,
+  getEffectiveRecipe,
+  getIngredientUsage,
+  reserveIngredients,
+  releaseIngredients,
+  findProductsShortOfIngredients,
+  findProductIdsUsingIngredients,
+  findIngredientUsage,
+  getReorderReport
+}
@@ -0,0 +1,89 @@
+// Staff invitations: one-time links that let invitees set their own password
+
+const Invite = require('../schemas/Invite')
+const { generateToken, hashToken } = require('./tokens')
+const { sendMail } = require('./mailer')
+
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173'
+
+const inviteExpiry = () => new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000)
+
+/**
+ * Filter matching invites that can still be accepted
+ */
+const pendingFilter = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+})
+
+const sendInviteEmail = async (invite, token, inviter) => {
+  const acceptLink = `${FRONTEND_URL}/accept-invite?token=${token}`
+  const greeting = invite.name ? `Hi ${invite.name},` : 'Hi,'
+
+  await sendMail({
+    to: invite.email,
+    subject: "You're invited to join the Nile Cafe team",
+    text: `${greeting}\n\n${inviter?.name || 'An administrator'} has invited you to join Nile Cafe as ${invite.role}.\n\nAccept the invitation and set your password here (the link expires in ${INVITE_TTL_HOURS} hours):\n${acceptLink}\n\nIf you were not expecting this, you can ignore this email.`
+  })
+}
+
+/**
+ * Create an invite and email the invite link
+ * Any earlier pending invite for the same email is revoked.
+ * @param {Object} inviter - User sending the invite
+ * @param {Object} details - { email, name, role }
+ */
+const createInvite = async (inviter, { email, name, role }) => {
+  const normalizedEmail = email.trim().toLowerCase()
+
+  await Invite.updateMany(
+    { email: normalizedEmail, ...pendingFilter() },
+    { revokedAt: new Date() }
+  )
+
+  const token = generateToken()
+  const invite = await Invite.create({
+    email: normalizedEmail,
+    name: name || '',
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: inviter?._id || null,
+    expiresAt: inviteExpiry()
+  })
+
+  await sendInviteEmail(invite, token, inviter)
+  return invite
+}
+
+/**
+ * Issue a fresh link for an invite that has not been accepted or revoked
+ * The previous link stops working and the expiry is extended.
+ */
+const resendInvite = async (invite, inviter) => {
+  const token = generateToken()
+  invite.tokenHash = hashToken(token)
+  invite.expiresAt = inviteExpiry()
+  invite.lastSentAt = new Date()
+  invite.sendCount += 1
+  await invite.save()
+
+  await sendInviteEmail(invite, token, inviter)
+  return invite
+}
+
+/**
+ * Find the pending invite for a link token
+ */
+const findPendingInvite = (token) => {
+  return Invite.findOne({ tokenHash: hashToken(token), ...pendingFilter() })
+}
+
+module.exports = {
+  INVITE_TTL_HOURS,
+  pendingFilter,
+  createInvite,
+  resendInvite,
+  findPendingInvite
+}
@@ -0,0 +1,150 @@
+// Localized product and category text
+//
+// Products and categories keep their default-language text in name and
+// description, and other languages in translations.<code>.name/.description
+// (see config/languages.js). A request picks its language with ?lang=, then the
+// Accept-Language header; anything else gets the default language.
+
+const { LANGUAGES, DEFAULT_LANGUAGE, TRANSLATED_LANGUAGES } = require('../config/languages')
+
+const MAX_NAME_LENGTH = 200
+const MAX_DESCRIPTION_LENGTH = 2000
+
+/**
+ * Supported language for a code such as 'ar', 'ar-EG' or 'EN', or null
+ */
+const toSupportedLanguage = (value) => {
+  if (typeof value !== 'string') return null
+  const code = value.trim().toLowerCase().split(/[-_]/)[0]
+  return LANGUAGES[code] ? code : null
+}
+
+/**
+ * Languages of an Accept-Language header, most preferred first
+ * e.g. 'ar-EG,ar;q=0.9,en;q=0.8' -> ['ar-EG', 'ar', 'en']
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header || typeof header !== 'string') return []
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';')
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='))
+      return { tag: tag.trim(), quality: q ? Number(q.slice(2)) : 1, index }
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.tag)
+}
+
+/**
+ * Language for a request: ?lang=, then the preferred language given (e.g. the
+ * customer's), then Accept-Language, then the default
+ * @param {Object} req
+ * @param {Object} options - { preferred } language to use when ?lang= is not given
+ */
+const resolveLanguage = (req, { preferred = null } = {}) => {
+  const fromQuery = toSupportedLanguage(req.query?.lang)
+  if (fromQuery) return fromQuery
+
+  const fromPreference = toSupportedLanguage(preferred)
+  if (fromPreference) return fromPreference
+
+  for (const tag of parseAcceptLanguage(req.headers?.['accept-language'])) {
+    const language = toSupportedLanguage(tag)
+    if (language) return language
+  }
+  return DEFAULT_LANGUAGE
+}
+
+/**
+ * Mark a response with the language it was written in
+ */
+const setResponseLanguage = (res, language) => {
+  res.set('Content-Language', language)
+  res.vary('Accept-Language')
+}
+
+/**
+ * A translated field, falling back to the default-language text
+ */
+const translate = (doc, field, language) => {
+  const translated = language !== DEFAULT_LANGUAGE && doc.translations?.[language]?.[field]
+  return translated || doc[field] || ''
+}
+
+/**
+ * Category with its name and description in a language (translations left out)
+ */
+const localizeCategory = (category, language) => {
+  const { translations, ...rest } = category
+  return {
+    ...rest,
+    name: translate(category, 'name', language),
+    description: translate(category, 'description', language)
+  }
+}
+
+/**
+ * Product with its name and description in a language (translations left out)
+ * categoryName is the localized name of its category; category stays the
+ * default-language name that filters use.
+ * @param {Object} product - Plain product object
+ * @param {Map<string, Object>} categoriesByName - Categories by default-language name
+ */
+const localizeProduct = (product, language, categoriesByName = new Map()) => {
+  const { translations, ...rest } = product
+  const category = categoriesByName.get(product.category)
+  return {
+    ...rest,
+    name: translate(product, 'name', language),
+    description: translate(product, 'description', language),
+    categoryName: category ? translate(category, 'name', language) : product.category
+  }
+}
+
+/**
+ * Validate translations from a form or JSON body
+ * @param {Object} input - { ar: { name, description }, ... }
+ * @returns {Object} { translations } (blank text left out) or { error }
+ */
+const parseTranslationsInput = (input) => {
+  if (input === undefined || input === null || input === '') return { translations: {} }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: `translations must be an object keyed by language (${TRANSLATED_LANGUAGES.join(', ')})` }
+  }
+
+  const unknown = Object.keys(input).find(code => !TRANSLATED_LANGUAGES.includes(code))
+  if (unknown) {
+    return { error: `Unknown translation language "${unknown}". Use: ${TRANSLATED_LANGUAGES.join(', ')}` }
+  }
+
+  const translations = {}
+  for (const code of TRANSLATED_LANGUAGES) {
+    const entry = input[code]
+    if (!entry) continue
+    if (typeof entry !== 'object') return { error: `translations.${code} must be an object of { name, description }` }
+
+    const name = typeof entry.name === 'string' ? entry.name.trim() : ''
+    const description = typeof entry.description === 'string' ? entry.description.trim() : ''
+    if (name.length > MAX_NAME_LENGTH) return { error: `The ${LANGUAGES[code].name} name is too long` }
+    if (description.length > MAX_DESCRIPTION_LENGTH) return { error: `The ${LANGUAGES[code].name} description is too long` }
+
+    if (name || description) {
+      translations[code] = {}
+      if (name) translations[code].name = name
+      if (description) translations[code].description = description
+    }
+  }
+  return { translations }
+}
+
+module.exports = {
+  toSupportedLanguage,
+  parseAcceptLanguage,
+  resolveLanguage,
+  setResponseLanguage,
+  translate,
+  localizeCategory,
+  localizeProduct,
+  parseTranslationsInput
+}
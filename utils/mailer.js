@@ -0,0 +1,95 @@
+// Outgoing email with pluggable transports
+//
+// MAIL_TRANSPORT selects how mail leaves the app:
+//   smtp    - real SMTP server, or a local stand-in such as MailHog/Mailpit (SMTP_* settings)
+//   file    - writes each message as an .eml file to MAIL_OUTBOX_DIR (development)
+//   console - prints messages to the server log (default outside production)
+// Additional transports can be added with registerTransport().
+
+const fs = require('fs')
+const path = require('path')
+const nodemailer = require('nodemailer')
+
+const transportFactories = new Map()
+
+transportFactories.set('smtp', () => {
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  })
+})
+
+transportFactories.set('file', () => {
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'))
+  const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true })
+
+  return {
+    sendMail: async (message) => {
+      const info = await streamTransport.sendMail(message)
+      await fs.promises.mkdir(outboxDir, { recursive: true })
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[<>@]/g, '')}.eml`
+      await fs.promises.writeFile(path.join(outboxDir, fileName), info.message)
+      return { ...info, path: path.join(outboxDir, fileName) }
+    }
+  }
+})
+
+transportFactories.set('console', () => {
+  return {
+    sendMail: async (message) => {
+      console.log('='.repeat(50))
+      console.log(`📧 To: ${message.to}`)
+      console.log(`📧 Subject: ${message.subject}`)
+      console.log(message.text)
+      console.log('='.repeat(50))
+      return { messageId: `console-${Date.now()}` }
+    }
+  }
+})
+
+let activeTransport = null
+
+/**
+ * Register a custom transport
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Function} factory - Returns an object with an async sendMail(message) method
+ */
+const registerTransport = (name, factory) => {
+  transportFactories.set(name, factory)
+  activeTransport = null
+}
+
+const getTransport = () => {
+  if (activeTransport) return activeTransport
+
+  const name = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'console')
+  const factory = transportFactories.get(name)
+
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Available: ${[...transportFactories.keys()].join(', ')}`)
+  }
+
+  activeTransport = factory()
+  return activeTransport
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html, attachments }
+ */
+const sendMail = async (message) => {
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Nile Cafe <no-reply@nilecafe.local>',
+    ...message
+  })
+}
+
+module.exports = {
+  sendMail,
+  registerTransport
+}
@@ -0,0 +1,224 @@
+// Menus: which products are served when, and at what price
+//
+// A menu is served while it is active, inside its optional date range and inside
+// one of its time windows (see utils/schedule.js). When several menus are served
+// at once the one with the highest priority is the current menu. The current
+// menu's price overrides are what the menu API shows and what carts and orders
+// charge, whichever menu a client browsed.
+
+const Menu = require('../schemas/Menu')
+const Product = require('../schemas/Product')
+const { slugify } = require('./slug')
+const { escapeRegex } = require('./pagination')
+const { getLocalTime, isScheduleActive, isWithinDateRange, parseTimeWindows } = require('./schedule')
+
+/**
+ * Is the menu being served at this moment?
+ */
+const isMenuServedAt = (menu, moment = new Date()) => {
+  if (!menu.isActive) return false
+
+  if (!isWithinDateRange(menu, getLocalTime(moment))) return false
+
+  return isScheduleActive(menu.timeWindows, moment)
+}
+
+/**
+ * Menus being served at this moment, current (highest priority) first
+ */
+const getServedMenus = async (moment = new Date()) => {
+  const menus = await Menu.find({ isActive: true }).sort({ priority: -1, name: 1 }).lean()
+  return menus.filter(menu => isMenuServedAt(menu, moment))
+}
+
+/**
+ * The menu being served right now, or null
+ */
+const getCurrentMenu = async (moment = new Date()) => {
+  const [current] = await getServedMenus(moment)
+  return current || null
+}
+
+/**
+ * Find a menu by id or slug
+ */
+const findMenu = async (value) => {
+  if (!value || typeof value !== 'string') return null
+  if (/^[0-9a-fA-F]{24}$/.test(value)) {
+    const byId = await Menu.findById(value).lean()
+    if (byId) return byId
+  }
+  return Menu.findOne({ slug: value.trim().toLowerCase() }).lean()
+}
+
+/**
+ * Price overrides of a menu by product id (items without an override are left out)
+ */
+const getMenuPrices = (menu) => {
+  const prices = new Map()
+  for (const item of menu?.items || []) {
+    if (item.price !== null && item.price !== undefined) {
+      prices.set(item.productId.toString(), item.price)
+    }
+  }
+  return prices
+}
+
+/**
+ * A product's price under menu price overrides
+ * Overrides only apply to products without variants: a product with variants is
+ * always priced by the variant chosen.
+ */
+const getMenuPrice = (product, menuPrices) => {
+  if (product.variants && product.variants.length > 0) return product.price
+  const override = menuPrices.get(product._id.toString())
+  return override === undefined ? product.price : override
+}
+
+/**
+ * Product with menu price overrides applied; its own price is kept as basePrice
+ */
+const withMenuPrice = (product, menuPrices) => ({
+  ...product,
+  basePrice: product.price,
+  price: getMenuPrice(product, menuPrices)
+})
+
+/**
+ * Limit products to a menu's items and apply its price overrides
+ */
+const applyMenu = (menu, products) => {
+  const itemIds = new Set(menu.items.map(item => item.productId.toString()))
+  const menuPrices = getMenuPrices(menu)
+
+  return products
+    .filter(product => itemIds.has(product._id.toString()))
+    .map(product => withMenuPrice(product, menuPrices))
+}
+
+const parseDate = (value) => {
+  if (value === undefined) return { skip: true }
+  if (value === null || value === '') return { date: null }
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? { error: true } : { date }
+}
+
+/**
+ * Validate menu input from a JSON body
+ * @param {Object} body - { name, slug, description, items, timeWindows, startDate, endDate, priority, isActive }
+ * @param {Object} options - { partial } only validate the fields that are present
+ * @returns {Promise<{ data: Object }|{ error: string }>}
+ */
+const parseMenuInput = async (body, { partial = false } = {}) => {
+  const data = {}
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'Menu name is required' }
+    }
+    data.name = body.name.trim()
+  }
+
+  if (body.slug !== undefined && body.slug !== '') {
+    data.slug = slugify(body.slug)
+  } else if (!partial) {
+    data.slug = slugify(data.name)
+  }
+  if (data.slug !== undefined && !data.slug) {
+    return { error: 'Menu slug must contain letters or numbers' }
+  }
+
+  if (body.description !== undefined) data.description = String(body.description)
+
+  if (body.items !== undefined || !partial) {
+    const items = body.items || []
+    if (!Array.isArray(items)) {
+      return { error: 'items must be an array of { productId, price }' }
+    }
+
+    const seen = new Set()
+    data.items = []
+    for (const item of items) {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return { error: 'Each item must be an object of { productId, price }' }
+      }
+      const productId = String(item.productId || '')
+      if (!/^[0-9a-fA-F]{24}$/.test(productId)) {
+        return { error: `Invalid productId: ${productId || '(missing)'}` }
+      }
+      if (seen.has(productId)) continue
+      seen.add(productId)
+
+      const hasOverride = item.price !== undefined && item.price !== null && item.price !== ''
+      const price = hasOverride ? Number(item.price) : null
+      if (hasOverride && (isNaN(price) || price < 0)) {
+        return { error: `Price override for product ${productId} must be a non-negative number` }
+      }
+      data.items.push({ productId, price })
+    }
+
+    const products = await Product.find({ _id: { $in: [...seen] } }).select('name variants').lean()
+    if (products.length !== seen.size) {
+      return { error: 'One or more products in items do not exist' }
+    }
+
+    // Products with variants are priced per variant (see getMenuPrice)
+    const priced = new Set(data.items.filter(item => item.price !== null).map(item => item.productId))
+    const withVariants = products.find(product => priced.has(product._id.toString()) && product.variants?.length > 0)
+    if (withVariants) {
+      return { error: `${withVariants.name} is priced by its variants and cannot have a menu price override` }
+    }
+  }
+
+  if (body.timeWindows !== undefined || !partial) {
+    const { windows, error } = parseTimeWindows(body.timeWindows)
+    if (error) return { error }
+    data.timeWindows = windows
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    const { date, skip, error } = parseDate(body[field])
+    if (error) return { error: `${field} must be a valid date` }
+    if (!skip) data[field] = date
+  }
+  if (data.startDate && data.endDate && data.startDate > data.endDate) {
+    return { error: 'startDate must be before endDate' }
+  }
+
+  if (body.priority !== undefined) {
+    const priority = Number(body.priority)
+    if (!Number.isInteger(priority)) return { error: 'priority must be a whole number' }
+    data.priority = priority
+  }
+
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true'
+
+  return { data }
+}
+
+/**
+ * Is the name or slug already used by another menu?
+ */
+const findMenuConflict = (data, excludeId) => {
+  const conditions = []
+  if (data.name) conditions.push({ name: new RegExp(`^${escapeRegex(data.name)}$`, 'i') })
+  if (data.slug) conditions.push({ slug: data.slug })
+  if (conditions.length === 0) return null
+
+  const filter = { $or: conditions }
+  if (excludeId) filter._id = { $ne: excludeId }
+  return Menu.findOne(filter)
+}
+
+module.exports = {
+  isMenuServedAt,
+  getServedMenus,
+  getCurrentMenu,
+  findMenu,
+  getMenuPrices,
+  getMenuPrice,
+  withMenuPrice,
+  applyMenu,
+  parseMenuInput,
+  findMenuConflict
+}
@@ -0,0 +1,244 @@
+// Modifier groups: choices added to a product line (milk, extra shots, sugar)
+//
+// A group applies to a product when it lists the product or the product's
+// category. Customers pick between minSelections and maxSelections options
+// per group; each option's priceDelta is added to the line's unit price.
+
+const ModifierGroup = require('../schemas/ModifierGroup')
+const Product = require('../schemas/Product')
+const Category = require('../schemas/Category')
+const { parseRecipeInput } = require('./ingredients')
+
+const MAX_OPTIONS = 30
+
+const idPattern = /^[0-9a-fA-F]{24}$/
+
+/**
+ * Active modifier groups for each of the given products, keyed by product id
+ * @returns {Promise<Map<string, Array>>}
+ */
+const getModifierGroupsForProducts = async (products) => {
+  const productIds = products.map(product => product._id)
+  const categoryIds = products.map(product => product.categoryId).filter(Boolean)
+
+  const groups = await ModifierGroup.find({
+    isActive: true,
+    $or: [{ productIds: { $in: productIds } }, { categoryIds: { $in: categoryIds } }]
+  })
+    .sort({ displayOrder: 1, name: 1 })
+    .lean()
+
+  const byProduct = new Map()
+  for (const product of products) {
+    const productId = product._id.toString()
+    const categoryId = product.categoryId ? product.categoryId.toString() : null
+    byProduct.set(productId, groups.filter(group =>
+      group.productIds.some(id => id.toString() === productId) ||
+      (categoryId && group.categoryIds.some(id => id.toString() === categoryId))
+    ))
+  }
+  return byProduct
+}
+
+/**
+ * Public shape of a group as shown to customers (unavailable options left out)
+ */
+const toPublicGroup = (group) => ({
+  _id: group._id,
+  name: group.name,
+  description: group.description,
+  minSelections: group.minSelections,
+  maxSelections: group.maxSelections,
+  options: group.options
+    .filter(option => option.isAvailable)
+    .map(option => ({ _id: option._id, name: option.name, priceDelta: option.priceDelta }))
+})
+
+/**
+ * Validate a line's selected modifiers against the groups that apply to its product
+ * @param {Array} groups - Groups for the product (from getModifierGroupsForProducts)
+ * @param {Array} selected - [{ groupId, optionId }] as sent by the client; optionId may also be the option name
+ * @param {string} productName - Used in error messages
+ * @returns {Object} { modifiers } snapshot to store on the line, or { error }
+ */
+const resolveModifiers = (groups, selected, productName) => {
+  if (selected === undefined || selected === null) selected = []
+  if (!Array.isArray(selected)) {
+    return { error: `Modifiers for ${productName} must be a list of { groupId, optionId }` }
+  }
+
+  const chosen = new Map(groups.map(group => [group._id.toString(), []]))
+  for (const entry of selected) {
+    const groupId = String(entry?.groupId || '')
+    const group = groups.find(g => g._id.toString() === groupId)
+    if (!group) {
+      return { error: `That customization is not offered for ${productName}` }
+    }
+
+    const key = String(entry.optionId || entry.option || '').trim().toLowerCase()
+    const option = group.options.find(o => o._id.toString() === key || o.name.toLowerCase() === key)
+    if (!option) {
+      return { error: `${group.name} has no option "${entry.optionId || entry.option || ''}"` }
+    }
+    if (!option.isAvailable) {
+      return { error: `${option.name} is not available right now` }
+    }
+
+    const picks = chosen.get(groupId)
+    if (picks.some(pick => pick._id.toString() === option._id.toString())) {
+      return { error: `${option.name} was chosen more than once` }
+    }
+    picks.push(option)
+  }
+
+  const modifiers = []
+  for (const group of groups) {
+    const picks = chosen.get(group._id.toString())
+    if (picks.length < group.minSelections) {
+      return {
+        error: group.minSelections === 1
+          ? `Please choose a ${group.name} option for ${productName}`
+          : `Please choose at least ${group.minSelections} ${group.name} options for ${productName}`
+      }
+    }
+    if (picks.length > group.maxSelections) {
+      return { error: `Choose at most ${group.maxSelections} ${group.name} option(s) for ${productName}` }
+    }
+
+    for (const option of picks) {
+      modifiers.push({
+        groupId: group._id,
+        groupName: group.name,
+        optionId: option._id,
+        name: option.name,
+        priceDelta: option.priceDelta
+      })
+    }
+  }
+
+  return { modifiers }
+}
+
+const parseIdList = async (value, Model, label) => {
+  if (!Array.isArray(value)) {
+    return { error: `${label} must be an array of ids` }
+  }
+  const ids = [...new Set(value.map(String))]
+  const invalid = ids.find(id => !idPattern.test(id))
+  if (invalid) {
+    return { error: `Invalid id in ${label}: ${invalid}` }
+  }
+  const found = await Model.countDocuments({ _id: { $in: ids } })
+  if (found !== ids.length) {
+    return { error: `One or more ${label} do not exist` }
+  }
+  return { ids }
+}
+
+/**
+ * Validate modifier group input from a JSON body
+ * @param {Object} body - { name, description, minSelections, maxSelections, options, productIds, categoryIds, displayOrder, isActive }
+ *   (options: [{ name, priceDelta, isAvailable, recipe }])
+ * @param {Object} options - { partial } only validate the fields that are present
+ * @param {Object} existing - Current group when updating, for min/max checks
+ * @returns {Promise<{ data: Object }|{ error: string }>}
+ */
+const parseModifierGroupInput = async (body, { partial = false } = {}, existing = null) => {
+  const data = {}
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'Modifier group name is required' }
+    }
+    data.name = body.name.trim()
+  }
+
+  if (body.description !== undefined) data.description = String(body.description)
+
+  for (const field of ['minSelections', 'maxSelections']) {
+    if (body[field] === undefined) continue
+    const value = Number(body[field])
+    if (!Number.isInteger(value) || value < (field === 'minSelections' ? 0 : 1)) {
+      return { error: `${field} must be a whole number of at least ${field === 'minSelections' ? 0 : 1}` }
+    }
+    data[field] = value
+  }
+
+  if (body.options !== undefined || !partial) {
+    const options = body.options || []
+    if (!Array.isArray(options) || options.length === 0) {
+      return { error: 'options must be a non-empty array of { name, priceDelta }' }
+    }
+    if (options.length > MAX_OPTIONS) {
+      return { error: `A modifier group can have at most ${MAX_OPTIONS} options` }
+    }
+
+    const seen = new Set()
+    data.options = []
+    for (const option of options) {
+      const name = typeof option?.name === 'string' ? option.name.trim() : ''
+      if (!name) return { error: 'Every option needs a name' }
+      if (seen.has(name.toLowerCase())) return { error: `Option "${name}" is listed more than once` }
+      seen.add(name.toLowerCase())
+
+      const priceDelta = option.priceDelta === undefined || option.priceDelta === '' ? 0 : Number(option.priceDelta)
+      if (isNaN(priceDelta)) return { error: `Price change for "${name}" must be a number` }
+
+      const entry = {
+        name,
+        priceDelta,
+        isAvailable: option.isAvailable === undefined ? true : option.isAvailable === true || option.isAvailable === 'true'
+      }
+      if (option._id && idPattern.test(String(option._id))) {
+        entry._id = String(option._id) // Keep ids stable so saved carts stay valid
+      }
+      if (option.recipe !== undefined) {
+        const { recipe, error } = await parseRecipeInput(option.recipe, { allowNegative: true })
+        if (error) return { error: `${name}: ${error}` }
+        entry.recipe = recipe
+      } else if (entry._id && existing) {
+        // Options sent without a recipe keep the one they have
+        const current = existing.options.find(o => o._id.toString() === entry._id)
+        if (current && current.recipe) entry.recipe = current.recipe
+      }
+      data.options.push(entry)
+    }
+  }
+
+  if (body.productIds !== undefined) {
+    const { ids, error } = await parseIdList(body.productIds, Product, 'productIds')
+    if (error) return { error }
+    data.productIds = ids
+  }
+
+  if (body.categoryIds !== undefined) {
+    const { ids, error } = await parseIdList(body.categoryIds, Category, 'categoryIds')
+    if (error) return { error }
+    data.categoryIds = ids
+  }
+
+  if (body.displayOrder !== undefined) {
+    const displayOrder = Number(body.displayOrder)
+    if (!Number.isInteger(displayOrder)) return { error: 'displayOrder must be a whole number' }
+    data.displayOrder = displayOrder
+  }
+
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true'
+
+  const merged = { minSelections: 0, maxSelections: 1, ...(existing ? existing.toObject() : {}), ...data }
+  if (merged.minSelections > merged.maxSelections) {
+    return { error: 'minSelections cannot be more than maxSelections' }
+  }
+  if (merged.options && merged.minSelections > merged.options.length) {
+    return { error: 'minSelections cannot be more than the number of options' }
+  }
+
+  return { data }
+}
+
+module.exports = {
+  getModifierGroupsForProducts,
+  toPublicGroup,
+  resolveModifiers,
+  parseModifierGroupInput
+}
@@ -0,0 +1,43 @@
+// Page-based pagination helpers shared by list endpoints
+
+/**
+ * Parse page/limit query parameters
+ * @param {Object} query - req.query
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {{ page: number, limit: number, skip: number }}
+ */
+const parsePagination = (query = {}, options = {}) => {
+  const defaultLimit = options.defaultLimit || 20
+  const maxLimit = options.maxLimit || 100
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1)
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit)
+
+  return { page, limit, skip: (page - 1) * limit }
+}
+
+/**
+ * Build the pagination block returned alongside a page of results
+ */
+const buildPaginationMeta = (page, limit, total) => {
+  const totalPages = Math.max(Math.ceil(total / limit), 1)
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1
+  }
+}
+
+/**
+ * Escape user input for safe use inside a RegExp
+ */
+const escapeRegex = (str) => String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+module.exports = {
+  parsePagination,
+  buildPaginationMeta,
+  escapeRegex
+}
@@ -0,0 +1,126 @@
+// Left-to-right and right-to-left text on PDFKit documents
+//
+// PDFKit shapes Arabic through fontkit, but lays out each string in a single
+// direction, so Latin words and numbers inside Arabic text come out reversed.
+// Right-to-left text is therefore drawn run by run: each run holds characters
+// of one direction, and the runs are placed from the right edge leftwards.
+// Columns are given from the start of the line and mirrored for right-to-left.
+
+// Arabic and Hebrew letters (Arabic-Indic digits are numbers and read left to right)
+const RTL_CHAR = /[\u0590-\u065F\u066A-\u06EF\u06FA-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/
+const LTR_CHAR = /[A-Za-z0-9\u00C0-\u024F\u0660-\u0669\u06F0-\u06F9]/
+
+/**
+ * Split text into runs of one direction, in reading order
+ * Spaces and punctuation between runs of different directions join the
+ * right-to-left run, as they would in a right-to-left paragraph.
+ * @returns {Array<{ dir: string, text: string }>}
+ */
+const splitRuns = (text) => {
+  const runs = []
+  let neutral = ''
+
+  for (const char of String(text)) {
+    const dir = RTL_CHAR.test(char) ? 'rtl' : LTR_CHAR.test(char) ? 'ltr' : null
+    if (!dir) {
+      neutral += char
+      continue
+    }
+
+    const last = runs[runs.length - 1]
+    if (last && last.dir === dir) {
+      last.text += neutral + char
+    } else if (last && last.dir === 'rtl') {
+      last.text += neutral
+      runs.push({ dir, text: char })
+    } else if (dir === 'rtl') {
+      runs.push({ dir, text: neutral + char })
+    } else {
+      if (neutral) runs.push({ dir: 'rtl', text: neutral })
+      runs.push({ dir, text: char })
+    }
+    neutral = ''
+  }
+
+  if (neutral) {
+    const last = runs[runs.length - 1]
+    if (last && last.dir === 'rtl') last.text += neutral
+    else runs.push({ dir: 'rtl', text: neutral })
+  }
+  return runs
+}
+
+/**
+ * Break text into lines that fit a width (words stay in reading order)
+ */
+const wrapLines = (doc, text, width) => {
+  const lines = []
+  for (const paragraph of String(text).split('\n')) {
+    let line = ''
+    for (const word of paragraph.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word
+      if (line && doc.widthOfString(candidate) > width) {
+        lines.push(line)
+        line = word
+      } else {
+        line = candidate
+      }
+    }
+    lines.push(line)
+  }
+  return lines
+}
+
+/**
+ * Draw one right-to-left line ending at `right`
+ */
+const drawRtlLine = (doc, line, right, y) => {
+  let x = right
+  for (const run of splitRuns(line)) {
+    // Runs without letters are not reversed by fontkit, so they are put in visual order here
+    const text = run.dir === 'rtl' && !RTL_CHAR.test(run.text) ? [...run.text].reverse().join('') : run.text
+    const runWidth = doc.widthOfString(text)
+    x -= runWidth
+    doc.text(text, x, y, { lineBreak: false })
+  }
+}
+
+/**
+ * Text writer for a document in one reading direction
+ * @param {Object} doc - PDFKit document
+ * @param {Object} options - { rtl }
+ * @returns {Object} { rtl, text(value, start, y, { width, align }) } where align is start, center or end
+ *   of the reading direction and text() returns the y below what it wrote
+ */
+const createTextWriter = (doc, { rtl = false } = {}) => {
+  const text = (value, start, y, { width, align = 'start' } = {}) => {
+    const columnWidth = width || doc.page.width - doc.page.margins.right - start
+
+    if (!rtl) {
+      doc.text(String(value), start, y, { width: columnWidth, align: { start: 'left', end: 'right' }[align] || align })
+      return doc.y
+    }
+
+    // Mirror the column: it starts at the right edge of the page
+    const left = doc.page.width - start - columnWidth
+    const lineHeight = doc.currentLineHeight(true)
+    let lineY = y
+    for (const line of wrapLines(doc, value, columnWidth)) {
+      const lineWidth = doc.widthOfString(line)
+      const right = align === 'center'
+        ? left + (columnWidth + lineWidth) / 2
+        : align === 'end' ? left + lineWidth : left + columnWidth
+      drawRtlLine(doc, line, right, lineY)
+      lineY += lineHeight
+    }
+    doc.y = lineY
+    return lineY
+  }
+
+  return { rtl, text }
+}
+
+module.exports = {
+  splitRuns,
+  createTextWriter
+}
@@ -0,0 +1,170 @@
+// Line item pricing for carts and orders
+//
+// Clients send { productId, variantId, modifiers, quantity, price }. The unit
+// price always comes from the product (or its chosen variant, or the current
+// menu's price override, see getMenuPrice in utils/menus.js) plus the price
+// deltas of the chosen modifiers; the price a client sends is only compared
+// against it. Products that cannot be ordered right now (switched off or outside
+// their availability rules, see utils/productAvailability.js) cannot be priced.
+
+const mongoose = require('mongoose')
+const Product = require('../schemas/Product')
+const { findVariant } = require('./variants')
+const { getCurrentMenu, getMenuPrices, getMenuPrice } = require('./menus')
+const { getModifierGroupsForProducts, resolveModifiers } = require('./modifiers')
+const { getProductAvailability, getUnavailableMessage } = require('./productAvailability')
+
+// Flat fee added to delivery orders
+const DELIVERY_FEE = 10
+
+// Prices are compared to the cent
+const pricesMatch = (a, b) => Math.abs(Number(a) - Number(b)) < 0.005
+
+const roundPrice = (value) => Math.round(value * 100) / 100
+
+/**
+ * Price overrides of the menu being served right now, by product id
+ */
+const getMenuPriceOverrides = async () => getMenuPrices(await getCurrentMenu())
+
+/**
+ * Work out the unit price and variant of one line
+ * @param {Object} product - Product document
+ * @param {Object} item - Line as sent by the client
+ * @param {Object} options - { menuPrices } from getMenuPriceOverrides(), { modifierGroups } that apply to the product
+ * @returns {Object} { line } or { error }
+ */
+const priceLineItem = (product, item, { menuPrices = new Map(), modifierGroups = [] } = {}) => {
+  const variantKey = item.variantId || item.variant
+  const hasVariants = product.variants && product.variants.length > 0
+
+  let variant = null
+  if (hasVariants) {
+    if (!variantKey) {
+      return { error: `Please choose an option for ${product.name} (${product.variants.map(v => v.name).join(', ')})` }
+    }
+    variant = findVariant(product, variantKey)
+    if (!variant) {
+      return { error: `${product.name} has no option "${variantKey}"` }
+    }
+    if (!variant.isAvailable) {
+      return { error: `${product.name} (${variant.name}) is not available right now` }
+    }
+  } else if (variantKey) {
+    return { error: `${product.name} has no options to choose from` }
+  }
+
+  const { modifiers, error } = resolveModifiers(modifierGroups, item.modifiers, product.name)
+  if (error) {
+    return { error }
+  }
+
+  const basePrice = variant ? variant.price : getMenuPrice(product, menuPrices)
+  const price = Math.max(0, basePrice + modifiers.reduce((sum, modifier) => sum + modifier.priceDelta, 0))
+
+  return {
+    line: {
+      productId: product._id,
+      name: product.name,
+      variantId: variant ? variant._id : null,
+      variantName: variant ? variant.name : null,
+      modifiers,
+      allergens: product.allergens || [],
+      price: roundPrice(price)
+    }
+  }
+}
+
+/**
+ * Load the products for a list of client lines and price each one
+ * Lines whose product no longer exists are reported in missing rather than failing;
+ * a product that cannot be ordered right now fails with a 409 and the reason
+ * (one of UNAVAILABLE_REASONS).
+ * @param {Array} items - Lines as sent by the client
+ * @param {Object} options - { checkPrices } reject lines whose client price differs
+ * @returns {Object} { entries: [{ line, product, item }], missing } or { error, status, reason }
+ */
+const priceLineItems = async (items, { checkPrices = false } = {}) => {
+  const ids = items.map(item => String(item.productId || item.id || ''))
+  const invalid = items.find((item, index) => !mongoose.Types.ObjectId.isValid(ids[index]))
+  if (invalid) {
+    return { error: `Invalid product ID for item: ${invalid.name || 'Unknown'}`, status: 400 }
+  }
+
+  const [products, menuPrices] = await Promise.all([
+    Product.find({ _id: { $in: ids } }),
+    getMenuPriceOverrides()
+  ])
+  const productsById = new Map(products.map(product => [product._id.toString(), product]))
+  const groupsByProduct = await getModifierGroupsForProducts(products)
+
+  const now = new Date()
+  const entries = []
+  const missing = []
+  for (const [index, item] of items.entries()) {
+    const product = productsById.get(ids[index])
+    if (!product) {
+      missing.push(item)
+      continue
+    }
+
+    const { availableNow, reason } = getProductAvailability(product, now)
+    if (!availableNow) {
+      return { error: getUnavailableMessage(product, now), reason, status: 409 }
+    }
+
+    const { line, error } = priceLineItem(product, item, {
+      menuPrices,
+      modifierGroups: groupsByProduct.get(ids[index]) || []
+    })
+    if (error) {
+      return { error, status: 400 }
+    }
+
+    const clientPrice = item.price
+    if (checkPrices && clientPrice !== undefined && clientPrice !== null && !pricesMatch(clientPrice, line.price)) {
+      const label = line.variantName ? `${line.name} (${line.variantName})` : line.name
+      return { error: `The price of ${label} is now $${line.price.toFixed(2)}. Please review your order.`, status: 409 }
+    }
+
+    const quantity = Number(item.quantity)
+    line.quantity = Number.isInteger(quantity) && quantity > 0 ? quantity : 1
+    entries.push({ line, product, item })
+  }
+
+  return { entries, missing }
+}
+
+/**
+ * Sum of price x quantity over priced lines
+ */
+const sumLines = (lines) => roundPrice(lines.reduce((sum, line) => sum + line.price * line.quantity, 0))
+
+/**
+ * Subtotal, delivery fee and total of an order
+ */
+const getOrderTotals = (lines, orderType) => {
+  const subtotal = sumLines(lines)
+  const deliveryFee = orderType === 'delivery' ? DELIVERY_FEE : 0
+  return { subtotal, deliveryFee, total: roundPrice(subtotal + deliveryFee) }
+}
+
+/**
+ * Label for a line on receipts and tickets, e.g. "Latte (Large)"
+ */
+const describeLine = (item) => {
+  const name = item.name || item.productId?.name || 'Unknown Product'
+  return item.variantName ? `${name} (${item.variantName})` : name
+}
+
+module.exports = {
+  DELIVERY_FEE,
+  pricesMatch,
+  roundPrice,
+  getMenuPriceOverrides,
+  priceLineItem,
+  priceLineItems,
+  sumLines,
+  getOrderTotals,
+  describeLine
+}
@@ -0,0 +1,118 @@
+// When products can be ordered
+//
+// Besides the isAvailable switch, a product can have availability rules: time
+// windows (e.g. breakfast until 11:00) and a seasonal date range, both in the
+// cafe's timezone (see utils/schedule.js). Carts and orders reject products that
+// cannot be ordered now for either reason; the menu API reports whether each can.
+
+const { getLocalTime, isScheduleActive, isWithinDateRange, describeTimeWindow, parseTimeWindows } = require('./schedule')
+
+// Why a product cannot be ordered right now
+const UNAVAILABLE_REASONS = ['unavailable', 'out-of-season', 'outside-hours']
+
+const dayFormatter = new Intl.DateTimeFormat('en-GB', { day: 'numeric', month: 'short', timeZone: 'UTC' })
+const dateFormatter = new Intl.DateTimeFormat('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })
+
+/**
+ * Readable seasonal range, e.g. '1 Jun - 31 Aug' (every year) or 'from 1 Dec 2026'
+ */
+const describeDateRange = ({ startDate, endDate, repeatsYearly }) => {
+  const format = (date) => (repeatsYearly ? dayFormatter : dateFormatter).format(new Date(date))
+  const range = startDate && endDate
+    ? `${format(startDate)} - ${format(endDate)}`
+    : startDate ? `from ${format(startDate)}` : `until ${format(endDate)}`
+  return repeatsYearly ? `${range} every year` : range
+}
+
+/**
+ * Can the product be ordered at this moment?
+ * @returns {{ availableNow: boolean, reason: string|null }} reason is one of UNAVAILABLE_REASONS
+ */
+const getProductAvailability = (product, moment = new Date()) => {
+  if (!product.isAvailable) return { availableNow: false, reason: 'unavailable' }
+
+  const rules = product.availability
+  if (rules) {
+    if (!isWithinDateRange(rules, getLocalTime(moment))) return { availableNow: false, reason: 'out-of-season' }
+    if (!isScheduleActive(rules.timeWindows, moment)) return { availableNow: false, reason: 'outside-hours' }
+  }
+  return { availableNow: true, reason: null }
+}
+
+/**
+ * Product with its computed availability added (for API responses)
+ */
+const withAvailability = (product, moment = new Date()) => {
+  const { availableNow, reason } = getProductAvailability(product, moment)
+  return { ...product, availableNow, unavailableReason: reason }
+}
+
+/**
+ * Why a product cannot be ordered at this moment, or null when it can
+ * @returns {string|null}
+ */
+const getUnavailableMessage = (product, moment = new Date()) => {
+  const { reason } = getProductAvailability(product, moment)
+  const rules = product.availability
+
+  if (reason === 'unavailable') {
+    return `${product.name} is not available right now`
+  }
+  if (reason === 'out-of-season') {
+    return `${product.name} is a seasonal item (${describeDateRange(rules)}) and cannot be ordered right now`
+  }
+  if (reason === 'outside-hours') {
+    return `${product.name} is only served ${rules.timeWindows.map(describeTimeWindow).join(' and ')} and cannot be ordered right now`
+  }
+  return null
+}
+
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return { date: null }
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? { error: true } : { date }
+}
+
+/**
+ * Validate availability rules from a form or JSON body
+ * @param {Object|null} input - { timeWindows: [{ days, startTime, endTime }], startDate, endDate, repeatsYearly }
+ * @returns {Object} { availability } (null when there are no rules) or { error }
+ */
+const parseAvailabilityInput = (input) => {
+  if (input === undefined || input === null || input === '') return { availability: null }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'availability must be an object of { timeWindows, startDate, endDate, repeatsYearly }' }
+  }
+
+  // Form rows left blank are ignored
+  let windows = input.timeWindows
+  if (windows && typeof windows === 'object' && !Array.isArray(windows)) windows = Object.values(windows)
+  if (Array.isArray(windows)) {
+    windows = windows
+      .filter(window => window && (window.startTime || window.endTime))
+      .map(window => ({ ...window, days: window.days === undefined ? [] : [].concat(window.days) }))
+  }
+  const { windows: timeWindows, error } = parseTimeWindows(windows)
+  if (error) return { error }
+
+  const { date: startDate, error: startError } = parseDate(input.startDate)
+  const { date: endDate, error: endError } = parseDate(input.endDate)
+  if (startError || endError) return { error: `${startError ? 'startDate' : 'endDate'} must be a valid date` }
+
+  const repeatsYearly = input.repeatsYearly === true || input.repeatsYearly === 'true' || input.repeatsYearly === 'on'
+  if (!repeatsYearly && startDate && endDate && startDate > endDate) {
+    return { error: 'startDate must be before endDate' }
+  }
+
+  if (timeWindows.length === 0 && !startDate && !endDate) return { availability: null }
+  return { availability: { timeWindows, startDate, endDate, repeatsYearly } }
+}
+
+module.exports = {
+  UNAVAILABLE_REASONS,
+  describeDateRange,
+  getProductAvailability,
+  withAvailability,
+  getUnavailableMessage,
+  parseAvailabilityInput
+}
@@ -0,0 +1,389 @@
+// Bulk product import and export (CSV or JSON)
+//
+// Both formats use the same columns, so an export can be edited in a
+// spreadsheet and imported again:
+//   sku, name, description, category, price, isAvailable, variants, image
+// In CSV, variants are written as "Small:3.00; Large:4.50:unavailable"; in JSON
+// they are an array of { name, price, isAvailable }.
+// The image column holds a file name from the uploaded ZIP, a link to an image
+// already in the image store (as exported), or an external URL. Leaving it empty
+// keeps the current image.
+// Rows are matched to existing products by SKU, or by name when they have none.
+
+const path = require('path')
+const AdmZip = require('adm-zip')
+const Product = require('../schemas/Product')
+const Image = require('../schemas/Image')
+const { listCategories } = require('./categories')
+const { parseVariantsInput, mergeExistingVariants } = require('./variants')
+const { parseCsvRecords, toCsv } = require('./csv')
+const { imagePath, imageUrls, storeImage, deleteImage } = require('./images')
+const { checkStockLevels } = require('./stock')
+
+const COLUMNS = ['sku', 'name', 'description', 'category', 'price', 'isAvailable', 'variants', 'image']
+
+const MAX_ROWS = 2000
+const MAX_ZIP_IMAGE_BYTES = 10 * 1024 * 1024
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.avif', '.tif', '.tiff']
+
+// Links produced by the export: .../images/<imageId>/<size>
+const IMAGE_LINK_PATTERN = /\/images\/([0-9a-fA-F]{24})(?:\/|$)/
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase()
+
+const formatVariants = (variants = []) => variants
+  .map(variant => `${variant.name}:${Number(variant.price).toFixed(2)}${variant.isAvailable === false ? ':unavailable' : ''}`)
+  .join('; ')
+
+// "Small:3.00; Large:4.50:unavailable" -> [{ name, price, isAvailable }]
+const parseVariantsCell = (value) => {
+  if (Array.isArray(value) || (value && typeof value === 'object')) return value
+  return String(value || '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [name, price, flag] = part.split(':').map(piece => piece.trim())
+      return { name, price, isAvailable: flag ? flag.toLowerCase() !== 'unavailable' : true }
+    })
+}
+
+const parseBooleanCell = (value) => {
+  if (value === undefined || value === null || value === '') return { value: true }
+  if (typeof value === 'boolean') return { value }
+  const text = String(value).trim().toLowerCase()
+  if (['true', 'yes', '1', 'y'].includes(text)) return { value: true }
+  if (['false', 'no', '0', 'n'].includes(text)) return { value: false }
+  return { error: 'isAvailable must be true or false' }
+}
+
+/**
+ * Read an uploaded CSV or JSON catalogue
+ * @param {Object} file - Multer file
+ * @returns {Object} { records, format } or { error }
+ */
+const readImportFile = (file) => {
+  if (!file) return { error: 'Choose a CSV or JSON file to import' }
+
+  const extension = path.extname(file.originalname || '').toLowerCase()
+  const text = file.buffer.toString('utf8')
+  let records
+  let format
+
+  if (extension === '.json' || file.mimetype === 'application/json') {
+    format = 'json'
+    try {
+      const parsed = JSON.parse(text)
+      records = Array.isArray(parsed) ? parsed : parsed.products
+    } catch (error) {
+      return { error: `The JSON file could not be read: ${error.message}` }
+    }
+    if (!Array.isArray(records)) {
+      return { error: 'The JSON file must contain an array of products (or { "products": [...] })' }
+    }
+  } else if (extension === '.csv' || file.mimetype === 'text/csv') {
+    format = 'csv'
+    const { headers, records: rows } = parseCsvRecords(text)
+    if (!headers.includes('name')) {
+      return { error: `The CSV file needs a header row with at least a "name" column (columns: ${COLUMNS.join(', ')})` }
+    }
+    records = rows
+  } else {
+    return { error: 'Only .csv and .json files can be imported' }
+  }
+
+  if (records.length === 0) return { error: 'The file contains no products' }
+  if (records.length > MAX_ROWS) return { error: `At most ${MAX_ROWS} products can be imported at once` }
+
+  return { records, format }
+}
+
+/**
+ * Index the images in an uploaded ZIP by lower-case file name (folders are ignored)
+ * @returns {Object} { images: Map } or { error }
+ */
+const readImageZip = (file) => {
+  const images = new Map()
+  if (!file) return { images }
+
+  let zip
+  try {
+    zip = new AdmZip(file.buffer)
+  } catch (error) {
+    return { error: 'The images file is not a valid ZIP archive' }
+  }
+
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory) continue
+    const name = path.basename(entry.entryName)
+    if (name.startsWith('.') || !IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())) continue
+    if (entry.header.size > MAX_ZIP_IMAGE_BYTES) {
+      return { error: `${name} in the ZIP is larger than ${MAX_ZIP_IMAGE_BYTES / 1024 / 1024}MB` }
+    }
+    images.set(name.toLowerCase(), entry)
+  }
+
+  return { images }
+}
+
+/**
+ * Work out the image column of a row
+ * @returns {Object} { image } describing the source, or { error }
+ */
+const resolveImageCell = (value, zipImages, knownImageIds) => {
+  const text = String(value || '').trim()
+  if (!text) return { image: null }
+
+  const zipEntry = zipImages.get(path.basename(text).toLowerCase())
+  if (zipEntry) return { image: { type: 'zip', entry: zipEntry, name: text } }
+
+  const link = IMAGE_LINK_PATTERN.exec(text)
+  if (link) {
+    return knownImageIds.has(link[1].toLowerCase())
+      ? { image: { type: 'stored', imageId: link[1] } }
+      : { error: `Image ${text} does not exist in the image store` }
+  }
+
+  if (/^https?:\/\//i.test(text)) return { image: { type: 'url', url: text } }
+
+  return { error: `Image "${text}" was not found in the uploaded ZIP` }
+}
+
+/**
+ * Validate every row and decide whether it creates or updates a product
+ * Nothing is written.
+ * @param {Array<Object>} records - From readImportFile
+ * @param {Object} options - { format, zipImages }
+ * @returns {Promise<Object>} { rows, summary }
+ */
+const planImport = async (records, { format, zipImages = new Map() }) => {
+  const [categories, products] = await Promise.all([
+    listCategories(),
+    Product.find({}).select('name sku description category price isAvailable variants imageId image').lean()
+  ])
+
+  const categoriesByKey = new Map()
+  for (const category of categories) {
+    categoriesByKey.set(normalizeName(category.name), category)
+    categoriesByKey.set(normalizeName(category.slug), category)
+  }
+  const productsBySku = new Map(products.filter(p => p.sku).map(p => [normalizeName(p.sku), p]))
+  const productsByName = new Map(products.map(p => [normalizeName(p.name), p]))
+
+  const linkedIds = records
+    .map(record => IMAGE_LINK_PATTERN.exec(String(record.image || '')))
+    .filter(Boolean)
+    .map(match => match[1])
+  const knownImageIds = new Set(
+    (await Image.find({ _id: { $in: linkedIds } }).select('_id').lean()).map(image => image._id.toString())
+  )
+
+  const seenSkus = new Map()
+  const seenNames = new Map()
+
+  const rows = records.map((record, index) => {
+    // Spreadsheet row numbers: the CSV header is row 1
+    const rowNumber = format === 'csv' ? index + 2 : index + 1
+    const errors = []
+    const name = String(record.name || '').trim()
+    const sku = String(record.sku || '').trim()
+
+    if (!name) errors.push('Name is required')
+
+    if (sku) {
+      if (seenSkus.has(normalizeName(sku))) errors.push(`SKU ${sku} is also used on row ${seenSkus.get(normalizeName(sku))}`)
+      else seenSkus.set(normalizeName(sku), rowNumber)
+    }
+    if (name) {
+      if (seenNames.has(normalizeName(name))) errors.push(`"${name}" is also on row ${seenNames.get(normalizeName(name))}`)
+      else seenNames.set(normalizeName(name), rowNumber)
+    }
+
+    const category = categoriesByKey.get(normalizeName(record.category))
+    if (!String(record.category || '').trim()) errors.push('Category is required')
+    else if (!category) errors.push(`Unknown category "${record.category}"`)
+
+    const price = Number(record.price)
+    if (record.price === undefined || String(record.price).trim() === '') errors.push('Price is required')
+    else if (isNaN(price) || price <= 0) errors.push(`Price "${record.price}" must be a positive number`)
+
+    const availability = parseBooleanCell(record.isAvailable)
+    if (availability.error) errors.push(availability.error)
+
+    const { variants, error: variantError } = parseVariantsInput(parseVariantsCell(record.variants))
+    if (variantError) errors.push(variantError)
+
+    const { image, error: imageError } = resolveImageCell(record.image, zipImages, knownImageIds)
+    if (imageError) errors.push(imageError)
+
+    // Match by SKU first, then by name
+    let existing = sku ? productsBySku.get(normalizeName(sku)) : null
+    const sameName = name ? productsByName.get(normalizeName(name)) : null
+    if (!existing && sameName) {
+      if (sku && sameName.sku) errors.push(`"${name}" already exists with SKU ${sameName.sku}`)
+      else existing = sameName
+    } else if (existing && sameName && sameName._id.toString() !== existing._id.toString()) {
+      errors.push(`Another product is already called "${name}"`)
+    }
+
+    const data = errors.length > 0 ? null : {
+      name,
+      sku: sku || (existing ? existing.sku : undefined),
+      description: String(record.description || ''),
+      category: category.name,
+      categoryId: category._id,
+      price,
+      isAvailable: availability.value,
+      variants
+    }
+
+    let action = errors.length > 0 ? 'error' : existing ? 'update' : 'create'
+    let changes = []
+    if (action === 'update') {
+      changes = ['name', 'sku', 'description', 'category', 'price', 'isAvailable']
+        .filter(field => String(existing[field] ?? '') !== String(data[field] ?? ''))
+      if (formatVariants(existing.variants) !== formatVariants(variants)) changes.push('variants')
+      const sameImage = !image || (image.type === 'stored' && existing.imageId && existing.imageId.toString() === image.imageId.toLowerCase()) ||
+        (image.type === 'url' && existing.image === image.url)
+      if (!sameImage) changes.push('image')
+      if (changes.length === 0) action = 'unchanged'
+    }
+
+    return {
+      row: rowNumber,
+      name,
+      sku,
+      action,
+      errors,
+      changes,
+      productId: existing ? existing._id : null,
+      data,
+      image
+    }
+  })
+
+  const summary = { total: rows.length, create: 0, update: 0, unchanged: 0, error: 0 }
+  rows.forEach(row => { summary[row.action]++ })
+
+  return { rows, summary }
+}
+
+/**
+ * Write a validated plan: create and update products and store ZIP images
+ * Availability is then brought in line with stock, as on the product form.
+ * @param {Object} plan - From planImport (must have no errors)
+ * @param {Object} options - { uploadedBy }
+ * @returns {Promise<Object>} Counts of created and updated products
+ */
+const applyImport = async (plan, { uploadedBy = null } = {}) => {
+  const result = { created: 0, updated: 0, unchanged: 0 }
+  const productIds = []
+
+  for (const row of plan.rows) {
+    if (row.action === 'unchanged') {
+      result.unchanged++
+      continue
+    }
+
+    const fields = { ...row.data }
+    if (row.image?.type === 'zip') {
+      const stored = await storeImage(row.image.entry.getData(), { originalName: row.image.name, uploadedBy })
+      fields.imageId = stored._id
+      fields.image = imagePath(stored._id)
+    } else if (row.image?.type === 'stored') {
+      fields.imageId = row.image.imageId
+      fields.image = imagePath(row.image.imageId)
+    } else if (row.image?.type === 'url') {
+      fields.imageId = null
+      fields.image = row.image.url
+    }
+
+    if (row.action === 'create') {
+      const product = await Product.create(fields)
+      productIds.push(product._id)
+      result.created++
+      continue
+    }
+
+    const product = await Product.findById(row.productId)
+    fields.variants = mergeExistingVariants(fields.variants, product.variants)
+    if (fields.isAvailable !== undefined && fields.isAvailable !== product.isAvailable) {
+      fields.soldOutAt = null // A manual change replaces any automatic sold-out state
+    }
+    const replacedImageId = fields.imageId !== undefined && product.imageId &&
+      product.imageId.toString() !== String(fields.imageId)
+      ? product.imageId
+      : null
+    Object.assign(product, fields)
+    await product.save()
+    if (replacedImageId && !(await Product.exists({ imageId: replacedImageId }))) {
+      await deleteImage(replacedImageId)
+    }
+    productIds.push(product._id)
+    result.updated++
+  }
+
+  // A product switched on without stock (or ingredients) is marked sold out again
+  await checkStockLevels(productIds)
+
+  return result
+}
+
+/**
+ * Public version of a plan for previews (no internal references)
+ */
+const toReport = (plan) => ({
+  summary: plan.summary,
+  rows: plan.rows.map(({ row, name, sku, action, errors, changes }) => ({ row, name, sku, action, errors, changes }))
+})
+
+/**
+ * Export the whole catalogue in the import format
+ * @param {string} format - csv or json
+ * @returns {Promise<{ content: string, contentType: string, filename: string }>}
+ */
+const exportProducts = async (format) => {
+  const products = await Product.find({})
+    .select('sku name description category price isAvailable variants image imageId')
+    .sort({ category: 1, name: 1 })
+    .lean()
+
+  const records = products.map(product => ({
+    sku: product.sku || '',
+    name: product.name,
+    description: product.description || '',
+    category: product.category,
+    price: product.price,
+    isAvailable: product.isAvailable !== false,
+    variants: (product.variants || []).map(({ name, price, isAvailable }) => ({ name, price, isAvailable })),
+    // Base64 images are left out; run the image migration to export them as links
+    image: product.imageId
+      ? imageUrls(product.imageId).full
+      : (product.image && !product.image.startsWith('data:') ? product.image : '')
+  }))
+
+  const date = new Date().toISOString().slice(0, 10)
+  if (format === 'json') {
+    return {
+      content: JSON.stringify({ exportedAt: new Date().toISOString(), products: records }, null, 2),
+      contentType: 'application/json; charset=utf-8',
+      filename: `products-${date}.json`
+    }
+  }
+
+  return {
+    content: toCsv(COLUMNS, records.map(record => ({ ...record, variants: formatVariants(record.variants) }))),
+    contentType: 'text/csv; charset=utf-8',
+    filename: `products-${date}.csv`
+  }
+}
+
+module.exports = {
+  COLUMNS,
+  readImportFile,
+  readImageZip,
+  planImport,
+  applyImport,
+  toReport,
+  exportProducts
+}
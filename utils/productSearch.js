@@ -0,0 +1,316 @@
+// Product search shared by /products/api, /products/api/all and the admin list
+//
+// Query language:
+//   q                    words to find in name and description, in any language (every word must match)
+//   minPrice, maxPrice   price range; products with variants match on their cheapest variant
+//   available            true | false, whether the product can be ordered now (the same as availableNow)
+//   excludeAllergens     allergen keys to leave out, e.g. milk,nuts (see config/dietary.js)
+//   dietary              dietary labels every product must have, e.g. vegan,gluten-free
+//   sort                 relevance | newest | price | name | popularity
+//   order                asc | desc (defaults depend on sort)
+//   limit, cursor        cursor pagination (cursor comes from pagination.nextCursor)
+// Results are ordered by the sort key with _id as a tie-breaker, which keeps
+// cursors stable while products are added.
+
+const mongoose = require('mongoose')
+const Product = require('../schemas/Product')
+const { escapeRegex } = require('./pagination')
+const { parseAllergenList, parseDietaryLabelList } = require('./dietary')
+const { getProductAvailability } = require('./productAvailability')
+const { TRANSLATED_LANGUAGES } = require('../config/languages')
+
+// Fields the q words are looked for in
+const TEXT_FIELDS = ['name', 'description', ...TRANSLATED_LANGUAGES.flatMap(code => [`translations.${code}.name`, `translations.${code}.description`])]
+
+const SORTS = {
+  relevance: { field: 'relevance', order: 'desc' },
+  newest: { field: 'createdAt', order: 'desc' },
+  price: { field: 'sortPrice', order: 'asc' },
+  name: { field: 'sortName', order: 'asc' },
+  popularity: { field: 'popularity', order: 'desc' }
+}
+
+const MAX_QUERY_LENGTH = 100
+
+/**
+ * Validate search parameters from a query string
+ * @param {Object} query - req.query
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} { params } or { error }
+ */
+const parseProductQuery = (query = {}, { defaultLimit = 100, maxLimit = 200 } = {}) => {
+  const params = {}
+
+  const text = typeof query.q === 'string' ? query.q.trim() : ''
+  if (text.length > MAX_QUERY_LENGTH) {
+    return { error: `Search text must be at most ${MAX_QUERY_LENGTH} characters` }
+  }
+  params.q = text
+
+  for (const field of ['minPrice', 'maxPrice']) {
+    if (query[field] === undefined || query[field] === '') continue
+    const value = Number(query[field])
+    if (isNaN(value) || value < 0) {
+      return { error: `${field} must be a non-negative number` }
+    }
+    params[field] = value
+  }
+  if (params.minPrice !== undefined && params.maxPrice !== undefined && params.minPrice > params.maxPrice) {
+    return { error: 'minPrice cannot be more than maxPrice' }
+  }
+
+  if (query.available !== undefined && query.available !== '') {
+    if (!['true', 'false'].includes(String(query.available))) {
+      return { error: 'available must be true or false' }
+    }
+    params.available = String(query.available) === 'true'
+  }
+
+  const { allergens, error: allergenError } = parseAllergenList(query.excludeAllergens)
+  if (allergenError) {
+    return { error: allergenError }
+  }
+  if (allergens.length > 0) params.excludeAllergens = allergens
+
+  const { dietaryLabels, error: labelError } = parseDietaryLabelList(query.dietary)
+  if (labelError) {
+    return { error: labelError }
+  }
+  if (dietaryLabels.length > 0) params.dietary = dietaryLabels
+
+  const sort = query.sort || (params.q ? 'relevance' : 'newest')
+  if (!SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` }
+  }
+  if (sort === 'relevance' && !params.q) {
+    return { error: 'sort=relevance needs a search text (q)' }
+  }
+  const order = query.order || SORTS[sort].order
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' }
+  }
+  params.sort = sort
+  params.order = order
+
+  const limit = parseInt(query.limit, 10)
+  params.limit = Math.min(Math.max(isNaN(limit) ? defaultLimit : limit, 1), maxLimit)
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor)
+    if (!cursor || cursor.sort !== sort || cursor.order !== order) {
+      return { error: 'Invalid or expired cursor. Start again without one.' }
+    }
+    params.cursor = cursor
+  }
+
+  return { params }
+}
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url')
+
+// Sort values a cursor may carry: a string, a number or { $date } (see toCursorValue).
+// Anything else could act as a query operator in the cursor $match.
+const isCursorValue = (value) => {
+  if (typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value))) return true
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length === 1 && typeof value.$date === 'string' && !isNaN(new Date(value.$date).getTime())
+}
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'))
+    return cursor && typeof cursor === 'object' && typeof cursor.id === 'string' &&
+      mongoose.Types.ObjectId.isValid(cursor.id) && isCursorValue(cursor.value)
+      ? cursor
+      : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Sort values go through JSON in cursors; dates are stored as ISO strings
+const toCursorValue = (value) => value instanceof Date ? { $date: value.toISOString() } : value
+const fromCursorValue = (value) => value && value.$date ? new Date(value.$date) : value
+
+/**
+ * Ids of switched-on products that their time or season rules keep off the menu right now
+ */
+const getHeldBackProductIds = async (moment = new Date()) => {
+  const products = await Product.find({ isAvailable: true, availability: { $ne: null } })
+    .select('isAvailable availability')
+    .lean()
+  return products
+    .filter(product => !getProductAvailability(product, moment).availableNow)
+    .map(product => product._id)
+}
+
+/**
+ * Aggregation stage computing the sort fields
+ * @param {string} text - Search text
+ * @param {Map} priceOverrides - Product id -> price (e.g. from a menu) used instead of the product price
+ */
+const sortFieldsStage = (text, priceOverrides) => {
+  // Cheapest variant, or the product price when there are no variants
+  const ownPrice = {
+    $cond: [
+      { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+      { $min: '$variants.price' },
+      '$price'
+    ]
+  }
+  const overrides = [...(priceOverrides || new Map()).entries()]
+    .filter(([, price]) => price !== null && price !== undefined)
+  // Overrides only apply to products without variants (see getMenuPrice in utils/menus.js)
+  const sortPrice = overrides.length > 0
+    ? {
+        $switch: {
+          branches: overrides.map(([id, price]) => ({
+            case: { $and: [{ $eq: [{ $toString: '$_id' }, id] }, { $eq: [{ $size: { $ifNull: ['$variants', []] } }, 0] }] },
+            then: price
+          })),
+          default: ownPrice
+        }
+      }
+    : ownPrice
+
+  const fields = {
+    sortPrice,
+    sortName: { $toLower: '$name' },
+    popularity: { $ifNull: ['$salesCount', 0] }
+  }
+
+  if (text) {
+    // Whole phrase in the name scores highest (a translated name counts too), then words in the name, then the description
+    const phrase = escapeRegex(text)
+    const matches = (field, regex, points) => ({
+      $cond: [{ $regexMatch: { input: { $ifNull: [field, ''] }, regex, options: 'i' } }, points, 0]
+    })
+    const words = text.split(/\s+/).filter(Boolean)
+    fields.relevance = {
+      $add: [
+        matches('$name', `^${phrase}$`, 100),
+        matches('$name', `^${phrase}`, 50),
+        matches('$name', phrase, 30),
+        ...TRANSLATED_LANGUAGES.map(code => matches(`$translations.${code}.name`, phrase, 30)),
+        matches('$description', phrase, 10),
+        ...words.map(word => matches('$name', `\\b${escapeRegex(word)}`, 5)),
+        ...words.map(word => matches('$description', `\\b${escapeRegex(word)}`, 1))
+      ]
+    }
+  }
+
+  return { $addFields: fields }
+}
+
+/**
+ * Search products
+ * @param {Object} baseFilter - Conditions set by the route (category, menu, hidden categories)
+ * @param {Object} params - From parseProductQuery
+ * @param {Object} options - { fields } to return, { page } for page-based paging (admin list)
+ *   instead of cursors, { priceOverrides } Map of product id -> price for the price filter and sort
+ * @returns {Promise<{ products: Array, pagination: Object }>}
+ */
+const searchProducts = async (baseFilter, params, { fields, page, priceOverrides } = {}) => {
+  const match = { ...baseFilter }
+  const and = []
+
+  if (params.q) {
+    for (const word of params.q.split(/\s+/).filter(Boolean)) {
+      const regex = new RegExp(escapeRegex(word), 'i')
+      and.push({ $or: TEXT_FIELDS.map(field => ({ [field]: regex })) })
+    }
+  }
+  if (params.available !== undefined) {
+    // The switch and the time and season rules, as in getProductAvailability
+    const heldBack = await getHeldBackProductIds()
+    and.push(params.available
+      ? { isAvailable: true, _id: { $nin: heldBack } }
+      : { $or: [{ isAvailable: false }, { _id: { $in: heldBack } }] })
+  }
+  if (params.excludeAllergens) {
+    match.allergens = { $nin: params.excludeAllergens }
+  }
+  if (params.dietary) {
+    match.dietaryLabels = { $all: params.dietary }
+  }
+  if (and.length > 0) match.$and = and
+
+  const priceRange = {}
+  if (params.minPrice !== undefined) priceRange.$gte = params.minPrice
+  if (params.maxPrice !== undefined) priceRange.$lte = params.maxPrice
+
+  const field = SORTS[params.sort].field
+  const order = params.order
+  const direction = order === 'asc' ? 1 : -1
+
+  const pipeline = [
+    { $match: match },
+    sortFieldsStage(params.q, priceOverrides)
+  ]
+  if (Object.keys(priceRange).length > 0) {
+    pipeline.push({ $match: { sortPrice: priceRange } })
+  }
+
+  const pageStages = []
+  if (params.cursor && !page) {
+    const value = fromCursorValue(params.cursor.value)
+    const id = new mongoose.Types.ObjectId(params.cursor.id)
+    pageStages.push({
+      $match: {
+        $or: [
+          { [field]: { [direction === 1 ? '$gt' : '$lt']: value } },
+          { [field]: value, _id: { $gt: id } }
+        ]
+      }
+    })
+  }
+  pageStages.push({ $sort: { [field]: direction, _id: 1 } })
+  if (page) pageStages.push({ $skip: (page - 1) * params.limit })
+  pageStages.push({ $limit: params.limit + 1 })
+
+  const projection = fields
+    ? Object.fromEntries(fields.split(/\s+/).filter(Boolean).map(name => [name, 1]))
+    : { sortName: 0, sortPrice: 0, popularity: 0, relevance: 0 }
+  if (fields) {
+    // Keep the sort field until the cursor has been built
+    projection[field] = 1
+  }
+  pageStages.push({ $project: projection })
+
+  pipeline.push({
+    $facet: {
+      total: [{ $count: 'count' }],
+      page: pageStages
+    }
+  })
+
+  const [result] = await Product.aggregate(pipeline)
+  const total = result.total[0]?.count || 0
+  const hasMore = result.page.length > params.limit
+  const products = result.page.slice(0, params.limit)
+
+  const last = products[products.length - 1]
+  const nextCursor = hasMore && last && !page
+    ? encodeCursor({ sort: params.sort, order, value: toCursorValue(last[field]), id: last._id.toString() })
+    : null
+
+  if (fields && !fields.split(/\s+/).includes(field)) {
+    products.forEach(product => { delete product[field] })
+  }
+
+  return {
+    products,
+    pagination: {
+      limit: params.limit,
+      total,
+      hasMore,
+      nextCursor
+    }
+  }
+}
+
+module.exports = {
+  SORTS,
+  parseProductQuery,
+  searchProducts
+}
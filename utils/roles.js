@@ -0,0 +1,69 @@
+// Resolve roles (built-in or custom) to their permission sets
+
+const Role = require('../schemas/Role')
+const { BUILT_IN_ROLES } = require('../config/permissions')
+
+const CACHE_TTL_MS = 60 * 1000
+const customRoleCache = new Map()
+
+const isBuiltInRole = (key) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, key)
+
+/**
+ * Look up a custom role, cached briefly to avoid a query per request
+ */
+const findCustomRole = async (key) => {
+  const cached = customRoleCache.get(key)
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.role
+  }
+
+  const role = await Role.findOne({ key }).lean()
+  customRoleCache.set(key, { role, expiresAt: Date.now() + CACHE_TTL_MS })
+  return role
+}
+
+/**
+ * Get the permissions granted by a role
+ * @returns {Promise<string[]>} Empty for unknown roles
+ */
+const getRolePermissions = async (key) => {
+  if (!key) return []
+  if (isBuiltInRole(key)) return BUILT_IN_ROLES[key].permissions
+
+  const role = await findCustomRole(key)
+  return role ? role.permissions : []
+}
+
+/**
+ * Does a role with this key exist?
+ */
+const roleExists = async (key) => {
+  if (!key || typeof key !== 'string') return false
+  if (isBuiltInRole(key)) return true
+  return !!(await findCustomRole(key))
+}
+
+/**
+ * Permissions of a role that the requester does not hold
+ * Accounts may only be given roles within the permissions of whoever gives them.
+ * @returns {Promise<string[]>} Empty when the requester may grant the role
+ */
+const getUngrantedPermissions = async (req, key) => {
+  const held = Array.isArray(req.permissions) ? req.permissions : []
+  return (await getRolePermissions(key)).filter(permission => !held.includes(permission))
+}
+
+/**
+ * Forget cached custom roles (call after creating, editing or deleting one)
+ */
+const clearRoleCache = () => {
+  customRoleCache.clear()
+}
+
+module.exports = {
+  isBuiltInRole,
+  getRolePermissions,
+  roleExists,
+  getUngrantedPermissions,
+  clearRoleCache
+}
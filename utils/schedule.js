@@ -0,0 +1,151 @@
+// Opening-hours style schedules evaluated in the cafe's own timezone
+//
+// A time window is { days: [0-6], startTime: 'HH:MM', endTime: 'HH:MM' } with
+// 0 = Sunday. Windows whose end is before their start run past midnight
+// (e.g. 18:00-02:00 belongs to the day it starts on).
+//
+// A date range is { startDate, endDate } compared by calendar day; with
+// repeatsYearly only the month and day count (e.g. every summer).
+
+const CAFE_TIMEZONE = process.env.CAFE_TIMEZONE || 'Africa/Cairo'
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const localFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: CAFE_TIMEZONE,
+  weekday: 'short',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+})
+
+/**
+ * Local day, time and date of a moment in the cafe's timezone
+ * @returns {{ dayOfWeek: number, minutes: number, date: string }} date is 'YYYY-MM-DD'
+ */
+const getLocalTime = (moment = new Date()) => {
+  const parts = Object.fromEntries(localFormatter.formatToParts(moment).map(part => [part.type, part.value]))
+  return {
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    date: `${parts.year}-${parts.month}-${parts.day}`
+  }
+}
+
+/**
+ * Minutes since midnight for 'HH:MM', or null when malformed
+ */
+const parseTimeOfDay = (value) => {
+  const match = TIME_PATTERN.exec(String(value || ''))
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null
+}
+
+/**
+ * Is a local time inside a window?
+ */
+const isWithinWindow = (window, local) => {
+  const days = window.days && window.days.length > 0 ? window.days : [0, 1, 2, 3, 4, 5, 6]
+  const start = parseTimeOfDay(window.startTime || '00:00')
+  const end = parseTimeOfDay(window.endTime || '23:59')
+  if (start === null || end === null) return false
+
+  if (start <= end) {
+    return days.includes(local.dayOfWeek) && local.minutes >= start && local.minutes <= end
+  }
+
+  // Overnight window: the late part belongs to today, the early part to yesterday
+  const yesterday = (local.dayOfWeek + 6) % 7
+  return (days.includes(local.dayOfWeek) && local.minutes >= start) ||
+    (days.includes(yesterday) && local.minutes <= end)
+}
+
+/**
+ * Is a moment inside any of the windows? An empty list means "always"
+ */
+const isScheduleActive = (windows, moment = new Date()) => {
+  if (!windows || windows.length === 0) return true
+  const local = getLocalTime(moment)
+  return windows.some(window => isWithinWindow(window, local))
+}
+
+// Calendar day of a stored date ('YYYY-MM-DD'), compared with the cafe's local date
+const toDay = (date) => new Date(date).toISOString().slice(0, 10)
+
+/**
+ * Is a local date inside a date range? Missing ends are open
+ * @param {Object} range - { startDate, endDate, repeatsYearly }
+ * @param {Object} local - From getLocalTime()
+ */
+const isWithinDateRange = (range, local) => {
+  const { startDate, endDate, repeatsYearly } = range || {}
+  if (!startDate && !endDate) return true
+
+  if (!repeatsYearly) {
+    if (startDate && local.date < toDay(startDate)) return false
+    if (endDate && local.date > toDay(endDate)) return false
+    return true
+  }
+
+  // Month and day only; a range whose end comes before its start runs over the new year
+  const today = local.date.slice(5)
+  const start = startDate ? toDay(startDate).slice(5) : '01-01'
+  const end = endDate ? toDay(endDate).slice(5) : '12-31'
+  return start <= end
+    ? today >= start && today <= end
+    : today >= start || today <= end
+}
+
+/**
+ * Readable time window, e.g. 'Mon, Tue 07:00-11:00' or 'every day 07:00-11:00'
+ */
+const describeTimeWindow = (window) => {
+  const days = window.days && window.days.length > 0 && window.days.length < 7
+    ? window.days.map(day => WEEKDAYS[day]).join(', ')
+    : 'every day'
+  return `${days} ${window.startTime}-${window.endTime}`
+}
+
+/**
+ * Validate a list of time windows from a request body
+ * @returns {{ windows: Object[] }|{ error: string }}
+ */
+const parseTimeWindows = (windows) => {
+  if (windows === undefined || windows === null) return { windows: [] }
+  if (!Array.isArray(windows)) return { error: 'Time windows must be an array' }
+
+  const parsed = []
+  for (const window of windows) {
+    if (!window || typeof window !== 'object' || Array.isArray(window)) {
+      return { error: 'Each time window must be an object of { days, startTime, endTime }' }
+    }
+    const days = window.days === undefined ? [] : window.days
+    if (!Array.isArray(days) || days.some(day => !Number.isInteger(Number(day)) || Number(day) < 0 || Number(day) > 6)) {
+      return { error: 'days must be a list of weekday numbers from 0 (Sunday) to 6 (Saturday)' }
+    }
+    if (parseTimeOfDay(window.startTime) === null || parseTimeOfDay(window.endTime) === null) {
+      return { error: 'startTime and endTime must use the 24-hour HH:MM format' }
+    }
+    parsed.push({
+      days: [...new Set(days.map(Number))].sort((a, b) => a - b),
+      startTime: window.startTime,
+      endTime: window.endTime
+    })
+  }
+  return { windows: parsed }
+}
+
+module.exports = {
+  CAFE_TIMEZONE,
+  TIME_PATTERN,
+  getLocalTime,
+  parseTimeOfDay,
+  isWithinWindow,
+  isScheduleActive,
+  isWithinDateRange,
+  describeTimeWindow,
+  parseTimeWindows
+}
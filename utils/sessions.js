@@ -0,0 +1,175 @@
+// Session lifecycle: short-lived access tokens plus long-lived, per-device refresh tokens
+
+const jwt = require('jsonwebtoken')
+const Session = require('../schemas/Session')
+const { generateToken, hashToken } = require('./tokens')
+
+const ACCESS_TOKEN_COOKIE = 'accessToken'
+const REFRESH_TOKEN_COOKIE = 'refreshToken'
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m'
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+const getClientIp = (req) => {
+  return req.ip || req.headers['x-forwarded-for']?.split(',')[0] || req.socket?.remoteAddress || ''
+}
+
+/**
+ * Sign an access token for a user session
+ * @param {Object} user - User document (needs _id and role)
+ * @param {Object} session - Session document the token belongs to
+ * @returns {string} Signed JWT
+ */
+const generateAccessToken = (user, session) => {
+  return jwt.sign(
+    { sub: user._id.toString(), role: user.role, sid: session._id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  )
+}
+
+/**
+ * Set the tokens as httpOnly cookies. The access token cookie lets the EJS admin
+ * pages (plain browser navigation and form posts) authenticate; the refresh token
+ * cookie is only sent to the auth endpoints.
+ */
+const setAuthCookies = (res, accessToken, refreshToken, refreshExpiresAt) => {
+  const secure = process.env.NODE_ENV === 'production'
+  const decoded = jwt.decode(accessToken)
+
+  res.cookie(ACCESS_TOKEN_COOKIE, accessToken, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure,
+    maxAge: decoded.exp * 1000 - Date.now()
+  })
+  res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure,
+    path: '/api/auth',
+    maxAge: refreshExpiresAt.getTime() - Date.now()
+  })
+}
+
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_TOKEN_COOKIE)
+  res.clearCookie(REFRESH_TOKEN_COOKIE, { path: '/api/auth' })
+}
+
+/**
+ * Build the token part of a login/refresh response and set the cookies
+ */
+const issueTokens = (res, user, session, refreshToken) => {
+  const accessToken = generateAccessToken(user, session)
+  setAuthCookies(res, accessToken, refreshToken, session.expiresAt)
+
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    sessionId: session._id
+  }
+}
+
+/**
+ * Start a new session for a user on the requesting device
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, sessionId }
+ */
+const startSession = async (req, res, user) => {
+  const refreshToken = generateToken(48)
+  const userAgent = req.headers['user-agent'] || ''
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: (req.body?.deviceName || '').slice(0, 100),
+    userAgent: userAgent.slice(0, 300),
+    ip: getClientIp(req),
+    expiresAt: refreshExpiry()
+  })
+
+  return issueTokens(res, user, session, refreshToken)
+}
+
+/**
+ * Exchange a refresh token for new tokens (the refresh token is rotated)
+ * @returns {Promise<Object|null>} { session, refreshToken } or null if the token is not valid
+ */
+const rotateRefreshToken = async (req, refreshToken) => {
+  const tokenHash = hashToken(refreshToken)
+  const now = new Date()
+  const newRefreshToken = generateToken(48)
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      refreshTokenHash: hashToken(newRefreshToken),
+      previousRefreshTokenHash: tokenHash,
+      lastUsedAt: now,
+      ip: getClientIp(req),
+      expiresAt: refreshExpiry()
+    },
+    { new: true }
+  )
+
+  if (!session) {
+    // A rotated-out token being presented again means it was copied - end that session
+    await Session.updateOne(
+      { previousRefreshTokenHash: tokenHash, revokedAt: null },
+      { revokedAt: now, revokedReason: 'refresh-token-reuse' }
+    )
+    return null
+  }
+
+  return { session, refreshToken: newRefreshToken }
+}
+
+/**
+ * Revoke a single session
+ * @param {Object} filter - Extra conditions (e.g. { userId }) so users can only revoke their own
+ */
+const revokeSession = async (sessionId, reason = 'logout', filter = {}) => {
+  const result = await Session.updateOne(
+    { ...filter, _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  )
+  return result.modifiedCount > 0
+}
+
+/**
+ * Revoke every active session of a user ("sign out everywhere")
+ * @param {Object} options - { exceptSessionId } keeps the current device signed in
+ */
+const revokeAllSessions = async (userId, reason = 'logout-all', options = {}) => {
+  const filter = { userId, revokedAt: null }
+  if (options.exceptSessionId) {
+    filter._id = { $ne: options.exceptSessionId }
+  }
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason })
+  return result.modifiedCount
+}
+
+/**
+ * List active sessions of a user, most recently used first
+ */
+const listActiveSessions = async (userId) => {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('deviceName userAgent ip lastUsedAt expiresAt createdAt')
+    .sort({ lastUsedAt: -1 })
+    .lean()
+}
+
+module.exports = {
+  ACCESS_TOKEN_COOKIE,
+  REFRESH_TOKEN_COOKIE,
+  issueTokens,
+  clearAuthCookies,
+  startSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+}
@@ -0,0 +1,17 @@
+// URL-friendly keys for roles, categories and menus
+
+/**
+ * Turn a display name into a slug, e.g. "Ramadan Iftar" -> "ramadan-iftar"
+ */
+const slugify = (str) => String(str)
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/
+
+module.exports = {
+  slugify,
+  SLUG_PATTERN
+}
@@ -0,0 +1,384 @@
+// Stock quantities, the stock movement ledger and low-stock alerts
+//
+// Products with a stock quantity (Product.stock not null) are counted: orders
+// take units out, cancellations put them back, and staff record deliveries,
+// waste and recounts. Ingredients (see utils/ingredients.js) are counted the
+// same way. Every change is written to the StockMovement ledger.
+// A product that runs out, or whose recipe can no longer be made, becomes
+// unavailable, and becomes available again when it is restocked. Falling to
+// the low-stock threshold emails STOCK_ALERT_EMAIL once, until the product is
+// restocked above it.
+
+const Product = require('../schemas/Product')
+const Order = require('../schemas/Orders')
+const Ingredient = require('../schemas/Ingredient')
+const StockMovement = require('../schemas/StockMovement')
+const { sendMail } = require('./mailer')
+const { roundQuantity, findProductsShortOfIngredients, findProductIdsUsingIngredients } = require('./ingredients')
+
+const DEFAULT_LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 5
+
+// Reasons staff can give when adjusting stock by hand
+//   delivery   - units received (quantity added)
+//   waste      - units thrown away or spoiled (quantity removed)
+//   recount    - the counted quantity (replaces the current one, and starts tracking)
+//   correction - a signed change fixing an earlier mistake
+const ADJUSTMENT_REASONS = ['delivery', 'waste', 'recount', 'correction']
+
+const getLowStockThreshold = (product) => {
+  return product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD
+}
+
+const isLowStock = (product) => {
+  return product.stock !== null && product.stock !== undefined && product.stock <= getLowStockThreshold(product)
+}
+
+const sendLowStockAlert = async (product) => {
+  const recipients = (process.env.STOCK_ALERT_EMAIL || '').split(',').map(email => email.trim()).filter(Boolean)
+  const summary = product.stock > 0
+    ? `${product.name} is running low: ${product.stock} left (alert level ${getLowStockThreshold(product)}).`
+    : `${product.name} is out of stock and has been marked unavailable.`
+
+  console.warn(`⚠️ Low stock: ${summary}`)
+  if (recipients.length === 0) return
+
+  await sendMail({
+    to: recipients.join(', '),
+    subject: product.stock > 0 ? `Low stock: ${product.name}` : `Out of stock: ${product.name}`,
+    text: `${summary}\n\nRecord a delivery or recount once it has been restocked.`
+  })
+}
+
+/**
+ * Bring availability and low-stock alerts in line with the current stock of
+ * the given products. Never throws.
+ * @param {Array} productIds
+ */
+const checkStockLevels = async (productIds) => {
+  try {
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('name stock lowStockThreshold lowStockAlertedAt soldOutAt isAvailable recipe variants')
+      .lean()
+    const shortOfIngredients = await findProductsShortOfIngredients(products)
+
+    for (const product of products) {
+      const soldOut = (product.stock !== null && product.stock <= 0) || shortOfIngredients.has(product._id.toString())
+      if (soldOut && product.isAvailable) {
+        await Product.updateOne({ _id: product._id, isAvailable: true }, { isAvailable: false, soldOutAt: new Date() })
+      } else if (!soldOut && product.soldOutAt) {
+        await Product.updateOne({ _id: product._id, soldOutAt: { $ne: null } }, { isAvailable: true, soldOutAt: null })
+      }
+
+      if (isLowStock(product) && !product.lowStockAlertedAt) {
+        // Only the request that sets the flag sends the alert
+        const claimed = await Product.updateOne({ _id: product._id, lowStockAlertedAt: null }, { lowStockAlertedAt: new Date() })
+        if (claimed.modifiedCount > 0) await sendLowStockAlert(product)
+      } else if (!isLowStock(product) && product.lowStockAlertedAt) {
+        await Product.updateOne({ _id: product._id }, { lowStockAlertedAt: null })
+      }
+    }
+  } catch (error) {
+    console.error('Failed to check stock levels:', error)
+  }
+}
+
+/**
+ * Write movements to the ledger and check the affected products
+ * Never throws - the stock change itself has already happened.
+ * @param {Object} req - Express request (actor comes from req.user or req.apiKey)
+ * @param {Array<Object>} movements - { productId, productName } or { ingredientId, ingredientName },
+ *   with { change, quantityAfter, reason, note, orderId }
+ */
+const recordStockMovements = async (req, movements) => {
+  if (movements.length === 0) return
+
+  try {
+    await StockMovement.insertMany(movements.map(movement => ({
+      ...movement,
+      actorId: req.user?._id || null,
+      actorName: req.user?.name || (req.apiKey && `API key: ${req.apiKey.name}`)
+    })))
+  } catch (error) {
+    console.error('Failed to record stock movements:', error)
+  }
+
+  const ingredientIds = movements.filter(movement => movement.ingredientId).map(movement => movement.ingredientId)
+  try {
+    const productIds = movements.filter(movement => movement.productId).map(movement => movement.productId)
+    if (ingredientIds.length > 0) productIds.push(...await findProductIdsUsingIngredients(ingredientIds))
+    await checkStockLevels(productIds)
+  } catch (error) {
+    console.error('Failed to check stock levels:', error)
+  }
+}
+
+/**
+ * Put reserved units back without recording a movement (used when the order
+ * they were reserved for could not be saved)
+ * @param {Array<Object>} reserved - From reserveStock
+ */
+const releaseStock = async (reserved) => {
+  if (reserved.length === 0) return
+  await Product.bulkWrite(reserved.map(({ productId, quantity }) => ({
+    updateOne: { filter: { _id: productId, stock: { $ne: null } }, update: { $inc: { stock: quantity } } }
+  })))
+}
+
+/**
+ * Take the units of priced order lines out of stock
+ * Products that are not stock-tracked are skipped. Either every tracked product
+ * has enough stock and all are taken, or nothing is taken.
+ * @param {Array<Object>} lines - Priced order lines ({ productId, name, quantity })
+ * @returns {Promise<Object>} { reserved: [{ productId, productName, quantity, quantityAfter }] } or { error, status }
+ */
+const reserveStock = async (lines) => {
+  const quantities = new Map()
+  for (const line of lines) {
+    const id = line.productId.toString()
+    quantities.set(id, (quantities.get(id) || 0) + line.quantity)
+  }
+
+  const tracked = await Product.find({ _id: { $in: [...quantities.keys()] }, stock: { $ne: null } })
+    .select('name stock')
+    .lean()
+
+  const reserved = []
+  for (const product of tracked) {
+    const quantity = quantities.get(product._id.toString())
+    const updated = await Product.findOneAndUpdate(
+      { _id: product._id, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity } },
+      { new: true }
+    ).select('stock').lean()
+
+    if (!updated) {
+      await releaseStock(reserved)
+      const current = await Product.findById(product._id).select('stock').lean()
+      const left = current?.stock || 0
+      return {
+        error: left > 0
+          ? `Only ${left} ${product.name} left in stock`
+          : `${product.name} is out of stock`,
+        status: 409
+      }
+    }
+
+    reserved.push({ productId: product._id, productName: product.name, quantity, quantityAfter: updated.stock })
+  }
+
+  return { reserved }
+}
+
+/**
+ * Give back the stock and ingredients taken by an order that is being cancelled
+ * Runs at most once per order.
+ * @param {Object} req - Express request
+ * @param {string} orderId
+ */
+const restoreOrderStock = async (req, orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, $or: [{ 'stockItems.0': { $exists: true } }, { 'ingredientItems.0': { $exists: true } }] },
+    { $set: { stockItems: [], ingredientItems: [] } }
+  ).select('stockItems ingredientItems').lean()
+  if (!order) return
+
+  const movements = []
+  for (const { productId, quantity } of order.stockItems) {
+    const product = await Product.findOneAndUpdate(
+      { _id: productId, stock: { $ne: null } },
+      { $inc: { stock: quantity } },
+      { new: true }
+    ).select('name stock').lean()
+    if (!product) continue // No longer tracked (or deleted)
+
+    movements.push({
+      productId,
+      productName: product.name,
+      change: quantity,
+      quantityAfter: product.stock,
+      reason: 'order-cancelled',
+      orderId
+    })
+  }
+
+  for (const { ingredientId, quantity } of order.ingredientItems || []) {
+    const ingredient = await Ingredient.findByIdAndUpdate(ingredientId, { $inc: { stock: quantity } }, { new: true })
+      .select('name stock').lean()
+    if (!ingredient) continue // Deleted since
+
+    movements.push({
+      ingredientId,
+      ingredientName: ingredient.name,
+      change: quantity,
+      quantityAfter: roundQuantity(ingredient.stock),
+      reason: 'order-cancelled',
+      orderId
+    })
+  }
+
+  await recordStockMovements(req, movements)
+}
+
+/**
+ * Validate a manual stock adjustment
+ * @param {Object} body - { reason, quantity, note }
+ * @param {Object} options - { wholeUnits } false for ingredients, which can be counted in fractions
+ * @returns {Object} { adjustment } or { error }
+ */
+const parseStockAdjustment = (body = {}, { wholeUnits = true } = {}) => {
+  const { reason, note } = body
+  if (!ADJUSTMENT_REASONS.includes(reason)) {
+    return { error: `Reason must be one of: ${ADJUSTMENT_REASONS.join(', ')}` }
+  }
+
+  const quantity = wholeUnits ? Number(body.quantity) : roundQuantity(Number(body.quantity))
+  if (body.quantity === undefined || body.quantity === '' || isNaN(quantity) || (wholeUnits && !Number.isInteger(quantity))) {
+    return { error: wholeUnits ? 'Quantity must be a whole number' : 'Quantity must be a number' }
+  }
+  if (reason === 'correction' && quantity === 0) {
+    return { error: 'A correction must change the quantity' }
+  }
+  if (reason === 'recount' && quantity < 0) {
+    return { error: 'The counted quantity cannot be negative' }
+  }
+  if ((reason === 'delivery' || reason === 'waste') && quantity <= 0) {
+    return { error: 'Quantity must be greater than zero' }
+  }
+
+  return { adjustment: { reason, quantity, note: typeof note === 'string' ? note.trim().slice(0, 500) : '' } }
+}
+
+/**
+ * Validate the stock fields of the product forms
+ * @param {Object} body - { stock, lowStockThreshold }; empty values mean not tracked / the default
+ * @returns {Object} { stock, lowStockThreshold } or { error }
+ */
+const parseStockFormInput = (body = {}) => {
+  const parseCount = (value) => {
+    if (value === undefined || value === null || String(value).trim() === '') return null
+    const number = Number(value)
+    return Number.isInteger(number) && number >= 0 ? number : NaN
+  }
+
+  const stock = parseCount(body.stock)
+  if (Number.isNaN(stock)) return { error: 'Stock quantity must be a whole number of zero or more' }
+
+  const lowStockThreshold = parseCount(body.lowStockThreshold)
+  if (Number.isNaN(lowStockThreshold)) return { error: 'Low-stock alert level must be a whole number of zero or more' }
+
+  return { stock, lowStockThreshold }
+}
+
+/**
+ * Change the stock field of a product or ingredient for an adjustment
+ * @returns {Promise<Object>} { change, quantityAfter } or { error, status }
+ */
+const applyAdjustment = async (Model, target, { reason, quantity }) => {
+  if (reason === 'recount') {
+    const previous = await Model.findByIdAndUpdate(target._id, { stock: quantity }, { new: false })
+      .select('stock').lean()
+    if (!previous) return { error: 'Not found', status: 404 }
+    return { change: roundQuantity(quantity - (previous.stock || 0)), quantityAfter: quantity }
+  }
+
+  if (target.stock === null || target.stock === undefined) {
+    return { error: 'Stock is not tracked for this product yet. Record a recount first.', status: 400 }
+  }
+  const change = reason === 'waste' ? -quantity : quantity
+  const updated = await Model.findOneAndUpdate(
+    { _id: target._id, stock: { $gte: Math.max(0, -change) } },
+    { $inc: { stock: change } },
+    { new: true }
+  ).select('stock').lean()
+  if (!updated) {
+    const current = await Model.findById(target._id).select('stock').lean()
+    return current
+      ? { error: `Only ${roundQuantity(current.stock)} in stock; the quantity cannot go below zero`, status: 409 }
+      : { error: 'Not found', status: 404 }
+  }
+  return { change, quantityAfter: roundQuantity(updated.stock) }
+}
+
+/**
+ * Apply a manual stock adjustment to a product and record it in the ledger
+ * A recount starts tracking a product that was not counted before.
+ * @param {Object} req - Express request
+ * @param {Object} product - Product document or lean object
+ * @param {Object} adjustment - From parseStockAdjustment
+ * @returns {Promise<Object>} { product, movement } or { error, status }
+ */
+const adjustStock = async (req, product, adjustment) => {
+  const { change, quantityAfter, error, status } = await applyAdjustment(Product, product, adjustment)
+  if (error) return { error: status === 404 ? 'Product not found' : error, status }
+
+  const movement = {
+    productId: product._id,
+    productName: product.name,
+    change,
+    quantityAfter,
+    reason: adjustment.reason,
+    note: adjustment.note
+  }
+  await recordStockMovements(req, [movement])
+
+  return {
+    product: await Product.findById(product._id).select('name stock lowStockThreshold isAvailable soldOutAt').lean(),
+    movement
+  }
+}
+
+/**
+ * Apply a manual stock adjustment to an ingredient and record it in the ledger
+ * Products whose recipes use it are made available or unavailable to match.
+ * @param {Object} req - Express request
+ * @param {Object} ingredient - Ingredient document or lean object
+ * @param {Object} adjustment - From parseStockAdjustment(body, { wholeUnits: false })
+ * @returns {Promise<Object>} { ingredient, movement } or { error, status }
+ */
+const adjustIngredientStock = async (req, ingredient, adjustment) => {
+  const { change, quantityAfter, error, status } = await applyAdjustment(Ingredient, ingredient, adjustment)
+  if (error) return { error: status === 404 ? 'Ingredient not found' : error, status }
+
+  const movement = {
+    ingredientId: ingredient._id,
+    ingredientName: ingredient.name,
+    change,
+    quantityAfter,
+    reason: adjustment.reason,
+    note: adjustment.note
+  }
+  await recordStockMovements(req, [movement])
+
+  return { ingredient: await Ingredient.findById(ingredient._id).lean(), movement }
+}
+
+/**
+ * Stock-tracked products at or below their low-stock threshold
+ */
+const listLowStockProducts = async () => {
+  const products = await Product.find({ stock: { $ne: null } })
+    .select('name sku category stock lowStockThreshold lowStockAlertedAt isAvailable soldOutAt')
+    .sort({ stock: 1, name: 1 })
+    .lean()
+
+  return products
+    .filter(isLowStock)
+    .map(product => ({ ...product, lowStockThreshold: getLowStockThreshold(product) }))
+}
+
+module.exports = {
+  ADJUSTMENT_REASONS,
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  getLowStockThreshold,
+  isLowStock,
+  checkStockLevels,
+  recordStockMovements,
+  reserveStock,
+  releaseStock,
+  restoreOrderStock,
+  parseStockAdjustment,
+  parseStockFormInput,
+  adjustStock,
+  adjustIngredientStock,
+  listLowStockProducts
+}
@@ -0,0 +1,23 @@
+// Helpers for opaque random tokens (reset links, refresh tokens, etc.)
+const crypto = require('crypto')
+
+/**
+ * Generate a URL-safe random token
+ * @param {number} bytes - Amount of randomness in bytes
+ */
+const generateToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex')
+}
+
+/**
+ * Hash a token for storage - only hashes are persisted so a database leak
+ * does not expose usable tokens
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex')
+}
+
+module.exports = {
+  generateToken,
+  hashToken
+}
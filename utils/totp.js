@@ -0,0 +1,135 @@
+// Time-based one-time passwords (RFC 6238) for authenticator apps
+//
+// Pure HOTP/TOTP math on top of node's crypto - no network access needed.
+// Secrets are exchanged as base32 strings, the format authenticator apps expect.
+
+const crypto = require('crypto')
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const DIGITS = 6
+const PERIOD_SECONDS = 30
+
+/**
+ * Encode a buffer as unpadded base32 (RFC 4648)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+/**
+ * Decode a base32 string (case, spaces and padding are ignored)
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error('Invalid base32 character')
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+ * Generate a new random secret (160 bits, as recommended by RFC 4226)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+/**
+ * HMAC-based one-time password (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ */
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8)
+  counterBuffer.writeBigUInt64BE(BigInt(counter))
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest()
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3]
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0')
+}
+
+/**
+ * Time step for a moment in time
+ */
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS)
+
+/**
+ * Current TOTP code for a secret
+ */
+const totp = (secret, time = Date.now()) => hotp(secret, timeStep(time))
+
+/**
+ * Check a TOTP code, allowing for clock drift of `window` steps either side
+ * @returns {number|null} The matching time step (used to reject replays), or null
+ */
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '')
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null
+
+  const currentStep = timeStep(time)
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = hotp(secret, step)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step
+    }
+  }
+  return null
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} options - { secret, accountName, issuer }
+ */
+const buildProvisioningUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verifyTotp,
+  buildProvisioningUri
+}
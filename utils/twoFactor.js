@@ -0,0 +1,261 @@
+// Two-factor authentication: enrollment, code checks, backup codes and the role policy
+//
+// TOTP secrets are encrypted at rest with TWO_FACTOR_ENCRYPTION_KEY (falls back to
+// JWT_SECRET). Backup codes are single-use and only their hashes are stored.
+
+const crypto = require('crypto')
+const User = require('../schemas/Users')
+const AuthToken = require('../schemas/AuthToken')
+const SecurityPolicy = require('../schemas/SecurityPolicy')
+const { generateSecret, verifyTotp, buildProvisioningUri } = require('./totp')
+const { generateToken, hashToken } = require('./tokens')
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Nile Cafe'
+const BACKUP_CODE_COUNT = 10
+const LOGIN_CHALLENGE_TTL_MINUTES = 5
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5
+const POLICY_CACHE_TTL_MS = 60 * 1000
+
+let policyCache = null
+
+const encryptionKey = () => {
+  return crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest()
+}
+
+// AES-256-GCM, stored as iv:tag:ciphertext (hex)
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv)
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()])
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':')
+}
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'))
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8')
+}
+
+// Backup codes are hashed with the user id so equal codes never share a hash
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+const hashBackupCode = (userId, code) => hashToken(`${userId}:${normalizeBackupCode(code)}`)
+
+/**
+ * Generate a fresh set of backup codes
+ * @returns {{ codes: string[], hashes: string[] }} Plain codes (shown once) and their hashes
+ */
+const generateBackupCodes = (userId) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = generateToken(5)
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+  return { codes, hashes: codes.map(code => hashBackupCode(userId, code)) }
+}
+
+/**
+ * Get the security policy (cached briefly to avoid a query per request)
+ */
+const getSecurityPolicy = async () => {
+  if (policyCache && policyCache.expiresAt > Date.now()) {
+    return policyCache.policy
+  }
+
+  const policy = await SecurityPolicy.findOne({ key: 'default' }).lean() ||
+    { key: 'default', twoFactorRequiredRoles: [] }
+  policyCache = { policy, expiresAt: Date.now() + POLICY_CACHE_TTL_MS }
+  return policy
+}
+
+/**
+ * Replace the list of roles that must use 2FA
+ */
+const updateSecurityPolicy = async (twoFactorRequiredRoles, updatedBy) => {
+  const policy = await SecurityPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { twoFactorRequiredRoles, updatedBy: updatedBy || null },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  )
+  policyCache = null
+  return policy
+}
+
+/**
+ * Does the policy require 2FA for this role?
+ */
+const isTwoFactorRequired = async (role) => {
+  const policy = await getSecurityPolicy()
+  return policy.twoFactorRequiredRoles.includes(role)
+}
+
+/**
+ * Start enrollment: store a pending secret and return what the authenticator app needs
+ */
+const startEnrollment = async (user) => {
+  const secret = generateSecret()
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': encryptSecret(secret) })
+
+  return {
+    secret,
+    otpauthUrl: buildProvisioningUri({ secret, accountName: user.email, issuer: ISSUER })
+  }
+}
+
+/**
+ * Finish enrollment with a code from the app
+ * @returns {Promise<string[]|null>} Backup codes, or null if the code is wrong or no setup was started
+ */
+const confirmEnrollment = async (user, code) => {
+  const stored = await User.findById(user._id).select('+twoFactor.pendingSecret')
+  if (!stored?.twoFactor?.pendingSecret) return null
+
+  const step = verifyTotp(decryptSecret(stored.twoFactor.pendingSecret), code)
+  if (step === null) return null
+
+  const { codes, hashes } = generateBackupCodes(user._id)
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': stored.twoFactor.pendingSecret,
+        'twoFactor.backupCodeHashes': hashes,
+        'twoFactor.lastUsedStep': step
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    }
+  )
+  return codes
+}
+
+/**
+ * Turn 2FA off and forget the secret and backup codes
+ */
+const disableTwoFactor = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null, 'twoFactor.lastUsedStep': null },
+      $unset: { 'twoFactor.secret': 1, 'twoFactor.pendingSecret': 1, 'twoFactor.backupCodeHashes': 1 }
+    }
+  )
+}
+
+/**
+ * Replace the backup codes with a fresh set
+ * @returns {Promise<string[]>} The new plain codes
+ */
+const regenerateBackupCodes = async (userId) => {
+  const { codes, hashes } = generateBackupCodes(userId)
+  await User.updateOne({ _id: userId }, { 'twoFactor.backupCodeHashes': hashes })
+  return codes
+}
+
+/**
+ * Check a second factor: a 6-digit authenticator code or an unused backup code
+ * Both are consumed atomically so the same code cannot be used twice.
+ * @returns {Promise<'totp'|'backup-code'|null>} How the user was verified, or null
+ */
+const verifySecondFactor = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.secret')
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null
+
+  const normalized = String(code || '').replace(/\s/g, '')
+
+  if (/^\d{6}$/.test(normalized)) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), normalized)
+    if (step === null) return null
+
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    )
+    return result.modifiedCount === 1 ? 'totp' : null
+  }
+
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.backupCodeHashes': hashBackupCode(userId, normalized) },
+    { $pull: { 'twoFactor.backupCodeHashes': hashBackupCode(userId, normalized) } }
+  )
+  return result.modifiedCount === 1 ? 'backup-code' : null
+}
+
+/**
+ * Number of unused backup codes
+ */
+const countBackupCodes = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactor.backupCodeHashes')
+  return user?.twoFactor?.backupCodeHashes?.length || 0
+}
+
+/**
+ * Issue a short-lived challenge token after the first login factor succeeded
+ */
+const createLoginChallenge = async (user) => {
+  const challengeToken = generateToken()
+  await AuthToken.create({
+    userId: user._id,
+    type: 'two-factor',
+    tokenHash: hashToken(challengeToken),
+    expiresAt: new Date(Date.now() + LOGIN_CHALLENGE_TTL_MINUTES * 60 * 1000)
+  })
+  return challengeToken
+}
+
+/**
+ * Complete a login challenge with a second factor
+ * @returns {Promise<{ userId: string, method: string }|{ error: string }>}
+ */
+const completeLoginChallenge = async (challengeToken, code) => {
+  const challenge = await AuthToken.findOne({
+    tokenHash: hashToken(challengeToken),
+    type: 'two-factor',
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+
+  if (!challenge) {
+    return { error: 'Login attempt has expired. Please sign in again.' }
+  }
+
+  const method = await verifySecondFactor(challenge.userId, code)
+  if (!method) {
+    const updated = await AuthToken.findByIdAndUpdate(challenge._id, { $inc: { attempts: 1 } }, { new: true })
+    if (updated && updated.attempts >= LOGIN_CHALLENGE_MAX_ATTEMPTS) {
+      await AuthToken.deleteOne({ _id: challenge._id })
+      return { error: 'Too many invalid codes. Please sign in again.' }
+    }
+    return { error: 'Invalid authentication code' }
+  }
+
+  // Consume the challenge atomically so it can only be used once
+  const consumed = await AuthToken.findOneAndUpdate(
+    { _id: challenge._id, usedAt: null },
+    { usedAt: new Date() }
+  )
+  if (!consumed) {
+    return { error: 'Login attempt has expired. Please sign in again.' }
+  }
+
+  return { userId: challenge.userId, method }
+}
+
+module.exports = {
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifySecondFactor,
+  countBackupCodes,
+  createLoginChallenge,
+  completeLoginChallenge
+}
@@ -0,0 +1,91 @@
+// Product variants (sizes and similar options with their own price)
+
+const MAX_VARIANTS = 20
+
+/**
+ * Parse variants from a form or JSON body
+ * Accepts an array (or an object keyed by index, as sent by the EJS forms) of
+ * { name, price, isAvailable }. Rows left completely empty are ignored.
+ * @returns {Object} { variants } or { error }
+ */
+const parseVariantsInput = (input) => {
+  if (input === undefined || input === null || input === '') return { variants: [] }
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input)
+    } catch (error) {
+      return { error: 'Variants must be a list of { name, price }' }
+    }
+  }
+
+  const rows = Array.isArray(input) ? input : Object.values(input || {})
+  const variants = []
+  const seen = new Set()
+
+  for (const row of rows) {
+    if (!row || typeof row !== 'object') continue
+
+    const name = typeof row.name === 'string' ? row.name.trim() : ''
+    const rawPrice = row.price === undefined || row.price === null ? '' : String(row.price).trim()
+    if (!name && !rawPrice) continue
+
+    if (!name) {
+      return { error: 'Every variant needs a name' }
+    }
+    const price = Number(rawPrice)
+    if (rawPrice === '' || isNaN(price) || price < 0) {
+      return { error: `Variant "${name}" needs a valid price` }
+    }
+    if (seen.has(name.toLowerCase())) {
+      return { error: `Variant "${name}" is listed more than once` }
+    }
+    seen.add(name.toLowerCase())
+
+    const entry = {
+      name,
+      price,
+      isAvailable: row.isAvailable === undefined ? true : row.isAvailable === true || row.isAvailable === 'true'
+    }
+    if (row._id && /^[0-9a-fA-F]{24}$/.test(String(row._id))) {
+      entry._id = String(row._id) // Keep ids stable so carts that reference them stay valid
+    }
+    variants.push(entry)
+  }
+
+  if (variants.length > MAX_VARIANTS) {
+    return { error: `A product can have at most ${MAX_VARIANTS} variants` }
+  }
+
+  return { variants }
+}
+
+/**
+ * Find a product's variant by id or (case-insensitive) name
+ */
+const findVariant = (product, value) => {
+  if (!value || !Array.isArray(product.variants)) return null
+  const key = String(value).trim().toLowerCase()
+  return product.variants.find(variant =>
+    (variant._id && variant._id.toString() === key) || variant.name.toLowerCase() === key
+  ) || null
+}
+
+/**
+ * Carry over what the forms and imports don't send from the product's current
+ * variants: the id (matched by name when missing) and the recipe
+ * @param {Array} variants - From parseVariantsInput
+ * @param {Array} existing - The product's current variants
+ */
+const mergeExistingVariants = (variants, existing = []) => {
+  return variants.map(variant => {
+    const current = existing.find(v => variant._id ? v._id.toString() === variant._id : v.name.toLowerCase() === variant.name.toLowerCase())
+    if (!current) return variant
+    return { ...variant, _id: current._id.toString(), recipe: current.recipe || [] }
+  })
+}
+
+module.exports = {
+  parseVariantsInput,
+  findVariant,
+  mergeExistingVariants
+}